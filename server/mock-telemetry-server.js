@@ -0,0 +1,437 @@
+/**
+ * Mock Telemetry Server - Local backend for the 'websocket' and 'rest' data sources
+ *
+ * Runs the browser's haul simulation (HaulSimulator on a NavGraph, or a
+ * ScenarioRunner scenario) under Node and streams it like a real
+ * telemetry backend. Uses only Node built-ins plus modules from src/.
+ *
+ * Endpoints:
+ * - WebSocket on /                - 'vehicle_batch' or 'vehicle_update' messages
+ *                                   (binary frames if the client offers
+ *                                   mine-telemetry.bin.v1 and --binary is set)
+ * - POST /connect                 - handshake (also /api/vehicles/connect)
+ * - GET  /api/vehicles            - current fleet (array)
+ * - GET  /api/vehicles/:id        - single vehicle
+ *
+ * Usage:
+ *   node server/mock-telemetry-server.js [--port 8080] [--fleet 25] [--rate 2]
+ *     [--loss 0] [--latency 0] [--jitter 0] [--mode batch] [--binary]
+ *     [--graph navgraph.json] [--scenario public/scenarios/training-shift.json]
+ *     [--seed mock] [--time-scale 1]
+ *
+ * --rate      updates per second for each vehicle
+ * --loss      fraction of messages dropped per client (0-1)
+ * --latency   delay before each message / response (ms), plus up to --jitter
+ * --mode      'batch' (one vehicle_batch per tick) or 'update' (one message per vehicle)
+ * --graph     NavGraph JSON (NavGraph.toJSON()); a small demo network otherwise
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+
+import { NavGraph, resamplePolyline } from '../src/navigation/NavGraph.js';
+import { HaulSimulator } from '../src/simulation/HaulSimulator.js';
+import { ScenarioRunner } from '../src/simulation/ScenarioRunner.js';
+import { SeededRandom } from '../src/utils/SeededRandom.js';
+import {
+  TelemetryFrameEncoder,
+  BINARY_SUBPROTOCOL,
+  JSON_SUBPROTOCOL
+} from '../src/utils/BinaryTelemetryProtocol.js';
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port) || 8080;
+const FLEET_SIZE = Number(args.fleet) || 25;
+const RATE = Number(args.rate) || 2;
+const LOSS = Math.min(1, Math.max(0, Number(args.loss) || 0));
+const LATENCY = Number(args.latency) || 0;
+const JITTER = Number(args.jitter) || 0;
+const MODE = args.mode === 'update' ? 'update' : 'batch';
+const BINARY = args.binary !== undefined;
+const TIME_SCALE = Number(args['time-scale']) || 1;
+const INTERVAL = 1000 / RATE;
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Link impairments use their own stream so they don't disturb the simulation
+const random = new SeededRandom(args.seed ?? 'mock');
+const linkRandom = random.fork('link').next;
+
+const graph = args.graph
+  ? NavGraph.fromJSON(JSON.parse(fs.readFileSync(args.graph, 'utf8')))
+  : buildDemoGraph();
+
+const simulation = args.scenario
+  ? createScenarioSimulation(JSON.parse(fs.readFileSync(args.scenario, 'utf8')))
+  : createHaulSimulation();
+
+// Latest message per vehicle (REST snapshot)
+const fleet = new Map();
+const clients = new Set();
+
+/**
+ * Small three-level network: a ramp from the portal (dump) down to two
+ * levels with dead-end stopes (loading faces)
+ */
+function buildDemoGraph() {
+  const demo = new NavGraph();
+  const node = (x, y, z) => demo.addNode({ x, y, z }).id;
+  const edge = (from, to, via = []) => {
+    const points = [demo.getNode(from).position, ...via, demo.getNode(to).position];
+    demo.addEdge(from, to, resamplePolyline(points, 4));
+  };
+
+  const portal = node(0, 0, 0);
+  const level1 = node(60, -20, 0);
+  const level2 = node(120, -40, 0);
+
+  edge(portal, level1, [{ x: 30, y: -10, z: 15 }]);
+  edge(level1, level2, [{ x: 90, y: -30, z: -15 }]);
+
+  const drive = node(60, -20, 60);
+  edge(level1, drive);
+  edge(drive, node(100, -20, 60));
+  edge(drive, node(60, -20, 120));
+  edge(level1, node(60, -20, -60));
+
+  edge(level2, node(120, -40, 80));
+  edge(level2, node(180, -40, 0), [{ x: 150, y: -40, z: 10 }]);
+  edge(level2, node(120, -40, -70));
+
+  return demo;
+}
+
+/**
+ * Free-running haul cycles for --fleet vehicles
+ */
+function createHaulSimulation() {
+  const simulator = new HaulSimulator({
+    graph,
+    config: { timeScale: TIME_SCALE },
+    random: random.fork('sites').next
+  });
+
+  const types = ['haul_truck', 'dump_truck', 'loader'];
+  const groups = ['transport', 'hauling', 'loading'];
+  const prefixes = ['HAUL', 'TRUCK', 'LOADER'];
+  const vehicles = [];
+  const now = Date.now();
+
+  for (let i = 1; i <= FLEET_SIZE; i++) {
+    const id = `${prefixes[i % 3]}_${String(i).padStart(2, '0')}`;
+    if (simulator.addVehicle(id, now, { random: random.fork(id).next })) {
+      vehicles.push({ id, type: types[i % 3], group: groups[i % 3] });
+    }
+  }
+
+  console.log(`Haul simulation: ${vehicles.length} vehicles`);
+
+  return {
+    step() {
+      const now = Date.now();
+      return vehicles.map((vehicle) => {
+        const state = simulator.advanceVehicle(vehicle.id, now);
+        return {
+          id: vehicle.id,
+          type: vehicle.type,
+          group: vehicle.group,
+          status: state.status,
+          position: { ...state.position },
+          heading: state.heading,
+          speed: state.speed,
+          tripEvents: state.tripEvents,
+          metadata: {
+            driver: `Driver ${vehicle.id.slice(-2)}`,
+            fuelLevel: state.fuelLevel,
+            lastMaintenance: state.lastMaintenance
+          },
+          timestamp: now
+        };
+      });
+    }
+  };
+}
+
+/**
+ * Scenario playback (--scenario); loops when the scenario ends
+ */
+function createScenarioSimulation(scenario) {
+  let runner = null;
+  let startTime = 0;
+  const restart = () => {
+    runner = new ScenarioRunner({ scenario, graph, config: { updateInterval: INTERVAL } });
+    startTime = Date.now();
+    console.log(`Scenario '${runner.name}' started (${runner.fleet.length} vehicles)`);
+  };
+  restart();
+
+  return {
+    step() {
+      const { updates, events } = runner.advanceTo((Date.now() - startTime) * TIME_SCALE);
+      events.forEach((event) => console.log(`Scenario: ${event.type} ${event.state} (${event.vehicle})`));
+
+      const toWall = (time) => startTime + time / TIME_SCALE;
+      const messages = updates.map((update) => ({
+        ...update,
+        tripEvents: update.tripEvents.map((event) => ({ ...event, time: toWall(event.time) })),
+        metadata: { ...update.metadata, lastMaintenance: toWall(update.metadata.lastMaintenance) },
+        timestamp: toWall(runner.time)
+      }));
+
+      if (runner.finished) restart();
+      return messages;
+    }
+  };
+}
+
+function tick() {
+  const updates = simulation.step();
+  updates.forEach((update) => fleet.set(update.id, update));
+  if (updates.length === 0) return;
+
+  clients.forEach((client) => {
+    if (client.binary) {
+      client.encoder.encode(updates).forEach((frame) => deliver(client, Buffer.from(frame), 0x2));
+    } else if (MODE === 'batch') {
+      deliver(client, JSON.stringify({ type: 'vehicle_batch', vehicles: updates }), 0x1);
+    } else {
+      updates.forEach((update) => {
+        deliver(client, JSON.stringify({ ...update, type: 'vehicle_update', vehicleType: update.type }), 0x1);
+      });
+    }
+  });
+}
+
+/**
+ * Send with simulated loss and latency
+ * Dropped binary frames make the client's decoder request a resync.
+ */
+function deliver(client, payload, opcode) {
+  if (LOSS > 0 && linkRandom() < LOSS) {
+    client.dropped++;
+    return;
+  }
+
+  afterLatency(() => {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(payload, opcode));
+  });
+}
+
+function afterLatency(callback) {
+  const delay = LATENCY + linkRandom() * JITTER;
+  if (delay > 0) setTimeout(callback, delay);
+  else callback();
+}
+
+/**
+ * WebSocket handshake (RFC 6455) and subprotocol selection
+ */
+function handleUpgrade(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const offered = (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const protocol = BINARY && offered.includes(BINARY_SUBPROTOCOL)
+    ? BINARY_SUBPROTOCOL
+    : offered.includes(JSON_SUBPROTOCOL) ? JSON_SUBPROTOCOL : null;
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    ...(protocol ? [`Sec-WebSocket-Protocol: ${protocol}`] : []),
+    '',
+    ''
+  ].join('\r\n'));
+
+  const client = {
+    socket,
+    binary: protocol === BINARY_SUBPROTOCOL,
+    encoder: new TelemetryFrameEncoder(),
+    buffer: Buffer.alloc(0),
+    dropped: 0
+  };
+  clients.add(client);
+  console.log(`WebSocket client connected (${client.binary ? 'binary' : 'json'}), ${clients.size} open`);
+
+  socket.on('data', (chunk) => {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    readFrames(client);
+  });
+  socket.on('close', () => {
+    clients.delete(client);
+    console.log(`WebSocket client disconnected (${client.dropped} messages dropped), ${clients.size} open`);
+  });
+  socket.on('error', () => socket.destroy());
+}
+
+/**
+ * Parse complete client frames from the buffer (client frames are masked)
+ */
+function readFrames(client) {
+  for (;;) {
+    const buffer = client.buffer;
+    if (buffer.length < 2) return;
+
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    client.buffer = buffer.subarray(offset + length);
+
+    handleFrame(client, opcode, payload);
+  }
+}
+
+function handleFrame(client, opcode, payload) {
+  switch (opcode) {
+    case 0x1:
+      handleClientMessage(client, payload.toString('utf8'));
+      break;
+    case 0x8:
+      client.socket.end(encodeFrame(payload, 0x8));
+      break;
+    case 0x9:
+      client.socket.write(encodeFrame(payload, 0xa));
+      break;
+  }
+}
+
+/**
+ * Client control messages: heartbeat pings and binary resync requests
+ */
+function handleClientMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    return;
+  }
+
+  if (message.type === 'ping') {
+    afterLatency(() => {
+      if (!client.socket.destroyed) {
+        client.socket.write(encodeFrame(JSON.stringify({ type: 'pong', time: message.time }), 0x1));
+      }
+    });
+  } else if (message.type === 'resync' && client.binary) {
+    console.log('Binary client requested resync');
+    client.encoder.reset();
+  }
+}
+
+/**
+ * Unmasked server frame
+ */
+function encodeFrame(payload, opcode) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  let header;
+
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+
+  return Buffer.concat([header, data]);
+}
+
+function sendJson(res, status, body) {
+  afterLatency(() => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const path = url.pathname.replace(/\/$/, '');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    return res.end();
+  }
+  if (req.method === 'POST' && (path === '/connect' || path === '/api/vehicles/connect')) {
+    return sendJson(res, 200, { ok: true, vehicles: fleet.size, rate: RATE });
+  }
+  if (req.method === 'GET' && path === '/api/vehicles') {
+    return sendJson(res, 200, [...fleet.values()]);
+  }
+  if (req.method === 'GET' && path.startsWith('/api/vehicles/')) {
+    const vehicle = fleet.get(decodeURIComponent(path.slice('/api/vehicles/'.length)));
+    return vehicle ? sendJson(res, 200, vehicle) : sendJson(res, 404, { error: 'Not found' });
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+});
+
+server.on('upgrade', handleUpgrade);
+
+function parseArgs(argv) {
+  const result = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+
+    // Flags without a value (--binary) are stored as 'true'
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      result[argv[i].slice(2)] = 'true';
+    } else {
+      result[argv[i].slice(2)] = next;
+      i++;
+    }
+  }
+  return result;
+}
+
+setInterval(tick, INTERVAL);
+
+server.listen(PORT, () => {
+  const stats = graph.getStats();
+  console.log(`Mock telemetry server on http://localhost:${PORT} and ws://localhost:${PORT}`);
+  console.log(`  graph: ${stats.nodes} nodes, ${stats.edges} edges | rate ${RATE}/s | mode ${MODE}${BINARY ? ' (+binary)' : ''}`);
+  console.log(`  loss ${LOSS * 100}% | latency ${LATENCY}ms (+${JITTER}ms jitter)`);
+});
@@ -0,0 +1,157 @@
+/**
+ * SSE Stub Server - Local backend for the 'sse' data source
+ *
+ * Serves a small fleet moving in circles around the origin, using only
+ * Node built-ins. Start the dev server with
+ * API_PROXY_TARGET=http://localhost:3001 to proxy /api here (vite.config.js).
+ *
+ * Endpoints:
+ * - POST /api/vehicles/connect  - handshake used by VehicleAPIService
+ * - GET  /api/vehicles          - current fleet (array)
+ * - GET  /api/vehicles/:id      - single vehicle
+ * - GET  /api/vehicles/stream   - 'vehicle_batch' event stream
+ *
+ * Streams resume from the Last-Event-ID header or ?lastEventId= query:
+ * buffered batches after that id are replayed before live batches.
+ *
+ * Usage:
+ *   node server/sse-stub-server.js [--port 3001] [--vehicles 10]
+ *     [--interval 500] [--drop-every 0]
+ *
+ * --drop-every N closes every stream after N seconds to exercise resume.
+ */
+
+import http from 'node:http';
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port) || 3001;
+const VEHICLE_COUNT = Number(args.vehicles) || 10;
+const INTERVAL = Number(args.interval) || 500;
+const DROP_EVERY = Number(args['drop-every']) || 0;
+const HISTORY_SIZE = 200;
+
+const TYPES = ['dump_truck', 'loader', 'haul_truck'];
+
+// Fleet state
+const vehicles = Array.from({ length: VEHICLE_COUNT }, (_, i) => ({
+  id: `TRUCK_${String(i + 1).padStart(2, '0')}`,
+  type: TYPES[i % TYPES.length],
+  group: `Group ${String.fromCharCode(65 + (i % 3))}`,
+  level: i % 4,
+  radius: 10 + i * 3,
+  angle: (i / VEHICLE_COUNT) * Math.PI * 2,
+  angularSpeed: 0.05 + (i % 5) * 0.01
+}));
+
+// Recent batches for Last-Event-ID replay: [{ id, data }]
+const history = [];
+let nextEventId = 1;
+const clients = new Set();
+
+function snapshot() {
+  return vehicles.map((v) => ({
+    id: v.id,
+    type: v.type,
+    group: v.group,
+    level: v.level,
+    status: 'moving',
+    position: {
+      x: Math.cos(v.angle) * v.radius,
+      y: -v.level * 10,
+      z: Math.sin(v.angle) * v.radius
+    },
+    // Same convention as the simulator: atan2(dx, dz)
+    heading: (((-v.angle * 180) / Math.PI) % 360 + 360) % 360,
+    speed: v.angularSpeed * v.radius * (1000 / INTERVAL) * 3.6,
+    timestamp: Date.now()
+  }));
+}
+
+function tick() {
+  vehicles.forEach((v) => {
+    v.angle += v.angularSpeed;
+  });
+
+  const batch = { id: nextEventId++, data: JSON.stringify({ type: 'vehicle_batch', vehicles: snapshot() }) };
+  history.push(batch);
+  if (history.length > HISTORY_SIZE) history.shift();
+
+  clients.forEach((res) => writeEvent(res, batch));
+}
+
+function writeEvent(res, batch) {
+  res.write(`id: ${batch.id}\nevent: vehicle_batch\ndata: ${batch.data}\n\n`);
+}
+
+function openStream(req, res, url) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 2000\n\n');
+
+  const lastEventId = Number(req.headers['last-event-id'] ?? url.searchParams.get('lastEventId'));
+  if (Number.isFinite(lastEventId) && lastEventId > 0) {
+    const missed = history.filter((batch) => batch.id > lastEventId);
+    console.log(`Stream resumed after ${lastEventId}, replaying ${missed.length} batches`);
+    missed.forEach((batch) => writeEvent(res, batch));
+  } else {
+    console.log('Stream opened');
+  }
+
+  clients.add(res);
+
+  let dropTimer = null;
+  if (DROP_EVERY > 0) {
+    dropTimer = setTimeout(() => res.end(), DROP_EVERY * 1000);
+  }
+
+  req.on('close', () => {
+    clearTimeout(dropTimer);
+    clients.delete(res);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const path = url.pathname.replace(/\/$/, '');
+
+  if (req.method === 'POST' && path === '/api/vehicles/connect') {
+    return sendJson(res, 200, { ok: true, vehicles: VEHICLE_COUNT });
+  }
+  if (req.method === 'GET' && path === '/api/vehicles/stream') {
+    return openStream(req, res, url);
+  }
+  if (req.method === 'GET' && path === '/api/vehicles') {
+    return sendJson(res, 200, snapshot());
+  }
+  if (req.method === 'GET' && path.startsWith('/api/vehicles/')) {
+    const vehicle = snapshot().find((v) => v.id === decodeURIComponent(path.slice('/api/vehicles/'.length)));
+    return vehicle ? sendJson(res, 200, vehicle) : sendJson(res, 404, { error: 'Not found' });
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+});
+
+function parseArgs(argv) {
+  const result = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      result[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return result;
+}
+
+setInterval(tick, INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`SSE stub server on http://localhost:${PORT} (${VEHICLE_COUNT} vehicles, ${INTERVAL}ms)`);
+});
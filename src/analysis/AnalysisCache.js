@@ -0,0 +1,153 @@
+/**
+ * AnalysisCache - Persistent Cache of Derived Mine Analysis
+ *
+ * Stores GeometryAnalysis results, with the serialized spatial index, in
+ * IndexedDB so later page loads skip both the raycast scans and the BVH
+ * build. Entries are keyed by a SHA-256 of the model file's identity (URL
+ * plus the server's ETag, Last-Modified and size) and every setting the
+ * result depends on (origin offset, coordinates, analysis config). The
+ * geometry itself is never read to make a key. A changed file or config
+ * produces a new key; old entries age out.
+ *
+ * Features:
+ * - No manual invalidation while the server reports file changes
+ * - Oldest entries pruned beyond maxEntries
+ * - Silently disabled where IndexedDB or WebCrypto is unavailable
+ */
+
+// Bump when the shape of cached entries changes
+const CACHE_VERSION = 2;
+
+const DB_NAME = 'mine-visualization';
+const STORE_NAME = 'analysis';
+
+export class AnalysisCache {
+  constructor(options = {}) {
+    this.config = options.config || {};
+
+    this.maxEntries = this.config.maxEntries || 5;
+    this.enabled = this.config.enabled !== false &&
+      typeof indexedDB !== 'undefined' &&
+      typeof crypto !== 'undefined' && !!crypto.subtle;
+
+    this.dbPromise = null;
+  }
+
+  /**
+   * Cache key for a model file and analysis settings
+   * @param {{url, etag, lastModified, size}} file - Model file identity (fetchFileIdentity)
+   * @param {Object} settings - Everything else the result depends on
+   * @returns {Promise<string>} Hex digest
+   */
+  async computeKey(file, settings) {
+    const text = JSON.stringify({ version: CACHE_VERSION, file, settings });
+    return toHex(await digest(new TextEncoder().encode(text)));
+  }
+
+  /**
+   * Cached result for a key
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+
+    const entry = await this.request('readonly', (store) => store.get(key));
+    return entry ? entry.result : null;
+  }
+
+  /**
+   * Store a result and prune old entries
+   */
+  async set(key, result) {
+    if (!this.enabled) return;
+
+    await this.request('readwrite', (store) => store.put({ key, createdAt: Date.now(), result }));
+    await this.prune();
+  }
+
+  /**
+   * Drop all but the newest maxEntries entries
+   */
+  async prune() {
+    const entries = await this.request('readonly', (store) => store.getAll());
+    const stale = entries
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(this.maxEntries);
+
+    for (const entry of stale) {
+      await this.request('readwrite', (store) => store.delete(entry.key));
+    }
+  }
+
+  /**
+   * Remove every cached analysis
+   */
+  async clear() {
+    if (!this.enabled) return;
+    await this.request('readwrite', (store) => store.clear());
+  }
+
+  /**
+   * Open (once) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one store request in its own transaction
+   */
+  async request(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * Identity of a file as reported by its server (HEAD request)
+ * @param {string} url
+ * @returns {Promise<{url, etag, lastModified, size}|null>} null if the server
+ *          reports nothing that changes with the file
+ */
+export async function fetchFileIdentity(url) {
+  const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+  if (!response.ok) return null;
+
+  const etag = response.headers.get('ETag');
+  const lastModified = response.headers.get('Last-Modified');
+  const size = response.headers.get('Content-Length');
+  if (!etag && !lastModified) return null;
+
+  return { url: new URL(url, location.href).href, etag, lastModified, size };
+}
+
+/**
+ * SHA-256 of a typed array's bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function digest(data) {
+  const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,154 @@
+/**
+ * GeometryAnalysis - One-Off Analysis of the Mine Geometry
+ *
+ * Everything derived from the mine model by raycasting at startup: the
+ * navigation graph, the fallback tunnel position scan, default marker
+ * placement and the mine levels. DOM-free, so the same code runs in the analysis worker and,
+ * if workers are unavailable, on the main thread.
+ *
+ * Geometry crosses to the worker as plain typed arrays (one entry per mesh
+ * with its world matrix), so the buffers can be transferred, not copied.
+ *
+ * Progress stages: 'index', 'navigation', 'scan', 'markers', 'levels'
+ */
+
+import * as THREE from 'three';
+import { SpatialIndex } from '../utils/SpatialIndex.js';
+import { NavGraphBuilder } from '../navigation/NavGraphBuilder.js';
+import { scanTunnelPositions, findNearestTunnelPosition, SCAN_STEP } from '../navigation/TunnelScanner.js';
+import { detectLevels } from './MineLevels.js';
+
+// Smallest progress step worth reporting
+const PROGRESS_STEP = 0.02;
+
+/**
+ * Copy a model's mesh geometry into transferable buffers
+ * @param {THREE.Object3D} model - Mine model
+ * @returns {{meshes: Array<{positions, index, matrix}>, transfer: ArrayBuffer[]}}
+ */
+export function packGeometry(model) {
+  const meshes = [];
+  const transfer = [];
+
+  model.updateMatrixWorld(true);
+  model.traverse((child) => {
+    const position = child.isMesh ? child.geometry?.attributes.position : null;
+    if (!position) return;
+
+    // Copies, so the rendered geometry keeps its buffers
+    const positions = new Float32Array(position.count * 3);
+    for (let i = 0; i < position.count; i++) {
+      positions[i * 3] = position.getX(i);
+      positions[i * 3 + 1] = position.getY(i);
+      positions[i * 3 + 2] = position.getZ(i);
+    }
+    const index = child.geometry.index ? new Uint32Array(child.geometry.index.array) : null;
+
+    meshes.push({ positions, index, matrix: child.matrixWorld.toArray() });
+    transfer.push(positions.buffer);
+    if (index) transfer.push(index.buffer);
+  });
+
+  return { meshes, transfer };
+}
+
+/**
+ * Rebuild packed geometry as a group of meshes
+ * @returns {THREE.Group}
+ */
+export function unpackGeometry(meshes) {
+  const group = new THREE.Group();
+  const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+
+  meshes.forEach(({ positions, index, matrix }) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    if (index) geometry.setIndex(new THREE.BufferAttribute(index, 1));
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.matrixAutoUpdate = false;
+    mesh.matrix.fromArray(matrix);
+    group.add(mesh);
+  });
+
+  return group;
+}
+
+/**
+ * Run the full analysis
+ * @param {Object} input - { meshes, bounds: {min, max}, navigation, spatialIndex,
+ *                           markers: [{id, x, z}], levels }
+ * @param {Function} onProgress - Called with { stage, progress (0-1) }
+ * @returns {{navGraph: Object|null, tunnelPositions: Array, markerPositions: Object, levels: Array}}
+ *          navGraph is plain JSON (NavGraph.fromJSON)
+ */
+export function analyzeGeometry(input, onProgress = () => {}) {
+  const startTime = performance.now();
+  const bounds = new THREE.Box3(
+    new THREE.Vector3().copy(input.bounds.min),
+    new THREE.Vector3().copy(input.bounds.max)
+  );
+
+  const report = createReporter(onProgress);
+
+  report('index', 0);
+  const index = new SpatialIndex({ config: input.spatialIndex }).build(unpackGeometry(input.meshes));
+  report('index', 1);
+
+  let navGraph = null;
+  if (input.navigation?.enabled !== false) {
+    try {
+      const builder = new NavGraphBuilder({ config: input.navigation });
+      navGraph = builder.build(index, bounds, (fraction) => report('navigation', fraction));
+    } catch (error) {
+      console.error('Navigation graph extraction failed:', error);
+    }
+  }
+
+  // The grid scan only feeds simulated paths when there is no graph
+  let tunnelPositions = [];
+  if (!(navGraph?.edges.size > 0)) {
+    tunnelPositions = scanTunnelPositions(index, bounds, {
+      onProgress: (fraction) => report('scan', fraction)
+    });
+  }
+
+  const markerPositions = {};
+  const markers = input.markers || [];
+  markers.forEach((marker, i) => {
+    markerPositions[marker.id] = findNearestTunnelPosition(index, marker, bounds, navGraph);
+    report('markers', (i + 1) / markers.length);
+  });
+
+  let levels = [];
+  if (input.levels?.enabled !== false) {
+    report('levels', 0);
+    levels = detectLevels({ navGraph, tunnelPositions, scanStep: SCAN_STEP }, input.levels);
+    report('levels', 1);
+  }
+
+  index.dispose();
+  console.log(`GeometryAnalysis: Finished in ${(performance.now() - startTime).toFixed(0)}ms`);
+
+  return {
+    navGraph: navGraph ? navGraph.toJSON() : null,
+    tunnelPositions,
+    markerPositions,
+    levels
+  };
+}
+
+/**
+ * Progress callback that skips steps too small to show
+ */
+function createReporter(onProgress) {
+  let lastStage = null;
+  let lastProgress = 0;
+
+  return (stage, progress) => {
+    if (stage === lastStage && progress < 1 && progress - lastProgress < PROGRESS_STEP) return;
+    lastStage = stage;
+    lastProgress = progress;
+    onProgress({ stage, progress });
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * MineLevels - Mine Levels Detected from Tunnel Floor Elevations
+ *
+ * Levels are the flat horizons of a mine, joined by ramps. They are found
+ * by clustering the elevations of near-level tunnel:
+ * - Centerline segments no steeper than maxGradient, weighted by their
+ *   horizontal length (ramps are left out)
+ * - Without a navigation graph, the grid-scanned tunnel positions
+ * - Sorted elevations split wherever the gap exceeds clusterGap
+ * - Clusters with less than minLength metres of tunnel dropped (sumps,
+ *   stockpile bays) and clusters closer than minSeparation merged
+ *
+ * detectLevels() is DOM-free and runs in the geometry analysis worker.
+ * MineLevels names the result from config and assigns positions to levels:
+ * each level owns the heights closer to it than to its neighbours. Each
+ * level also gets a drawing band, from bandBelow metres under its
+ * elevation to bandAbove metres over it (level isolation, exploded view).
+ *
+ * Level ids count down from the top level (0). Elevations are scene
+ * heights of vehicle positions, which sit just above the floor. Distances
+ * in the config are metres; detectLevels() takes them in scene units
+ * (MineLevels.getDetectionConfig()).
+ */
+
+// Settings given in metres (converted to scene units)
+const LENGTH_SETTINGS = ['clusterGap', 'minLength', 'minSeparation', 'bandBelow', 'bandAbove'];
+
+const DEFAULTS = {
+  maxGradient: 0.05,    // Steeper centerline segments are ramps
+  clusterGap: 2,        // m; larger height gaps separate clusters
+  minLength: 30,        // m of flat tunnel for a level
+  minSeparation: 8,     // m; closer clusters are one level
+  nameFormat: '{rl} RL', // {rl}: rounded survey elevation, {number}: 1 = top level
+  bandBelow: 3,         // m of geometry under a level's elevation
+  bandAbove: 8          // m over it (backs)
+};
+
+/**
+ * Find levels in the analysed geometry
+ * @param {Object} input - { navGraph (NavGraph), tunnelPositions: [{x, y, z}], scanStep }
+ * @param {Object} config - levels config, lengths in scene units
+ * @returns {Array<{elevation, min, max, length}>} Top level first
+ */
+export function detectLevels(input, config = {}) {
+  const settings = { ...DEFAULTS, ...config };
+  const samples = [];
+
+  if (input.navGraph?.edges.size > 0) {
+    input.navGraph.edges.forEach((edge) => {
+      for (let i = 0; i < edge.points.length - 1; i++) {
+        const a = edge.points[i];
+        const b = edge.points[i + 1];
+        const run = Math.hypot(b.x - a.x, b.z - a.z);
+        if (run > 0 && Math.abs(b.y - a.y) / run <= settings.maxGradient) {
+          samples.push({ y: (a.y + b.y) / 2, weight: run });
+        }
+      }
+    });
+  } else {
+    // Each scanned position stands for one grid step of tunnel
+    const weight = input.scanStep || 1;
+    (input.tunnelPositions || []).forEach((position) => samples.push({ y: position.y, weight }));
+  }
+
+  if (samples.length === 0) return [];
+  samples.sort((a, b) => a.y - b.y);
+
+  // Split at height gaps
+  const clusters = [];
+  let current = null;
+  samples.forEach((sample) => {
+    if (!current || sample.y - current.max > settings.clusterGap) {
+      current = { sum: 0, length: 0, min: sample.y, max: sample.y };
+      clusters.push(current);
+    }
+    current.sum += sample.y * sample.weight;
+    current.length += sample.weight;
+    current.max = sample.y;
+  });
+
+  // Drop small clusters, then merge levels that are too close together
+  const levels = [];
+  clusters
+    .filter((cluster) => cluster.length >= settings.minLength)
+    .forEach((cluster) => {
+      const previous = levels[levels.length - 1];
+      if (previous && cluster.sum / cluster.length - previous.sum / previous.length < settings.minSeparation) {
+        previous.sum += cluster.sum;
+        previous.length += cluster.length;
+        previous.max = cluster.max;
+      } else {
+        levels.push({ ...cluster });
+      }
+    });
+
+  return levels
+    .map(({ sum, length, min, max }) => ({ elevation: sum / length, min, max, length }))
+    .reverse();
+}
+
+export class MineLevels {
+  constructor(options = {}) {
+    this.config = { ...DEFAULTS, ...options.config };
+    this.transform = options.transform || null;
+
+    this.enabled = this.config.enabled !== false;
+    this.names = this.config.names || {}; // rounded RL -> name
+    this.levels = [];
+  }
+
+  /**
+   * Config for detectLevels(), lengths converted to scene units
+   */
+  getDetectionConfig() {
+    const config = { ...this.config };
+    if (this.transform) {
+      LENGTH_SETTINGS.forEach((key) => {
+        config[key] = this.transform.lengthToScene(config[key]);
+      });
+    }
+    return config;
+  }
+
+  /**
+   * Use detected levels (replaces any earlier set)
+   * @param {Array<{elevation, min, max, length}>} detected - detectLevels() result
+   * @returns {Array} Named levels with their bands ({ min, max })
+   */
+  setLevels(detected = []) {
+    const { bandBelow, bandAbove } = this.getDetectionConfig();
+    this.levels = this.enabled ? detected.map((level, id) => {
+      const rl = Math.round(this.transform ? this.transform.elevationToWorld(level.elevation) : level.elevation);
+      return {
+        ...level,
+        id,
+        rl,
+        band: {
+          min: level.elevation - bandBelow,
+          max: level.elevation + bandAbove
+        },
+        name: this.names[rl] || this.config.nameFormat
+          .replace('{rl}', rl)
+          .replace('{number}', id + 1)
+      };
+    }) : [];
+
+    if (this.levels.length > 0) {
+      console.log(`MineLevels: ${this.levels.map((level) => level.name).join(', ')}`);
+    }
+    return this.levels;
+  }
+
+  getLevels() {
+    return this.levels;
+  }
+
+  getLevel(id) {
+    return this.levels[id] || null;
+  }
+
+  /**
+   * Level id for a scene position (nearest level by height)
+   * @returns {number|null} null when no levels were detected
+   */
+  getLevelAt(position) {
+    if (!position || this.levels.length === 0) return null;
+
+    let best = null;
+    let bestDistance = Infinity;
+    this.levels.forEach((level) => {
+      const distance = Math.abs(position.y - level.elevation);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = level.id;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Set an update's level from its position
+   * Reported levels are kept when no levels were detected.
+   * @param {Object} data - Vehicle update (scene coordinates)
+   * @returns {Object}
+   */
+  assign(data) {
+    const level = this.getLevelAt(data.position);
+    return level === null ? data : { ...data, level };
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Geometry analysis worker
+ *
+ * Receives { id, input } (see GeometryAnalysis.analyzeGeometry) and posts
+ * back { type: 'progress' | 'result' | 'error', id, ... }.
+ */
+
+import { analyzeGeometry } from './GeometryAnalysis.js';
+
+self.onmessage = (event) => {
+  const { id, input } = event.data;
+
+  try {
+    const result = analyzeGeometry(input, (progress) => {
+      self.postMessage({ type: 'progress', id, ...progress });
+    });
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
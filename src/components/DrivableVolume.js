@@ -1,34 +1,51 @@
 /**
- * DrivableVolume - Collision-Based Containment System
+ * DrivableVolume - Point-In-Tunnel Containment
  * 
  * PURPOSE:
- * Keeps vehicles inside mine tunnels using raycasting collision detection.
- * Vehicles cannot pass through walls - they stop at boundaries.
+ * Answers "is this position inside a tunnel?" so bad positioning data is
+ * surfaced instead of drawing trucks inside rock.
  * 
  * HOW IT WORKS:
- * 1. Before moving, cast a ray from current position toward target
- * 2. If ray hits mine geometry before reaching target, stop at hit point
- * 3. Also checks if position is inside tunnel (has ceiling above)
+ * - Mine model: one downward ray per column collects every surface hit.
+ *   Roof/floor pairs with a plausible clearance are tunnel intervals (same
+ *   rule as NavGraphBuilder); a point is inside if its height falls in one.
+ *   Columns are cached on a fine grid, so repeat positions cost nothing.
+ * - Loaded volume mesh (closed): odd/even ray crossing test.
+ * All rays go through a SpatialIndex (the shared mine index, or one built
+ * for the volume mesh).
+ * 
+ * Points outside can be clamped: vertically into the nearest tunnel
+ * interval of the same column, otherwise onto the nearest NavGraph
+ * centerline point within maxCorrection.
  * 
  * This is visual containment, NOT physics simulation.
  */
 
 import * as THREE from 'three';
+import { SpatialIndex } from '../utils/SpatialIndex.js';
 
 // Reusable objects to avoid garbage collection
-const _raycaster = new THREE.Raycaster();
-const _direction = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+const _down = new THREE.Vector3(0, -1, 0);
 const _tempVec = new THREE.Vector3();
 const _resultPos = new THREE.Vector3();
 
+// Hits closer than this are the same surface (coincident / double-sided faces)
+const HIT_MERGE_DISTANCE = 0.05;
+
 export class DrivableVolume {
   constructor(options = {}) {
     this.scene = options.scene;
     this.assetLoader = options.assetLoader;
+    this.config = options.config || {};
     
-    // Reference to mine mesh for raycasting
+    // Reference to mine mesh, and the index all raycasts go through
     this.mineModelRef = null;
-    this.mineMeshes = []; // Array of meshes for collision
+    this.spatialIndex = null;
+    this.ownsIndex = false; // Built here for a volume mesh (disposed with it)
+    
+    // 'tunnel' (mine model columns) or 'closed' (dedicated volume mesh)
+    this.mode = 'tunnel';
     
     // Pre-computed bounding box for fast rejection
     this.boundingBox = null;
@@ -37,8 +54,20 @@ export class DrivableVolume {
     // Flag indicating if volume is ready
     this.isReady = false;
     
-    // Collision settings
-    this.collisionMargin = 0.3; // Stop this far from walls
+    // Containment settings
+    this.tolerance = this.config.tolerance ?? 0.5; // Slack above roof / below floor
+    this.maxCorrection = this.config.maxCorrection ?? 5; // Furthest a point is clamped
+    this.minClearance = this.config.minClearance ?? 1.0;
+    this.maxClearance = this.config.maxClearance ?? 20;
+    this.vehicleHeight = this.config.vehicleHeight ?? 1.5; // Clamped points keep this below the roof
+    
+    // Column cache: 'i,k' -> [{ floor, roof }]
+    this.cellSize = this.config.cellSize || 0.5;
+    this.maxCacheSize = this.config.maxCacheSize || 50000;
+    this.columns = new Map();
+    
+    // Centerline graph for horizontal clamping
+    this.navGraph = null;
   }
   
   /**
@@ -46,71 +75,99 @@ export class DrivableVolume {
    * Use this in production with an artist-created simple mesh
    * 
    * @param {string} volumePath - Path to the volume GLTF/GLB file
+   * @param {THREE.Object3D} referenceModel - Mine model whose placement to copy
+   * @returns {Promise<boolean>} Whether the volume loaded
    */
-  async loadVolumeMesh(volumePath) {
+  async loadVolumeMesh(volumePath, referenceModel = null) {
     try {
       console.log('Loading simplified drivable volume mesh:', volumePath);
       
       const gltf = await this.assetLoader.loadGLTF(volumePath);
       this.mineModelRef = gltf.scene;
       
+      // Authored in the mine model's frame - follow its centering
+      if (referenceModel) {
+        this.mineModelRef.position.copy(referenceModel.position);
+        this.mineModelRef.quaternion.copy(referenceModel.quaternion);
+        this.mineModelRef.scale.copy(referenceModel.scale);
+      }
+      
       // Make invisible - don't add to scene, just use for raycasting
       this.mineModelRef.visible = false;
+      this.mineModelRef.updateMatrixWorld(true);
+      
+      // Crossing counts need hits on both sides of every face
+      this.mineModelRef.traverse((child) => {
+        if (child.isMesh) {
+          child.material.side = THREE.DoubleSide;
+        }
+      });
+      this.releaseIndex();
+      this.spatialIndex = new SpatialIndex().build(this.mineModelRef);
+      this.ownsIndex = true;
       
       // Pre-compute bounding box
       this.boundingBox = new THREE.Box3().setFromObject(this.mineModelRef);
       this.computeInnerBounds();
       
-      // Use detailed checking with simplified mesh
-      this.useSimplifiedCheck = false;
-      
+      this.mode = 'closed';
+      this.columns.clear();
       this.isReady = true;
       console.log('Drivable volume loaded successfully');
+      return true;
       
     } catch (error) {
       console.warn('Failed to load drivable volume mesh:', error);
+      return false;
     }
   }
   
   /**
    * Generate drivable volume from the mine model
-   * Collects meshes for collision detection
    * 
    * @param {THREE.Object3D} mineModel - The loaded mine model
+   * @param {SpatialIndex} spatialIndex - Shared index over the mine model
    */
-  generateFromMineModel(mineModel) {
-    if (!mineModel) {
-      console.warn('Cannot generate volume - no mine model');
+  generateFromMineModel(mineModel, spatialIndex) {
+    if (!mineModel || !spatialIndex?.isReady) {
+      console.warn('Cannot generate volume - no indexed mine model');
       return;
     }
     
-    console.log('Generating collision volume from mine model');
+    console.log('Generating drivable volume from mine model');
     
     // Store reference to mine model
     this.mineModelRef = mineModel;
+    this.mineModelRef.updateMatrixWorld(true);
+    this.mode = 'tunnel';
+    this.columns.clear();
     
-    // Collect all meshes for raycasting collision
-    this.mineMeshes = [];
-    mineModel.traverse((child) => {
-      if (child.isMesh) {
-        this.mineMeshes.push(child);
-      }
-    });
-    
-    console.log(`Collected ${this.mineMeshes.length} meshes for collision`);
+    this.releaseIndex();
+    this.spatialIndex = spatialIndex;
     
     // Compute bounding box from original model
     this.boundingBox = new THREE.Box3().setFromObject(mineModel);
     this.computeInnerBounds();
     
     this.isReady = true;
-    console.log('Drivable volume ready with collision detection');
+    console.log('Drivable volume ready for containment checks');
     console.log('Volume bounds:', {
       min: { x: this.boundingBox.min.x.toFixed(2), y: this.boundingBox.min.y.toFixed(2), z: this.boundingBox.min.z.toFixed(2) },
       max: { x: this.boundingBox.max.x.toFixed(2), y: this.boundingBox.max.y.toFixed(2), z: this.boundingBox.max.z.toFixed(2) }
     });
   }
   
+  /**
+   * Drop the current index, disposing it if it was built for a volume mesh
+   */
+  releaseIndex() {
+    if (this.ownsIndex) {
+      this.spatialIndex?.dispose();
+    }
+    this.spatialIndex = null;
+    this.ownsIndex = false;
+  }
+  
   /**
    * Compute inner bounds with margin for vehicle containment
    */
@@ -125,54 +182,184 @@ export class DrivableVolume {
   }
   
   /**
-   * Check if a point is inside the drivable volume (quick check)
+   * Set the centerline graph used to clamp points back into tunnels
+   * @param {NavGraph} graph
+   */
+  setNavGraph(graph) {
+    this.navGraph = graph;
+  }
+  
+  /**
+   * Check if a point is inside the drivable volume
    * 
    * @param {THREE.Vector3} point - Point to test
-   * @returns {boolean} True if inside bounding box
+   * @returns {boolean} True if inside a tunnel (or the volume mesh)
    */
   isPointInside(point) {
     if (!this.isReady || !this.boundingBox) {
       return true; // Permissive fallback
     }
     
-    const bounds = this.innerBounds || this.boundingBox;
-    return bounds.containsPoint(point);
+    if (!this.boundingBox.containsPoint(point)) {
+      return false;
+    }
+    
+    // Closed mesh: an odd number of crossings above the point means inside
+    if (this.mode === 'closed') {
+      return this.spatialIndex.raycast(point, _up).length % 2 === 1;
+    }
+    
+    return this.findInterval(this.getColumn(point.x, point.z), point.y, this.tolerance) !== null;
+  }
+  
+  /**
+   * Test a point and find the nearest valid position if it is outside
+   * 
+   * @param {{x, y, z}} point - Reported position
+   * @returns {{inside: boolean, position: THREE.Vector3|null, distance: number}}
+   *          position is the clamped point (null if nothing within maxCorrection)
+   */
+  constrain(point) {
+    _tempVec.set(point.x, point.y, point.z);
+    if (this.isPointInside(_tempVec)) {
+      return { inside: true, position: _tempVec.clone(), distance: 0 };
+    }
+    
+    // Same column: clamp the height into the closest tunnel interval
+    if (this.mode === 'tunnel') {
+      const interval = this.findInterval(this.getColumn(point.x, point.z), point.y, this.maxCorrection);
+      if (interval) {
+        const top = Math.max(interval.floor, interval.roof - this.vehicleHeight);
+        const y = THREE.MathUtils.clamp(point.y, interval.floor, top);
+        return { inside: false, position: new THREE.Vector3(point.x, y, point.z), distance: Math.abs(y - point.y) };
+      }
+    }
+    
+    // Otherwise the nearest tunnel centerline
+    const nearest = this.navGraph?.findNearestEdgePoint(point, this.maxCorrection);
+    if (nearest) {
+      const { x, y, z } = nearest.point;
+      return { inside: false, position: new THREE.Vector3(x, y, z), distance: nearest.distance };
+    }
+    
+    return { inside: false, position: null, distance: Infinity };
+  }
+  
+  /**
+   * Tunnel intervals in the column containing (x, z), top-down (cached)
+   * @returns {Array<{floor: number, roof: number}>}
+   */
+  getColumn(x, z) {
+    const i = Math.floor(x / this.cellSize);
+    const k = Math.floor(z / this.cellSize);
+    const key = `${i},${k}`;
+    
+    let column = this.columns.get(key);
+    if (column) return column;
+    
+    // Cast at the cell centre so every point in the cell shares one result
+    const { min, max } = this.boundingBox;
+    _resultPos.set((i + 0.5) * this.cellSize, max.y + 10, (k + 0.5) * this.cellSize);
+    column = this.pairSurfaces(this.spatialIndex.raycast(_resultPos, _down, max.y - min.y + 20));
+    
+    if (this.columns.size >= this.maxCacheSize) {
+      this.columns.clear();
+    }
+    this.columns.set(key, column);
+    return column;
+  }
+  
+  /**
+   * Turn top-down hits into roof/floor intervals with a plausible clearance
+   */
+  pairSurfaces(hits) {
+    const heights = [];
+    hits.forEach((hit) => {
+      const y = hit.point.y;
+      if (heights.length === 0 || heights[heights.length - 1] - y > HIT_MERGE_DISTANCE) {
+        heights.push(y);
+      }
+    });
+    
+    const intervals = [];
+    let i = 0;
+    while (i < heights.length - 1) {
+      const clearance = heights[i] - heights[i + 1];
+      if (clearance >= this.minClearance && clearance <= this.maxClearance) {
+        intervals.push({ floor: heights[i + 1], roof: heights[i] });
+        i += 2;
+      } else {
+        i++;
+      }
+    }
+    
+    return intervals;
   }
   
   /**
-   * Check for collision - DISABLED since paths are pre-validated
-   * Just pass through the position
+   * Closest interval to a height, within a margin (null if none)
    */
-  checkCollision(fromPos, toPos) {
-    return { position: toPos.clone(), blocked: false };
+  findInterval(column, y, margin) {
+    let best = null;
+    let bestDistance = margin;
+    
+    column.forEach((interval) => {
+      const distance = y < interval.floor ? interval.floor - y : y > interval.roof ? y - interval.roof : 0;
+      if (distance <= bestDistance) {
+        best = interval;
+        bestDistance = distance;
+      }
+    });
+    
+    return best;
   }
   
   /**
-   * Check if a position is inside a tunnel (has ceiling and floor)
+   * Height of the tunnel floor under a point
+   * Tunnel mode blends the floors of the four nearest columns, so ramps
+   * come out smooth rather than stepped at the cell size.
    * 
-   * @param {THREE.Vector3} point - Point to test
-   * @returns {boolean} True if inside tunnel
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} y - Reported height (picks the level on stacked tunnels)
+   * @param {number} maxDistance - Ignore floors further than this above/below
+   * @returns {number|null} Floor height, or null if there is no floor nearby
    */
-  isInsideTunnel(point) {
-    if (!this.isReady || this.mineMeshes.length === 0) {
-      return true; // Permissive fallback
+  getFloorHeight(x, z, y, maxDistance = this.maxCorrection) {
+    if (!this.isReady) {
+      return null;
     }
     
-    // Cast ray upward to check for ceiling
-    _raycaster.set(point, _tempVec.set(0, 1, 0));
-    _raycaster.far = 50;
-    const ceilingHits = _raycaster.intersectObjects(this.mineMeshes, true);
+    // Closed mesh: first surface below the point
+    if (this.mode === 'closed') {
+      _tempVec.set(x, y + this.tolerance, z);
+      const hit = this.spatialIndex.raycastFirst(_tempVec, _down, maxDistance + this.tolerance);
+      return hit ? hit.point.y : null;
+    }
     
-    // Cast ray downward to check for floor
-    _raycaster.set(point, _tempVec.set(0, -1, 0));
-    _raycaster.far = 50;
-    const floorHits = _raycaster.intersectObjects(this.mineMeshes, true);
+    // Columns are cast at cell centres
+    const u = x / this.cellSize - 0.5;
+    const v = z / this.cellSize - 0.5;
+    const i = Math.floor(u);
+    const k = Math.floor(v);
     
-    // Inside tunnel if we have both ceiling and floor nearby
-    const hasCeiling = ceilingHits.length > 0 && ceilingHits[0].distance < 20;
-    const hasFloor = floorHits.length > 0 && floorHits[0].distance < 5;
+    let sum = 0;
+    let weightSum = 0;
+    for (let di = 0; di <= 1; di++) {
+      for (let dk = 0; dk <= 1; dk++) {
+        const weight = (di ? u - i : 1 - (u - i)) * (dk ? v - k : 1 - (v - k));
+        const column = this.getColumn((i + di + 0.5) * this.cellSize, (k + dk + 0.5) * this.cellSize);
+        const interval = this.findInterval(column, y, maxDistance);
+        
+        // Cells past the tunnel wall have no floor - blend the rest
+        if (interval && weight > 0) {
+          sum += interval.floor * weight;
+          weightSum += weight;
+        }
+      }
+    }
     
-    return hasCeiling && hasFloor;
+    return weightSum > 0 ? sum / weightSum : null;
   }
   
   /**
@@ -204,7 +391,9 @@ export class DrivableVolume {
    */
   dispose() {
     this.mineModelRef = null;
-    this.mineMeshes = [];
+    this.releaseIndex();
+    this.columns.clear();
+    this.navGraph = null;
     this.boundingBox = null;
     this.innerBounds = null;
     this.isReady = false;
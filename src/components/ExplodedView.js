@@ -0,0 +1,249 @@
+/**
+ * ExplodedView - Pull Mine Levels Apart Vertically
+ *
+ * Overlapping levels are hard to read in a dense mine. In exploded view
+ * every level is moved down by `gap` metres more than the level above it
+ * (the top level stays put), so each reads as its own slab.
+ *
+ * The move is a height remap, y -> y + offset(y):
+ * - Inside a level's band (MineLevels) the offset is that level's
+ * - Between two bands it is interpolated, so ramps and shafts stretch
+ *   into connectors between the slabs
+ *
+ * The mine materials are patched to apply the remap in the vertex shader
+ * (the geometry itself is unchanged). Vehicles, markers and anything else
+ * placed on the CPU ask getOffset() for their height, so they move with
+ * their level and stay pickable. Trail materials take the shader patch.
+ * Toggling blends over transitionTime ms. The gap is converted to scene
+ * units with the coordinate transform.
+ */
+
+// Most levels that can be pulled apart (shader array size)
+const MAX_LEVELS = 16;
+
+// Two height breakpoints per level band
+const MAX_POINTS = MAX_LEVELS * 2;
+
+export class ExplodedView {
+  constructor(options = {}) {
+    this.config = options.config || {};
+    this.transform = options.transform || null;
+
+    this.enabled = this.config.enabled !== false;
+    this.active = this.config.active === true;
+    const gap = this.config.gap ?? 30;                       // m added between levels
+    this.gap = this.transform ? this.transform.lengthToScene(gap) : gap;
+    this.transitionTime = this.config.transitionTime ?? 800; // ms
+
+    // Remap breakpoints, lowest first: height -> offset at full explosion
+    this.heights = [];
+    this.offsets = [];
+
+    // Shared by every patched material
+    this.uniforms = {
+      uExplodeHeights: { value: new Array(MAX_POINTS).fill(0) },
+      uExplodeOffsets: { value: new Array(MAX_POINTS).fill(0) },
+      uExplodeCount: { value: 0 },
+      uExplodeFactor: { value: this.active ? 1 : 0 }
+    };
+
+    this.meshes = []; // Patched mine meshes (culling is off while exploded)
+  }
+
+  /**
+   * Patch the mine materials (once, after they are configured)
+   * @param {THREE.Object3D} model - Mine model
+   */
+  attach(model) {
+    if (!this.enabled || !model) return;
+
+    model.traverse((child) => {
+      if (!child.isMesh) return;
+      this.meshes.push({ mesh: child, frustumCulled: child.frustumCulled });
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach((material) => this.patchMaterial(material));
+    });
+    this.updateCulling();
+  }
+
+  /**
+   * Add the height remap to a material's vertex shader
+   * Runs after project_vertex, so other patches still see the true height.
+   * A material is patched once; patching it again only points it at this
+   * view's uniforms.
+   */
+  patchMaterial(material) {
+    if (!this.enabled) return;
+
+    material.userData.explodedUniforms = this.uniforms;
+    if (material.userData.explodedPatched) return;
+    material.userData.explodedPatched = true;
+
+    const previous = material.onBeforeCompile;
+    const previousKey = material.customProgramCacheKey;
+
+    material.onBeforeCompile = (shader, renderer) => {
+      previous?.call(material, shader, renderer);
+      Object.assign(shader.uniforms, material.userData.explodedUniforms);
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>\n${REMAP_VERTEX_HEADER}`)
+        .replace(
+          '#include <project_vertex>',
+          `#include <project_vertex>
+          if (uExplodeFactor > 0.0) {
+            vec4 explodedPosition = modelMatrix * explodeLocalPosition(transformed);
+            explodedPosition.y += explodedOffset(explodedPosition.y);
+            mvPosition = viewMatrix * explodedPosition;
+            gl_Position = projectionMatrix * mvPosition;
+          }`
+        );
+    };
+    material.customProgramCacheKey = () => `${previousKey.call(material)}|exploded-view`;
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Use detected levels (MineLevels)
+   * @param {Array<{elevation, band}>} levels - Top level first
+   */
+  setLevels(levels = []) {
+    const used = levels.slice(0, MAX_LEVELS);
+    if (levels.length > MAX_LEVELS) {
+      console.warn(`ExplodedView: Only the top ${MAX_LEVELS} of ${levels.length} levels are pulled apart`);
+    }
+
+    // Bands may overlap on closely spaced levels - split them halfway
+    this.heights = [];
+    this.offsets = [];
+    for (let i = used.length - 1; i >= 0; i--) {
+      const level = used[i];
+      const below = used[i + 1];
+      const above = used[i - 1];
+      const offset = -i * this.gap;
+
+      const min = below ? Math.max(level.band.min, (level.elevation + below.elevation) / 2) : level.band.min;
+      const max = above ? Math.min(level.band.max, (level.elevation + above.elevation) / 2) : level.band.max;
+      this.heights.push(min, max);
+      this.offsets.push(offset, offset);
+    }
+
+    this.uniforms.uExplodeHeights.value.fill(0);
+    this.uniforms.uExplodeOffsets.value.fill(0);
+    this.heights.forEach((height, i) => {
+      this.uniforms.uExplodeHeights.value[i] = height;
+      this.uniforms.uExplodeOffsets.value[i] = this.offsets[i];
+    });
+    this.uniforms.uExplodeCount.value = this.heights.length;
+  }
+
+  /**
+   * Turn the exploded view on or off
+   */
+  setActive(active) {
+    this.active = active;
+  }
+
+  toggle() {
+    this.setActive(!this.active);
+    return this.active;
+  }
+
+  /**
+   * Current vertical offset for a true (unexploded) scene height
+   * @param {number} y
+   * @returns {number}
+   */
+  getOffset(y) {
+    const factor = this.uniforms.uExplodeFactor.value;
+    if (factor === 0 || this.heights.length === 0) return 0;
+    return factor * remap(this.heights, this.offsets, y);
+  }
+
+  /**
+   * Blend towards the target state
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    if (!this.enabled) return;
+
+    const factor = this.uniforms.uExplodeFactor;
+    const target = this.active ? 1 : 0;
+    if (factor.value === target) return;
+
+    const step = this.transitionTime > 0 ? (deltaTime * 1000) / this.transitionTime : 1;
+    factor.value = Math.abs(target - factor.value) <= step
+      ? target
+      : factor.value + Math.sign(target - factor.value) * step;
+    this.updateCulling();
+  }
+
+  /**
+   * Frustum culling only while collapsed - exploded geometry is drawn
+   * outside its bounding spheres
+   */
+  updateCulling() {
+    const collapsed = this.uniforms.uExplodeFactor.value === 0;
+    this.meshes.forEach(({ mesh, frustumCulled }) => {
+      mesh.frustumCulled = collapsed && frustumCulled;
+    });
+  }
+
+  dispose() {
+    this.meshes = [];
+    this.heights = [];
+    this.offsets = [];
+    this.uniforms.uExplodeCount.value = 0;
+    this.uniforms.uExplodeFactor.value = 0;
+  }
+}
+
+/**
+ * Piecewise-linear offset for a height (breakpoints ascending)
+ */
+function remap(heights, offsets, y) {
+  if (y <= heights[0]) return offsets[0];
+  for (let i = 1; i < heights.length; i++) {
+    if (y < heights[i]) {
+      const span = heights[i] - heights[i - 1];
+      const t = span > 0 ? (y - heights[i - 1]) / span : 1;
+      return offsets[i - 1] + (offsets[i] - offsets[i - 1]) * t;
+    }
+  }
+  return offsets[offsets.length - 1];
+}
+
+// Vertex uniforms and the GLSL twin of remap()
+const REMAP_VERTEX_HEADER = `
+#define MAX_EXPLODE_POINTS ${MAX_POINTS}
+uniform float uExplodeHeights[MAX_EXPLODE_POINTS];
+uniform float uExplodeOffsets[MAX_EXPLODE_POINTS];
+uniform int uExplodeCount;
+uniform float uExplodeFactor;
+
+vec4 explodeLocalPosition(vec3 position) {
+  vec4 local = vec4(position, 1.0);
+  #ifdef USE_INSTANCING
+    local = instanceMatrix * local;
+  #endif
+  return local;
+}
+
+float explodedOffset(float y) {
+  if (uExplodeCount == 0) return 0.0;
+  float offset = uExplodeOffsets[0];
+  if (y > uExplodeHeights[0]) {
+    offset = uExplodeOffsets[uExplodeCount - 1];
+    for (int i = 1; i < MAX_EXPLODE_POINTS; i++) {
+      if (i >= uExplodeCount) break;
+      if (y < uExplodeHeights[i]) {
+        float span = uExplodeHeights[i] - uExplodeHeights[i - 1];
+        float t = span > 0.0 ? (y - uExplodeHeights[i - 1]) / span : 1.0;
+        offset = mix(uExplodeOffsets[i - 1], uExplodeOffsets[i], t);
+        break;
+      }
+    }
+  }
+  return offset * uExplodeFactor;
+}
+`;
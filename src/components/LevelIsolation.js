@@ -0,0 +1,225 @@
+/**
+ * LevelIsolation - Fade Mine Geometry Outside the Selected Level
+ *
+ * Each detected level owns a horizontal band of the mine (MineLevels). The
+ * mine materials are patched (onBeforeCompile) to scale their opacity by
+ * the band a fragment's world height falls in.
+ *
+ * Modes:
+ * - 'ghost': geometry outside the selected level's band drops to ghostOpacity
+ * - 'clip': geometry outside the band is cut away
+ * - stacked (optional, overrides the mode): every level's band stays
+ *   drawn and the rock between bands (ramps, shafts) is cut away, so the
+ *   mine reads as a stack of horizontal slices; unselected levels are
+ *   ghosted
+ *
+ * Band edges fade over `fade` metres, and every change blends over
+ * transitionTime ms. Metre settings are converted to scene units with the
+ * coordinate transform. With 'all' selected and stacking off the mine is
+ * drawn unchanged.
+ */
+
+import * as THREE from 'three';
+
+// Most levels that can be isolated (shader array size)
+const MAX_BANDS = 16;
+
+// Below this opacity factor fragments are discarded
+const CLIP_THRESHOLD = 0.001;
+
+export class LevelIsolation {
+  constructor(options = {}) {
+    this.config = options.config || {};
+    this.transform = options.transform || null;
+
+    this.enabled = this.config.enabled !== false;
+    this.mode = this.config.mode === 'clip' ? 'clip' : 'ghost';
+    this.stacked = this.config.stacked === true;
+    this.ghostOpacity = this.config.ghostOpacity ?? 0.08;
+    this.transitionTime = this.config.transitionTime ?? 600; // ms
+
+    this.levels = [];
+    this.selectedLevel = 'all';
+
+    // Shared by every patched material
+    this.uniforms = {
+      uLevelBands: { value: Array.from({ length: MAX_BANDS }, () => new THREE.Vector2()) },
+      uLevelWeights: { value: new Array(MAX_BANDS).fill(0) },
+      uLevelBandCount: { value: 0 },
+      uLevelOutside: { value: 1 },
+      uLevelFade: { value: Math.max(0.01, this.toScene(this.config.fade ?? 1.5)) }
+    };
+
+    // Blend targets for the weight and outside uniforms
+    this.targetWeights = new Array(MAX_BANDS).fill(0);
+    this.targetOutside = 1;
+  }
+
+  /**
+   * Metres -> scene units
+   */
+  toScene(metres) {
+    return this.transform ? this.transform.lengthToScene(metres) : metres;
+  }
+
+  /**
+   * Patch the mine materials (once, after they are configured)
+   * @param {THREE.Object3D} model - Mine model
+   */
+  attach(model) {
+    if (!this.enabled || !model) return;
+
+    model.traverse((child) => {
+      if (!child.isMesh) return;
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach((material) => this.patchMaterial(material));
+    });
+  }
+
+  /**
+   * Add the band fade to a material's shaders
+   */
+  patchMaterial(material) {
+    const previous = material.onBeforeCompile;
+    const previousKey = material.customProgramCacheKey;
+
+    material.onBeforeCompile = (shader, renderer) => {
+      previous?.call(material, shader, renderer);
+      Object.assign(shader.uniforms, this.uniforms);
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nvarying float vLevelHeight;')
+        .replace(
+          '#include <project_vertex>',
+          '#include <project_vertex>\nvLevelHeight = (modelMatrix * vec4(transformed, 1.0)).y;'
+        );
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>\n${BAND_FRAGMENT_HEADER}`)
+        .replace(
+          '#include <dithering_fragment>',
+          `#include <dithering_fragment>
+          float levelFactor = levelBandFactor(vLevelHeight);
+          if (levelFactor < ${CLIP_THRESHOLD}) discard;
+          gl_FragColor.a *= levelFactor;`
+        );
+    };
+    material.customProgramCacheKey = () => `${previousKey.call(material)}|level-isolation`;
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Use detected levels (MineLevels)
+   * @param {Array<{id, band}>} levels - Top level first
+   */
+  setLevels(levels = []) {
+    this.levels = levels.slice(0, MAX_BANDS);
+    if (levels.length > MAX_BANDS) {
+      console.warn(`LevelIsolation: Only the top ${MAX_BANDS} of ${levels.length} levels can be isolated`);
+    }
+
+    this.levels.forEach((level, i) => {
+      this.uniforms.uLevelBands.value[i].set(level.band.min, level.band.max);
+    });
+    this.uniforms.uLevelBandCount.value = this.levels.length;
+
+    this.selectedLevel = 'all';
+    this.updateTargets();
+  }
+
+  /**
+   * Isolate a level
+   * @param {string|number} level - Level id, or 'all'
+   */
+  setSelectedLevel(level) {
+    this.selectedLevel = level === 'all' ? 'all' : parseInt(level);
+    this.updateTargets();
+  }
+
+  /**
+   * Turn stacked bands on or off
+   */
+  setStacked(stacked) {
+    this.stacked = stacked;
+    this.updateTargets();
+  }
+
+  toggleStacked() {
+    this.setStacked(!this.stacked);
+    return this.stacked;
+  }
+
+  /**
+   * Work out where the uniforms should end up
+   */
+  updateTargets() {
+    const all = this.selectedLevel === 'all';
+    const selected = this.levels.findIndex((level) => level.id === this.selectedLevel);
+
+    this.targetWeights.fill(0);
+    if (this.stacked) {
+      // Every band drawn; the selected one (or all of them) at full opacity
+      this.levels.forEach((level, i) => {
+        this.targetWeights[i] = all || i === selected ? 1 : this.ghostOpacity;
+      });
+      this.targetOutside = this.levels.length > 0 ? 0 : 1;
+    } else if (all || selected < 0) {
+      this.targetOutside = 1;
+    } else {
+      this.targetWeights[selected] = 1;
+      this.targetOutside = this.mode === 'clip' ? 0 : this.ghostOpacity;
+    }
+  }
+
+  /**
+   * Blend the uniforms towards their targets
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    if (!this.enabled) return;
+
+    const step = this.transitionTime > 0 ? (deltaTime * 1000) / this.transitionTime : 1;
+    const weights = this.uniforms.uLevelWeights.value;
+    for (let i = 0; i < MAX_BANDS; i++) {
+      weights[i] = approach(weights[i], this.targetWeights[i], step);
+    }
+    this.uniforms.uLevelOutside.value = approach(this.uniforms.uLevelOutside.value, this.targetOutside, step);
+  }
+
+  dispose() {
+    this.levels = [];
+    this.uniforms.uLevelBandCount.value = 0;
+    this.uniforms.uLevelOutside.value = 1;
+  }
+}
+
+// Fragment uniforms and the band opacity function
+const BAND_FRAGMENT_HEADER = `
+#define MAX_LEVEL_BANDS ${MAX_BANDS}
+uniform vec2 uLevelBands[MAX_LEVEL_BANDS];
+uniform float uLevelWeights[MAX_LEVEL_BANDS];
+uniform int uLevelBandCount;
+uniform float uLevelOutside;
+uniform float uLevelFade;
+varying float vLevelHeight;
+
+float levelBandFactor(float height) {
+  float factor = uLevelOutside;
+  for (int i = 0; i < MAX_LEVEL_BANDS; i++) {
+    if (i >= uLevelBandCount) break;
+    vec2 band = uLevelBands[i];
+    float inside = smoothstep(band.x - uLevelFade, band.x, height) *
+      (1.0 - smoothstep(band.y, band.y + uLevelFade, height));
+    factor = max(factor, inside * uLevelWeights[i]);
+  }
+  return factor;
+}
+`;
+
+/**
+ * Move a value towards a target by at most step
+ */
+function approach(value, target, step) {
+  if (Math.abs(target - value) <= step) return target;
+  return value + Math.sign(target - value) * step;
+}
@@ -10,7 +10,9 @@
  * - Hover highlighting
  * - Click to zoom
  * - Pulsing animation for visibility
- * - Raycasting to ensure markers are inside tunnels
+ * - Default markers placed in the tunnels by the geometry analysis
+ * - Configured locations in survey coordinates (CoordinateTransform)
+ * - Move with their level in the exploded level view
  */
 
 import * as THREE from 'three';
@@ -22,6 +24,12 @@ export class LocationMarkers {
     this.events = options.events;
     this.config = options.config || {};
     
+    // Survey <-> scene conversion for configured locations
+    this.transform = options.transform || null;
+    
+    // Exploded level view: markers move with their level
+    this.explodedView = null;
+    
     // Storage for markers
     this.markers = new Map();
     this.markerGroup = new THREE.Group();
@@ -31,9 +39,6 @@ export class LocationMarkers {
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     
-    // Mine meshes for position validation
-    this.mineMeshes = [];
-    
     // Animation
     this.clock = new THREE.Clock();
     
@@ -50,99 +55,15 @@ export class LocationMarkers {
   }
   
   /**
-   * Set mine model for raycasting validation
-   */
-  setMineModel(model) {
-    this.mineMeshes = [];
-    if (model) {
-      model.traverse((child) => {
-        if (child.isMesh) {
-          this.mineMeshes.push(child);
-        }
-      });
-    }
-    console.log(`LocationMarkers: Collected ${this.mineMeshes.length} meshes for validation`);
-  }
-  
-  /**
-   * Find a valid tunnel position using raycasting (same approach as WebSocketService)
-   * Returns a position on the tunnel floor, or null if not inside a tunnel
-   */
-  findValidTunnelPosition(x, z, maxY) {
-    if (this.mineMeshes.length === 0) {
-      return null;
-    }
-    
-    const raycaster = new THREE.Raycaster();
-    const rayOrigin = new THREE.Vector3(x, maxY + 10, z);
-    raycaster.set(rayOrigin, new THREE.Vector3(0, -1, 0));
-    raycaster.far = 1000;
-    
-    const hits = raycaster.intersectObjects(this.mineMeshes, true);
-    
-    if (hits.length >= 2) {
-      // Sort by Y to get floor and ceiling
-      hits.sort((a, b) => a.point.y - b.point.y);
-      const floorY = hits[0].point.y;
-      const ceilingY = hits[hits.length - 1].point.y;
-      const tunnelHeight = ceilingY - floorY;
-      
-      // Valid tunnel: reasonable height
-      if (tunnelHeight > 1.0 && tunnelHeight < 20) {
-        return new THREE.Vector3(x, floorY + 0.5, z);
-      }
-    }
-    
-    return null;
-  }
-  
-  /**
-   * Search for a valid tunnel position near the target coordinates
-   * Expands search in a wider spiral pattern to ensure we find tunnel positions
-   */
-  findNearestValidPosition(targetX, targetZ, bounds) {
-    const { min, max } = bounds;
-    
-    // Try exact position first
-    let validPos = this.findValidTunnelPosition(targetX, targetZ, max.y);
-    if (validPos) return validPos;
-    
-    // Wider spiral search pattern
-    const searchRadius = 15;
-    const searchStep = 1.0;
-    
-    for (let radius = searchStep; radius <= searchRadius; radius += searchStep) {
-      // Search in a circle at this radius
-      for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 12) {
-        const x = targetX + Math.cos(angle) * radius;
-        const z = targetZ + Math.sin(angle) * radius;
-        
-        // Stay within bounds
-        if (x >= min.x && x <= max.x && z >= min.z && z <= max.z) {
-          validPos = this.findValidTunnelPosition(x, z, max.y);
-          if (validPos) return validPos;
-        }
-      }
-    }
-    
-    return null;
-  }
-  
-  /**
-   * Initialize markers based on mine bounds
-   * Uses raycasting to position markers inside actual tunnels
+   * Plan-view target for each default location, spread across the mine
+   * Snapped into the tunnels by the geometry analysis.
+   * @returns {Array<{id, x, z}>}
    */
-  initializeFromBounds(bounds, center) {
-    if (!bounds) {
-      console.warn('No bounds provided for location markers');
-      return;
-    }
-    
+  getDefaultTargets(bounds, center) {
     const { min, max } = bounds;
     const size = new THREE.Vector3();
     bounds.getSize(size);
     
-    // Target positions spread across different areas of the mine
     // Using different quadrants and offsets to spread markers
     const targetPositions = {
       entry: { x: min.x + size.x * 0.2, z: min.z + size.z * 0.3 },
@@ -151,22 +72,24 @@ export class LocationMarkers {
       ventilation: { x: center.x - size.x * 0.1, z: max.z - size.z * 0.25 },
     };
     
-    // Create markers at validated positions inside tunnels
+    return this.defaultLocations.map((location) => ({ id: location.id, ...targetPositions[location.id] }));
+  }
+  
+  /**
+   * Create the default markers at validated tunnel positions
+   * @param {Object} positions - Location id -> {x, y, z} (null if none found)
+   */
+  initializeFromPositions(positions = {}) {
     this.defaultLocations.forEach((location) => {
-      const target = targetPositions[location.id];
-      if (target) {
-        // Find valid position inside tunnel using raycasting
-        const validPosition = this.findNearestValidPosition(target.x, target.z, bounds);
-        
-        if (validPosition) {
-          this.createMarker({
-            ...location,
-            position: validPosition
-          });
-          console.log(`Marker '${location.name}' placed at valid tunnel position`);
-        } else {
-          console.warn(`Could not find valid tunnel position for marker '${location.name}'`);
-        }
+      const position = positions[location.id];
+      if (position) {
+        this.createMarker({
+          ...location,
+          position: new THREE.Vector3(position.x, position.y, position.z)
+        });
+        console.log(`Marker '${location.name}' placed at valid tunnel position`);
+      } else {
+        console.warn(`Could not find valid tunnel position for marker '${location.name}'`);
       }
     });
     
@@ -283,14 +206,32 @@ export class LocationMarkers {
   
   /**
    * Add custom location marker
+   * @param {Object} position - Survey coordinates
    */
-  addLocation(id, name, position, color = 0xFFFFFF) {
+  addLocation(id, name, position, color = 0xFFFFFF, icon = '📍') {
+    const scenePosition = this.transform ? this.transform.toScene(position) : position;
+    
     return this.createMarker({
       id,
       name,
-      icon: '📍',
+      icon,
       color,
-      position: new THREE.Vector3(position.x, position.y, position.z)
+      position: new THREE.Vector3(scenePosition.x, scenePosition.y, scenePosition.z)
+    });
+  }
+  
+  /**
+   * Add locations from config ([{ id, name, position, color, icon }])
+   */
+  addConfiguredLocations(locations = []) {
+    locations.forEach((location) => {
+      if (!location.id || !location.position) {
+        console.warn('LocationMarkers: Skipping location without id/position', location);
+        return;
+      }
+      
+      const color = typeof location.color === 'string' ? parseInt(location.color, 16) : location.color;
+      this.addLocation(location.id, location.name || location.id, location.position, color ?? 0xFFFFFF, location.icon);
     });
   }
   
@@ -346,17 +287,28 @@ export class LocationMarkers {
   getLocations() {
     const locations = [];
     this.markers.forEach((marker, id) => {
+      const position = marker.group.position.clone();
+      const truePosition = position.clone().setY(marker.baseY); // Before exploded view
       locations.push({
         id,
         name: marker.config.name,
-        position: marker.group.position.clone()
+        position,
+        worldPosition: this.transform ? this.transform.toWorld(truePosition) : { ...truePosition }
       });
     });
     return locations;
   }
   
   /**
-   * Get position of a specific location
+   * Set the exploded level view markers move with
+   * @param {ExplodedView} view
+   */
+  setExplodedView(view) {
+    this.explodedView = view;
+  }
+  
+  /**
+   * Get position of a specific location (as drawn)
    */
   getLocationPosition(id) {
     const marker = this.markers.get(id);
@@ -385,6 +337,9 @@ export class LocationMarkers {
       if (this.camera) {
         marker.label.quaternion.copy(this.camera.quaternion);
       }
+      
+      // Follow the exploded level view
+      marker.group.position.y = marker.baseY + (this.explodedView?.getOffset(marker.baseY) ?? 0);
     });
   }
   
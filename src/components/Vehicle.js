@@ -6,10 +6,19 @@
  * 
  * Features:
  * - Stores current and target positions
- * - Frame-rate independent lerp interpolation
+ * - Timestamp-aware interpolation through a jitter buffer (live data)
+ * - Frame-rate independent lerp interpolation (playback / untimed data)
+ * - Dead reckoning through telemetry gaps with a growing uncertainty ring
+ * - Reported position uncertainty (e.g. checkpoint positioning) on the same ring
+ * - Smooth blend back to the reported position when data resumes
  * - Smooth heading rotation
+ * - Terrain following: sits on the tunnel floor, tilted to its slope
+ *   (or to sensor pitch/roll when telemetry reports them)
  * - Selection visual feedback
+ * - Faded offline state when telemetry stops
  * - SPATIAL CONTAINMENT: Vehicles never exit the drivable volume
+ * - Map matching result and raw reported position kept for diagnostics
+ * - Moves with its level (and trail) in the exploded level view
  * 
  * CONTAINMENT SYSTEM (NOT PHYSICS):
  * This is visual containment, not physics simulation.
@@ -20,9 +29,15 @@
  */
 
 import * as THREE from 'three';
+import { JitterBuffer } from '../utils/JitterBuffer.js';
 
 // Reusable objects to avoid garbage collection
 const _desiredPos = new THREE.Vector3();
+const _extrapolatedPos = new THREE.Vector3();
+
+// Uncertainty ring shown while dead reckoning
+const UNCERTAINTY_COLOR = 0xffaa00;
+const UNCERTAINTY_BASE_RADIUS = 2;
 
 // Trail colors per vehicle type - darker colors for visibility from above
 const TRAIL_COLORS = {
@@ -44,6 +59,7 @@ export class Vehicle {
     this.targetHeading = 0;
     this.speed = options.speed || 0;
     this.status = options.status || 'idle';
+    this.metadata = options.metadata || {}; // driver, fuelLevel, lastMaintenance, ...
     
     // Trail state (timestamped for history)
     this.trailEnabled = false;
@@ -62,15 +78,62 @@ export class Vehicle {
     this.positionLerpSpeed = options.interpolationSpeed || 5.0;
     this.rotationLerpSpeed = options.rotationSpeed || 3.0;
     
+    // Timestamped samples for live data (source clock)
+    this.source = options.source || null;
+    this.jitterBuffer = new JitterBuffer(options.jitterBuffer);
+    
+    // Dead reckoning while the buffer has run dry (live data only)
+    this.deadReckoning = {
+      enabled: true,
+      maxExtrapolation: 5000,    // ms to keep moving on the last heading/speed
+      showUncertaintyAfter: 500, // ms before the ring appears
+      blendTime: 1000,           // ms to absorb the error once data returns
+      uncertaintyGrowth: 0.5,    // ring growth per unit travelled blind
+      ...options.deadReckoning
+    };
+    this.isExtrapolating = false;
+    this.extrapolationTime = 0;
+    this.correctionOffset = new THREE.Vector3();
+    this.uncertaintyRing = null;
+    this.positionUncertainty = 0; // Radius reported with the position (0 = exact)
+    
     // CONTAINMENT: Reference to drivable volume for validation
     this.drivableVolume = options.drivableVolume || null;
     
+    // Exploded level view: drawn height offset (ExplodedView)
+    this.explodedView = options.explodedView || null;
+    
     // CONTAINMENT: Last known valid position (inside tunnels)
     this.lastValidPosition = new THREE.Vector3();
     this.hasValidPosition = false;
     
+    // CONTAINMENT: Latest reported position was outside the tunnels (flag mode)
+    this.outsideTunnel = false;
+    
+    // Map matching: position as reported before snapping, and the match
+    this.rawPosition = null;
+    this.mapMatch = null; // { edgeId, confidence, distance, snapped }
+    
+    // Terrain following: the mesh sits on the floor under the reported position
+    this.terrain = {
+      enabled: true,
+      smoothing: 8,        // Pose lerp speed (per second)
+      maxSnapDistance: 2,  // Furthest the floor may be from the reported height
+      length: 1.5,         // Footprint sampled for pitch / roll
+      width: 0.8,
+      maxTilt: 30,         // degrees
+      ...options.terrain
+    };
+    this.floorOffset = 0; // Smoothed floor height minus reported height
+    this.pitch = 0;       // Rendered attitude (degrees, nose up / right side down)
+    this.roll = 0;
+    this.sensorPitch = null; // Reported by telemetry, overrides the floor slope
+    this.sensorRoll = null;
+    this.snapPose = true;    // Skip smoothing on the next frame (placement / seek)
+    
     // Visual state
     this.isSelected = false;
+    this.isStale = false;
     this.originalMaterials = [];
     
     // Setup mesh
@@ -94,6 +157,17 @@ export class Vehicle {
     this.drivableVolume = volume;
   }
   
+  /**
+   * Set the exploded level view the vehicle moves with
+   * @param {ExplodedView} view
+   */
+  setExplodedView(view) {
+    this.explodedView = view;
+    if (this.trailMaterial) {
+      view?.patchMaterial(this.trailMaterial);
+    }
+  }
+  
   /**
    * Setup the 3D mesh from model
    */
@@ -105,6 +179,9 @@ export class Vehicle {
     this.mesh.userData.vehicleId = this.id;
     this.mesh.userData.vehicleType = this.type;
     
+    // Yaw first, then pitch and roll in the vehicle's own frame
+    this.mesh.rotation.order = 'YXZ';
+    
     // Make all children also reference the vehicle
     this.mesh.traverse((child) => {
       child.userData.vehicleId = this.id;
@@ -133,6 +210,7 @@ export class Vehicle {
     this.currentPosition.copy(candidatePos);
     this.targetPosition.copy(candidatePos);
     this.mesh.position.copy(candidatePos);
+    this.snapPose = true;
     
     // Track if position is valid for future containment
     if (this.isPositionValid(candidatePos)) {
@@ -181,6 +259,47 @@ export class Vehicle {
     this.targetHeading = heading;
   }
   
+  /**
+   * Set sensor pitch/roll (degrees); missing values fall back to the floor slope
+   */
+  setTargetAttitude(pitch, roll) {
+    this.sensorPitch = Number.isFinite(pitch) ? pitch : null;
+    this.sensorRoll = Number.isFinite(roll) ? roll : null;
+  }
+  
+  /**
+   * Buffer a timestamped sample for delayed interpolation
+   * @returns {string} PUSH_RESULT - 'ok', 'duplicate' or 'out_of_order'
+   */
+  pushSample(time, position, heading, speed = 0, attitude = {}) {
+    return this.jitterBuffer.push({
+      t: time,
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      heading,
+      speed,
+      pitch: attitude.pitch,
+      roll: attitude.roll
+    });
+  }
+  
+  /**
+   * Drop buffered samples (playback drives the vehicle directly)
+   */
+  clearSamples() {
+    this.jitterBuffer.clear();
+    this.stopExtrapolation();
+    this.correctionOffset.set(0, 0, 0);
+  }
+  
+  /**
+   * Check if live samples are buffered
+   */
+  hasSamples() {
+    return this.jitterBuffer.size > 0;
+  }
+  
   /**
    * Set current speed
    */
@@ -195,16 +314,68 @@ export class Vehicle {
     this.status = status;
   }
   
+  /**
+   * Mark the vehicle as reported outside the tunnels
+   */
+  setOutsideTunnel(outside) {
+    this.outsideTunnel = outside;
+  }
+  
+  /**
+   * Set the uncertainty radius reported with the position
+   * @param {number} radius - Scene units (0 or missing hides the ring)
+   */
+  setPositionUncertainty(radius) {
+    this.positionUncertainty = Number.isFinite(radius) && radius > 0 ? radius : 0;
+    
+    if (this.positionUncertainty > 0) {
+      this.showUncertainty(this.positionUncertainty);
+    } else if (!this.isExtrapolating && this.uncertaintyRing) {
+      this.uncertaintyRing.visible = false;
+    }
+  }
+  
+  /**
+   * Store the latest map matching result
+   * @param {Object|null} mapMatch - { edgeId, confidence, distance, snapped }
+   * @param {{x, y, z}|null} rawPosition - Position before snapping
+   */
+  setMapMatch(mapMatch, rawPosition) {
+    this.mapMatch = mapMatch || null;
+    this.rawPosition = rawPosition ? { x: rawPosition.x, y: rawPosition.y, z: rawPosition.z } : null;
+  }
+  
+  /**
+   * Set telemetry metadata (fuel, maintenance, driver)
+   */
+  setMetadata(metadata) {
+    this.metadata = { ...this.metadata, ...metadata };
+  }
+  
   /**
    * Update vehicle position/rotation (call in render loop)
+   * @param {number} deltaTime - Seconds since last frame
+   * @param {number} renderTime - Source-clock time to show (buffered samples only)
    */
-  update(deltaTime) {
-    // Interpolate position with tunnel floor snapping
-    this.interpolatePosition(deltaTime);
+  update(deltaTime, renderTime) {
+    if (renderTime !== undefined && this.hasSamples()) {
+      this.applyBufferedSample(renderTime, deltaTime);
+    } else {
+      // Interpolate position with tunnel floor snapping
+      this.interpolatePosition(deltaTime);
+    }
     
     // Interpolate rotation
     this.interpolateRotation(deltaTime);
     
+    // Settle onto the tunnel floor
+    this.followTerrain(deltaTime);
+    
+    // Move with the level in exploded view
+    if (this.explodedView) {
+      this.mesh.position.y += this.explodedView.getOffset(this.currentPosition.y);
+    }
+    
     // Update trail if enabled
     this.updateTrail();
   }
@@ -224,6 +395,122 @@ export class Vehicle {
     this.mesh.position.copy(this.currentPosition);
   }
   
+  /**
+   * Place the vehicle at the interpolated buffered state
+   * Past the newest sample the vehicle is dead-reckoned; any error that
+   * builds up is carried in correctionOffset and decays once data returns.
+   */
+  applyBufferedSample(renderTime, deltaTime) {
+    const state = this.jitterBuffer.sample(renderTime);
+    const gap = renderTime - this.jitterBuffer.getLatest().t;
+    
+    if (this.deadReckoning.enabled && gap > 0) {
+      this.extrapolate(state, gap);
+    } else {
+      this.targetPosition.set(state.x, state.y, state.z);
+      
+      if (this.isExtrapolating) {
+        // Start the blend from where the vehicle is drawn now
+        this.correctionOffset.subVectors(this.currentPosition, this.targetPosition);
+        this.stopExtrapolation();
+      }
+    }
+    
+    // Decay the correction (about 95% gone after blendTime)
+    if (this.correctionOffset.lengthSq() > 1e-6) {
+      const blendTime = Math.max(1, this.deadReckoning.blendTime) / 1000;
+      this.correctionOffset.multiplyScalar(Math.exp(-3 * deltaTime / blendTime));
+    } else {
+      this.correctionOffset.set(0, 0, 0);
+    }
+    
+    this.currentPosition.copy(this.targetPosition).add(this.correctionOffset);
+    this.mesh.position.copy(this.currentPosition);
+    
+    this.setTargetHeading(state.heading);
+    this.setTargetAttitude(state.pitch, state.roll);
+  }
+  
+  /**
+   * Project the newest sample along its heading and speed
+   * Bounded by maxExtrapolation; holds short of the drivable volume edge.
+   * @param {Object} latest - Newest buffered sample
+   * @param {number} gap - ms since that sample (source clock)
+   */
+  extrapolate(latest, gap) {
+    const { maxExtrapolation, showUncertaintyAfter, uncertaintyGrowth } = this.deadReckoning;
+    const elapsed = Math.min(gap, maxExtrapolation);
+    
+    // km/h -> units per second; heading 0 = +Z, 90 = +X
+    const distance = ((latest.speed || 0) / 3.6) * (elapsed / 1000);
+    const headingRad = THREE.MathUtils.degToRad(latest.heading);
+    
+    _extrapolatedPos.set(
+      latest.x + Math.sin(headingRad) * distance,
+      latest.y,
+      latest.z + Math.cos(headingRad) * distance
+    );
+    
+    if (!this.isExtrapolating) {
+      this.isExtrapolating = true;
+      this.targetPosition.set(latest.x, latest.y, latest.z);
+    }
+    
+    if (this.isPositionValid(_extrapolatedPos)) {
+      this.targetPosition.copy(_extrapolatedPos);
+    }
+    this.extrapolationTime = elapsed;
+    
+    if (gap >= showUncertaintyAfter) {
+      const radius = UNCERTAINTY_BASE_RADIUS + distance * uncertaintyGrowth;
+      this.showUncertainty(Math.max(radius, this.positionUncertainty));
+    }
+  }
+  
+  /**
+   * Leave dead reckoning and hide the uncertainty ring
+   */
+  stopExtrapolation() {
+    this.isExtrapolating = false;
+    this.extrapolationTime = 0;
+    
+    // Back to the reported uncertainty, if any
+    if (this.positionUncertainty > 0) {
+      this.showUncertainty(this.positionUncertainty);
+    } else if (this.uncertaintyRing) {
+      this.uncertaintyRing.visible = false;
+    }
+  }
+  
+  /**
+   * Show the uncertainty ring at a world-space radius
+   */
+  showUncertainty(radius) {
+    if (!this.uncertaintyRing) {
+      const geometry = new THREE.RingGeometry(0.9, 1, 48);
+      geometry.rotateX(-Math.PI / 2);
+      
+      const material = new THREE.MeshBasicMaterial({
+        color: UNCERTAINTY_COLOR,
+        transparent: true,
+        opacity: 0.6,
+        depthWrite: false,
+        side: THREE.DoubleSide
+      });
+      
+      this.uncertaintyRing = new THREE.Mesh(geometry, material);
+      this.uncertaintyRing.name = `Uncertainty_${this.id}`;
+      this.uncertaintyRing.userData.vehicleId = this.id;
+      this.uncertaintyRing.userData.isIndicator = true;
+      this.uncertaintyRing.position.y = 0.2;
+      this.mesh.add(this.uncertaintyRing);
+    }
+    
+    // Cancel the vehicle's own scale so the radius stays in scene units
+    this.uncertaintyRing.scale.setScalar(radius / (this.mesh.scale.x || 1));
+    this.uncertaintyRing.visible = true;
+  }
+  
   /**
    * Smooth rotation interpolation with shortest path
    */
@@ -252,6 +539,63 @@ export class Vehicle {
     this.currentHeading = -THREE.MathUtils.radToDeg(this.mesh.rotation.y);
   }
   
+  /**
+   * Sit the mesh on the tunnel floor and tilt it to the slope
+   * Only the mesh moves; currentPosition keeps the reported height.
+   * Pitch comes from the floor under the front and back of the footprint,
+   * roll from its sides; sensor values replace either estimate.
+   */
+  followTerrain(deltaTime) {
+    const { enabled, smoothing, maxSnapDistance, length, width, maxTilt } = this.terrain;
+    const volume = this.drivableVolume;
+    
+    let targetOffset = 0;
+    let targetPitch = this.sensorPitch ?? 0;
+    let targetRoll = this.sensorRoll ?? 0;
+    
+    const { x, y, z } = this.currentPosition;
+    const floor = enabled && volume?.isReady ? volume.getFloorHeight(x, z, y, maxSnapDistance) : null;
+    
+    if (floor !== null) {
+      targetOffset = floor - y;
+      
+      // Footprint axes: forward along the heading, left across it
+      const yaw = this.mesh.rotation.y;
+      const forwardX = Math.sin(yaw);
+      const forwardZ = Math.cos(yaw);
+      const floorAt = (along, left) => volume.getFloorHeight(
+        x + forwardX * along + forwardZ * left,
+        z + forwardZ * along - forwardX * left,
+        y,
+        maxSnapDistance
+      ) ?? floor;
+      
+      if (this.sensorPitch === null) {
+        targetPitch = THREE.MathUtils.radToDeg(
+          Math.atan2(floorAt(length / 2, 0) - floorAt(-length / 2, 0), length)
+        );
+      }
+      if (this.sensorRoll === null) {
+        targetRoll = THREE.MathUtils.radToDeg(
+          Math.atan2(floorAt(0, width / 2) - floorAt(0, -width / 2), width)
+        );
+      }
+    }
+    
+    // Frame-rate independent smoothing, skipped right after a placement
+    const lerpFactor = this.snapPose ? 1 : 1 - Math.exp(-smoothing * deltaTime);
+    this.snapPose = false;
+    
+    this.floorOffset += (targetOffset - this.floorOffset) * lerpFactor;
+    this.pitch += (THREE.MathUtils.clamp(targetPitch, -maxTilt, maxTilt) - this.pitch) * lerpFactor;
+    this.roll += (THREE.MathUtils.clamp(targetRoll, -maxTilt, maxTilt) - this.roll) * lerpFactor;
+    
+    // Positive pitch raises the nose (+Z); positive roll drops the right side (-X)
+    this.mesh.position.y = this.currentPosition.y + this.floorOffset;
+    this.mesh.rotation.x = -THREE.MathUtils.degToRad(this.pitch);
+    this.mesh.rotation.z = THREE.MathUtils.degToRad(this.roll);
+  }
+  
   /**
    * Set selection state
    */
@@ -261,7 +605,7 @@ export class Vehicle {
     if (selected) {
       // Highlight vehicle with emissive color
       this.mesh.traverse((child) => {
-        if (child.isMesh) {
+        if (child.isMesh && !child.userData.isIndicator) {
           child.material.emissive = new THREE.Color(0x00aaff);
           child.material.emissiveIntensity = 0.3;
         }
@@ -269,7 +613,7 @@ export class Vehicle {
     } else {
       // Restore original materials
       this.mesh.traverse((child) => {
-        if (child.isMesh) {
+        if (child.isMesh && !child.userData.isIndicator) {
           child.material.emissive = new THREE.Color(0x000000);
           child.material.emissiveIntensity = 0;
         }
@@ -277,6 +621,23 @@ export class Vehicle {
     }
   }
   
+  /**
+   * Set offline state (fades the vehicle while telemetry is missing)
+   */
+  setStale(stale) {
+    if (this.isStale === stale) return;
+    this.isStale = stale;
+    
+    this.originalMaterials.forEach(({ mesh, material }) => {
+      const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+      materials.forEach((mat) => {
+        mat.transparent = stale ? true : material.transparent;
+        mat.opacity = stale ? 0.35 : material.opacity;
+        mat.needsUpdate = true;
+      });
+    });
+  }
+  
   /**
    * Get vehicle data for UI display
    */
@@ -290,8 +651,22 @@ export class Vehicle {
         z: this.currentPosition.z.toFixed(2)
       },
       heading: this.currentHeading.toFixed(1),
+      pitch: this.pitch.toFixed(1),
+      roll: this.roll.toFixed(1),
       speed: this.speed.toFixed(1),
-      status: this.status
+      status: this.status,
+      fuelLevel: this.metadata.fuelLevel,
+      lastMaintenance: this.metadata.lastMaintenance,
+      stale: this.isStale,
+      outsideTunnel: this.outsideTunnel,
+      rawPosition: this.rawPosition && {
+        x: this.rawPosition.x.toFixed(2),
+        y: this.rawPosition.y.toFixed(2),
+        z: this.rawPosition.z.toFixed(2)
+      },
+      mapMatch: this.mapMatch,
+      positionUncertainty: this.positionUncertainty,
+      extrapolating: this.isExtrapolating
     };
   }
   
@@ -344,6 +719,9 @@ export class Vehicle {
       side: THREE.DoubleSide
     });
     
+    // Trail points keep true heights; the shader moves them with their level
+    this.explodedView?.patchMaterial(this.trailMaterial);
+    
     // Trail mesh will be created when we have enough points
     this.trailMesh = null;
     
@@ -7,14 +7,20 @@
  * Key features:
  * - Vehicle pooling for efficient object reuse
  * - Smooth position/rotation interpolation (lerp)
+ * - Terrain following: vehicles sit on the tunnel floor, tilted to its slope
+ * - Jitter-buffered playout of live samples by source timestamp
  * - Frame-rate independent updates
  * - Vehicle selection system
+ * - Lifecycle: offline after a silence timeout, removed/archived later
  * - Scalable to 50+ vehicles
- * - SPATIAL CONTAINMENT: Passes drivable volume to vehicles
+ * - SPATIAL CONTAINMENT: Positions inside rock are clamped back into the
+ *   tunnel or flagged, and live ones reported as 'containment:violation'
  */
 
 import * as THREE from 'three';
 import { Vehicle } from './Vehicle.js';
+import { VEHICLE_STATUS } from '../utils/TelemetrySchema.js';
+import { ClockOffsetEstimator, PUSH_RESULT } from '../utils/JitterBuffer.js';
 
 export class VehicleManager {
   constructor(options = {}) {
@@ -41,8 +47,47 @@ export class VehicleManager {
     this.interpolationSpeed = this.config.interpolationSpeed || 5.0;
     this.rotationSpeed = this.config.rotationSpeed || 3.0;
     
+    // Jitter buffer: live vehicles render renderDelay ms behind the source clock
+    this.jitterBuffer = {
+      enabled: true,
+      renderDelay: 300,
+      maxRenderDelay: 3000,
+      maxSamples: 32,
+      ...this.config.jitterBuffer
+    };
+    this.clocks = new Map(); // source name -> ClockOffsetEstimator
+    
+    // Dead reckoning when a live vehicle's buffer runs dry
+    this.deadReckoning = { ...this.config.deadReckoning };
+    
+    // Floor snapping and slope tilt (see Vehicle.followTerrain)
+    this.terrain = { ...this.config.terrain };
+    
     // CONTAINMENT: Reference to drivable volume
     this.drivableVolume = null;
+    
+    // Exploded level view (drawn height offsets)
+    this.explodedView = null;
+    
+    // CONTAINMENT: 'clamp' moves bad positions into the tunnel, 'flag' only marks them
+    this.containment = {
+      enabled: true,
+      mode: 'clamp',
+      ...options.containment
+    };
+    
+    // Lifecycle: offline after staleTimeout, removed/archived after removeTimeout
+    this.lifecycle = {
+      staleTimeout: 15000,
+      removeTimeout: 300000,
+      onExpire: 'archive',
+      checkInterval: 1000,
+      ...options.lifecycle
+    };
+    this.lifecycleEnabled = true;
+    this.lastSeen = new Map(); // id -> ms timestamp of last live update
+    this.archivedVehicles = new Map(); // id -> { data, tripHistory, lastSeen }
+    this._lifecycleElapsed = 0;
   }
   
   /**
@@ -61,6 +106,17 @@ export class VehicleManager {
     console.log('VehicleManager: Drivable volume set for containment');
   }
   
+  /**
+   * Set the exploded level view vehicles and trails move with
+   * @param {ExplodedView} view
+   */
+  setExplodedView(view) {
+    this.explodedView = view;
+    this.vehicles.forEach((vehicle) => {
+      vehicle.setExplodedView(view);
+    });
+  }
+  
   /**
    * Preload all vehicle models defined in config
    */
@@ -191,9 +247,17 @@ export class VehicleManager {
   
   /**
    * Update or create a vehicle from telemetry data
+   * @param {Object} data - Vehicle telemetry
+   * @param {Object} options - { immediate: skip interpolation (playback seek),
+   *                              buffered: live sample for the jitter buffer,
+   *                              playback: historical frame (archive untouched) }
    */
-  updateVehicle(data) {
-    const { id, type, position, heading, speed, status, tripEvents } = data;
+  updateVehicle(data, options = {}) {
+    const { id, heading, speed, status, tripEvents, metadata } = data;
+    const buffered = options.buffered && this.jitterBuffer.enabled;
+    
+    // CONTAINMENT: Never draw a vehicle inside rock without saying so
+    const { position, outside } = this.checkContainment(data, options);
     
     // Debug log first few updates
     if (!this._updateCount) this._updateCount = 0;
@@ -205,10 +269,36 @@ export class VehicleManager {
     if (this.vehicles.has(id)) {
       // Update existing vehicle
       const vehicle = this.vehicles.get(id);
-      vehicle.setTargetPosition(position);
-      vehicle.setTargetHeading(heading);
+      if (buffered) {
+        // Stale or repeated packets are dropped entirely
+        if (!this.bufferSample(vehicle, { ...data, position })) return;
+      } else {
+        vehicle.clearSamples();
+        if (options.immediate) {
+          vehicle.setPosition(position);
+        } else {
+          vehicle.setTargetPosition(position);
+        }
+        vehicle.setTargetHeading(heading);
+        vehicle.setTargetAttitude(data.pitch, data.roll);
+      }
       vehicle.setSpeed(speed);
       vehicle.setStatus(status);
+      vehicle.setOutsideTunnel(outside);
+      vehicle.setMapMatch(data.mapMatch, data.rawPosition);
+      vehicle.setPositionUncertainty(data.positionUncertainty);
+      if (metadata) vehicle.setMetadata(metadata);
+      
+      // Reporting again after going offline
+      if (vehicle.isStale) {
+        vehicle.setStale(false);
+        this.events?.emit('vehicle:online', id);
+      }
+      
+      // Playback can move back in time - trim newer trip events
+      if (options.immediate && tripEvents && tripEvents.length < vehicle.tripHistory.length) {
+        vehicle.tripHistory.length = tripEvents.length;
+      }
       
       // Sync trip events from API
       if (tripEvents && tripEvents.length > vehicle.tripHistory.length) {
@@ -220,11 +310,18 @@ export class VehicleManager {
     } else {
       // Create new vehicle
       console.log(`VehicleManager: Creating new vehicle ${id} at`, position);
-      this.createVehicle(data);
+      const vehicle = this.createVehicle({ ...data, position }, { restore: !options.playback });
+      vehicle.setOutsideTunnel(outside);
+      vehicle.setMapMatch(data.mapMatch, data.rawPosition);
+      vehicle.setPositionUncertainty(data.positionUncertainty);
+      vehicle.setTargetAttitude(data.pitch, data.roll);
+      if (buffered) {
+        this.bufferSample(vehicle, { ...data, position });
+      }
     }
     
     // Update vehicle count in UI
-    this.events?.emit('vehicles:count', this.vehicles.size);
+    this.emitCount();
     
     // Update selected vehicle info if this is the selected one
     if (id === this.selectedVehicleId) {
@@ -233,11 +330,90 @@ export class VehicleManager {
     }
   }
   
+  /**
+   * Test a reported position against the drivable volume
+   * Only live updates are reported; playback replays already-seen data.
+   * @returns {{position: Object, outside: boolean}} Position to use, and
+   *          whether it is still outside the tunnels (flagged)
+   */
+  checkContainment(data, options = {}) {
+    const volume = this.drivableVolume;
+    if (!this.containment.enabled || !volume?.isReady || !data.position) {
+      return { position: data.position, outside: false };
+    }
+    
+    const result = volume.constrain(data.position);
+    if (result.inside) {
+      return { position: data.position, outside: false };
+    }
+    
+    const clamped = this.containment.mode === 'clamp' && result.position !== null;
+    
+    if (options.buffered) {
+      this.events?.emit('containment:violation', {
+        id: data.id,
+        source: data.source,
+        position: { ...data.position },
+        corrected: result.position ? { x: result.position.x, y: result.position.y, z: result.position.z } : null,
+        distance: result.distance,
+        action: clamped ? 'clamped' : 'flagged'
+      });
+    }
+    
+    return clamped
+      ? { position: { x: result.position.x, y: result.position.y, z: result.position.z }, outside: false }
+      : { position: data.position, outside: true };
+  }
+  
+  /**
+   * Add a live sample to a vehicle's jitter buffer
+   * Messages without a source timestamp are stamped on arrival.
+   * @returns {boolean} False if the sample was a duplicate or out of order
+   */
+  bufferSample(vehicle, data) {
+    const clock = this.getClock(data.source);
+    const receivedAt = Date.now();
+    
+    let time;
+    if (Number.isFinite(data.timestamp)) {
+      clock.update(data.timestamp, receivedAt);
+      time = data.timestamp;
+    } else {
+      time = clock.toSource(receivedAt);
+    }
+    
+    vehicle.source = data.source;
+    const result = vehicle.pushSample(time, data.position, data.heading, data.speed, {
+      pitch: data.pitch,
+      roll: data.roll
+    });
+    
+    if (result !== PUSH_RESULT.OK) {
+      this.events?.emit('telemetry:dropped', { reason: result, source: data.source });
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Clock offset estimator for a data source
+   */
+  getClock(source = 'default') {
+    if (!this.clocks.has(source)) {
+      this.clocks.set(source, new ClockOffsetEstimator());
+    }
+    return this.clocks.get(source);
+  }
+  
   /**
    * Create a new vehicle instance
+   * @param {Object} options - { restore: take an archived vehicle's history
+   *                              back out of the archive (live data only) }
    */
-  createVehicle(data) {
+  createVehicle(data, options = {}) {
     const { id, type, position, heading, speed, status } = data;
+    const archived = options.restore === false ? null : this.archivedVehicles.get(id);
     
     // Get or create model for this vehicle type
     const modelData = this.vehicleModels.get(type) || this.vehicleModels.get('default');
@@ -300,11 +476,23 @@ export class VehicleManager {
       initialHeading: heading,
       speed,
       status,
+      metadata: data.metadata,
       interpolationSpeed: this.interpolationSpeed,
       rotationSpeed: this.rotationSpeed,
-      drivableVolume: this.drivableVolume  // CONTAINMENT: Pass volume reference
+      jitterBuffer: { maxSamples: this.jitterBuffer.maxSamples },
+      deadReckoning: this.deadReckoning,
+      terrain: this.terrain,
+      drivableVolume: this.drivableVolume,  // CONTAINMENT: Pass volume reference
+      explodedView: this.explodedView
     });
     
+    // Back from the archive - keep its trip history
+    if (archived) {
+      vehicle.tripHistory = archived.tripHistory;
+      this.archivedVehicles.delete(id);
+      console.log(`Restored archived vehicle: ${id}`);
+    }
+    
     // Store reference
     this.vehicles.set(id, vehicle);
     
@@ -323,33 +511,167 @@ export class VehicleManager {
   
   /**
    * Remove a vehicle
+   * @param {string} id - Vehicle ID
+   * @param {Object} details - Passed on with 'vehicle:removed' (e.g. { archived })
    */
-  removeVehicle(id) {
+  removeVehicle(id, details = {}) {
     const vehicle = this.vehicles.get(id);
     if (vehicle) {
+      // Deselect if this was selected
+      if (id === this.selectedVehicleId) {
+        this.deselectVehicle();
+      }
+      
       this.scene.remove(vehicle.mesh);
       vehicle.dispose();
       this.vehicles.delete(id);
+      this.lastSeen.delete(id);
       
       // Update count
-      this.events?.emit('vehicles:count', this.vehicles.size);
-      
-      // Deselect if this was selected
-      if (id === this.selectedVehicleId) {
-        this.deselectVehicle();
-      }
+      this.emitCount();
+      this.events?.emit('vehicle:removed', id, details);
       
       console.log(`Removed vehicle: ${id}`);
     }
   }
   
+  /**
+   * Record a live telemetry update (playback frames don't count)
+   */
+  markSeen(id, time = Date.now()) {
+    this.lastSeen.set(id, time);
+  }
+  
+  /**
+   * Return to live after reviewing playback
+   * Vehicles that only playback brought back (expired or never live) are
+   * removed again; live vehicles jump to their latest recorded state.
+   * @param {Array<Object>} states - Latest recorded state per vehicle
+   * @returns {Array<Object>} The states that were applied
+   */
+  restoreLive(states) {
+    Array.from(this.vehicles.keys())
+      .filter((id) => !this.lastSeen.has(id))
+      .forEach((id) => this.removeVehicle(id, { reason: 'playback' }));
+    
+    const live = states.filter((state) => this.lastSeen.has(state.id));
+    live.forEach((state) => this.updateVehicle(state, { immediate: true }));
+    return live;
+  }
+  
+  /**
+   * Enable/disable lifecycle checks (disabled while reviewing playback)
+   */
+  setLifecycleEnabled(enabled) {
+    if (this.lifecycleEnabled === enabled) return;
+    this.lifecycleEnabled = enabled;
+    
+    // History shows vehicles as they were - clear offline fading
+    if (!enabled) {
+      this.vehicles.forEach((vehicle) => vehicle.setStale(false));
+      this.emitCount();
+    }
+  }
+  
+  /**
+   * Mark silent vehicles offline and expire long-silent ones
+   */
+  checkLifecycle(now = Date.now()) {
+    const { staleTimeout, removeTimeout } = this.lifecycle;
+    const expired = [];
+    
+    this.vehicles.forEach((vehicle, id) => {
+      // Only shown by playback - removed on the way back to live
+      if (!this.lastSeen.has(id)) return;
+      
+      const age = now - this.lastSeen.get(id);
+      
+      if (age >= removeTimeout) {
+        expired.push(id);
+      } else if (age >= staleTimeout && !vehicle.isStale) {
+        vehicle.setStale(true);
+        vehicle.setStatus(VEHICLE_STATUS.OFFLINE);
+        console.log(`Vehicle ${id} offline (no data for ${Math.round(age / 1000)}s)`);
+        
+        this.events?.emit('vehicle:stale', vehicle.getData());
+        if (id === this.selectedVehicleId) {
+          this.events?.emit('vehicle:selected', vehicle.getData(), vehicle.tripHistory);
+        }
+        this.emitCount();
+      }
+    });
+    
+    expired.forEach((id) => this.expireVehicle(id));
+  }
+  
+  /**
+   * Remove a long-silent vehicle, archiving it if configured
+   */
+  expireVehicle(id) {
+    const vehicle = this.vehicles.get(id);
+    if (!vehicle) return;
+    
+    const archive = this.lifecycle.onExpire === 'archive';
+    if (archive) {
+      this.archivedVehicles.set(id, {
+        data: vehicle.getData(),
+        tripHistory: vehicle.tripHistory,
+        lastSeen: this.lastSeen.get(id)
+      });
+    }
+    
+    this.removeVehicle(id, { archived: archive, reason: 'timeout' });
+  }
+  
+  /**
+   * Get archived (expired) vehicles
+   */
+  getArchivedVehicles() {
+    return Array.from(this.archivedVehicles.entries()).map(([id, entry]) => ({ id, ...entry }));
+  }
+  
+  /**
+   * Number of vehicles currently reporting
+   */
+  getActiveCount() {
+    let count = 0;
+    this.vehicles.forEach((vehicle) => {
+      if (!vehicle.isStale) count++;
+    });
+    return count;
+  }
+  
+  /**
+   * Broadcast the active vehicle count
+   */
+  emitCount() {
+    this.events?.emit('vehicles:count', this.getActiveCount());
+  }
+  
   /**
    * Update all vehicles (call in render loop)
    */
   update(deltaTime) {
+    const now = Date.now();
+    const { renderDelay, maxRenderDelay } = this.jitterBuffer;
+    
     this.vehicles.forEach((vehicle) => {
-      vehicle.update(deltaTime);
+      // Buffered vehicles play out a little behind the source clock
+      let renderTime;
+      if (vehicle.hasSamples()) {
+        const delay = vehicle.jitterBuffer.getDelay(renderDelay, maxRenderDelay);
+        renderTime = this.getClock(vehicle.source).toSource(now) - delay;
+      }
+      
+      vehicle.update(deltaTime, renderTime);
     });
+    
+    // Lifecycle checks (throttled)
+    this._lifecycleElapsed += deltaTime * 1000;
+    if (this.lifecycleEnabled && this._lifecycleElapsed >= this.lifecycle.checkInterval) {
+      this._lifecycleElapsed = 0;
+      this.checkLifecycle();
+    }
   }
   
   /**
@@ -22,12 +22,23 @@ import { VehicleManager } from '../components/VehicleManager.js';
 import { LightingSystem } from '../components/LightingSystem.js';
 import { DrivableVolume } from '../components/DrivableVolume.js';
 import { LocationMarkers } from '../components/LocationMarkers.js';
-import { WebSocketService } from '../services/WebSocketService.js';
-import { VehicleAPIService } from '../services/VehicleAPIService.js';
+import { LevelIsolation } from '../components/LevelIsolation.js';
+import { ExplodedView } from '../components/ExplodedView.js';
+import { createDataSource } from '../services/datasources/DataSourceFactory.js';
+import { CheckpointDataSource } from '../services/datasources/CheckpointDataSource.js';
 import { UIController } from '../services/UIController.js';
+import { TelemetryRecorder } from '../services/TelemetryRecorder.js';
+import { PlaybackController } from '../services/PlaybackController.js';
+import { TelemetryDiagnostics } from '../services/TelemetryDiagnostics.js';
+import { GeometryAnalysisService } from '../services/GeometryAnalysisService.js';
+import { MapMatcher } from '../navigation/MapMatcher.js';
+import { CheckpointPositioning } from '../navigation/CheckpointPositioning.js';
+import { MineLevels } from '../analysis/MineLevels.js';
 import { EventBus } from '../utils/EventBus.js';
 import { ConfigLoader } from '../utils/ConfigLoader.js';
 import { TrailObjectPool } from '../utils/TrailObjectPool.js';
+import { CoordinateTransform } from '../utils/CoordinateTransform.js';
+import { SpatialIndex } from '../utils/SpatialIndex.js';
 
 export class Experience {
   constructor(options = {}) {
@@ -67,13 +78,17 @@ export class Experience {
     // Filter state
     this.vehicleFilters = {
       types: { dump_truck: true, loader: true, haul_truck: true },
-      status: { moving: true, idle: true, loading: true, maintenance: true },
+      status: { moving: true, idle: true, loading: true, unloading: true, maintenance: true, offline: true },
       groups: { hauling: true, loading: true, transport: true }
     };
     
     // Selected level
     this.selectedLevel = 'all';
     
+    // Vehicles in the current playback frame (null while live) - the rest
+    // have no recorded history at the playhead and are hidden
+    this.playbackIds = null;
+    
     // Distance-based update throttling
     this.distanceThrottling = {
       enabled: true,
@@ -102,7 +117,7 @@ export class Experience {
       // Load assets and environment
       await this.loadAssets();
       
-      // Connect to data source (use API service instead of raw WebSocket)
+      // Connect to the configured telemetry data source
       this.connectDataSource();
       
       // Start the render loop
@@ -143,6 +158,11 @@ export class Experience {
    * Initialize application subsystems
    */
   initSubsystems() {
+    // Survey grid <-> scene conversion shared by telemetry, markers and exports
+    this.coordinateTransform = new CoordinateTransform({
+      config: this.config.coordinates
+    });
+    
     // Asset loader for GLTF models
     this.assetLoader = new AssetLoader({
       dracoPath: this.config.assets?.dracoPath || '/draco/'
@@ -161,11 +181,22 @@ export class Experience {
       config: this.config.mine
     });
     
+    // BVH over the mine geometry - every mine raycast goes through it
+    this.spatialIndex = new SpatialIndex({ config: this.config.spatialIndex });
+    
+    // Startup raycast scans (navigation graph, markers) run in a worker
+    this.geometryAnalysis = new GeometryAnalysisService({
+      events: this.events,
+      config: this.config.analysis,
+      spatialIndex: this.spatialIndex
+    });
+    
     // CONTAINMENT: Drivable volume for spatial constraint
-    // This invisible mesh defines where vehicles can exist
+    // Incoming positions are tested against it before they are drawn
     this.drivableVolume = new DrivableVolume({
       scene: this.scene,
-      assetLoader: this.assetLoader
+      assetLoader: this.assetLoader,
+      config: this.config.containment
     });
     
     // Trail object pool for efficient trail rendering
@@ -180,6 +211,8 @@ export class Experience {
       scene: this.scene,
       assetLoader: this.assetLoader,
       config: this.config.vehicles,
+      lifecycle: this.config.lifecycle,
+      containment: this.config.containment,
       events: this.events,
       trailPool: this.trailPool
     });
@@ -188,19 +221,70 @@ export class Experience {
     this.locationMarkers = new LocationMarkers({
       scene: this.scene,
       camera: this.camera.instance,
-      events: this.events
+      events: this.events,
+      transform: this.coordinateTransform
     });
     
-    // WebSocket service for real-time data (fallback)
-    this.webSocket = new WebSocketService({
-      config: this.config.websocket,
-      events: this.events
+    // Telemetry data source (adapter picked from config.dataSource.type)
+    this.dataSource = createDataSource(this.config, this.events, this.coordinateTransform);
+    
+    // Snaps drifting positions onto tunnel centerlines (once the graph is built)
+    this.mapMatcher = new MapMatcher({
+      events: this.events,
+      config: this.config.mapMatching
     });
     
-    // API service for production-like data handling
-    this.apiService = new VehicleAPIService({
-      config: this.config.api || { simulate: true },
-      events: this.events
+    // Positions of tag-only vehicles inferred from checkpoint reader reads,
+    // validated and transformed like live telemetry
+    this.checkpointSource = new CheckpointDataSource({
+      events: this.events,
+      limits: this.config.telemetry,
+      transform: this.coordinateTransform
+    });
+    this.checkpointPositioning = new CheckpointPositioning({
+      events: this.events,
+      output: this.checkpointSource.sourceEvents,
+      config: this.config.checkpoints,
+      transform: this.coordinateTransform
+    });
+    
+    // Mine levels found by the geometry analysis; vehicles are assigned by height
+    this.mineLevels = new MineLevels({
+      config: this.config.levels,
+      transform: this.coordinateTransform
+    });
+    
+    // Fades mine geometry outside the selected level
+    this.levelIsolation = new LevelIsolation({
+      config: this.config.levelIsolation,
+      transform: this.coordinateTransform
+    });
+    
+    // Pulls levels apart vertically; vehicles and markers move with them
+    this.explodedView = new ExplodedView({
+      config: this.config.explodedView,
+      transform: this.coordinateTransform
+    });
+    this.vehicleManager.setExplodedView(this.explodedView);
+    this.locationMarkers.setExplodedView(this.explodedView);
+    
+    // Counts telemetry rejected by schema validation
+    this.telemetryDiagnostics = new TelemetryDiagnostics({
+      events: this.events,
+      config: this.config.telemetry
+    });
+    
+    // Telemetry recorder for historical playback
+    this.recorder = new TelemetryRecorder({
+      config: this.config.playback,
+      transform: this.coordinateTransform
+    });
+    
+    // Playback timeline (live by default)
+    this.playback = new PlaybackController({
+      recorder: this.recorder,
+      events: this.events,
+      config: this.config.playback
     });
     
     // UI controller for HTML overlay
@@ -217,12 +301,47 @@ export class Experience {
    */
   setupEventListeners() {
     // Vehicle data updates from WebSocket
-    this.events.on('vehicle:update', (data) => {
-      this.vehicleManager.updateVehicle(data);
+    this.events.on('vehicle:update', (update) => {
+      // Matched before recording, so playback shows the same positions
+      // (checkpoint estimates already follow the centerlines)
+      const matched = update.source === 'checkpoint' ? update : this.mapMatcher.match(update);
+      const data = this.mineLevels.assign(matched);
+      
+      // Always record, even while reviewing history
+      this.recorder.record(data);
+      this.vehicleManager.markSeen(data.id);
+      
+      if (!this.playback.isLive()) return;
+      
+      this.vehicleManager.updateVehicle(data, { buffered: true });
       // Update UI controller's vehicle data for search
-      this.ui.updateVehicleData(data.id, data);
+      this.setVehicleData(data);
+    });
+    
+    // Historical playback frames
+    this.events.on('playback:frame', (states, options) => {
+      states.forEach((state) => {
+        this.vehicleManager.updateVehicle(state, { ...options, playback: true });
+        this.setVehicleData(state);
+      });
+      this.setPlaybackIds(new Set(states.map((state) => state.id)));
+    });
+    
+    // Back to live - jump to the latest recorded state of live vehicles
+    this.events.on('playback:live', () => {
+      this.setPlaybackIds(null);
+      this.vehicleManager.restoreLive(this.recorder.getLatestStates()).forEach((state) => {
+        this.setVehicleData(state);
+      });
     });
     
+    // Timeline controls
+    this.events.on('playback:play', () => this.playback.play());
+    this.events.on('playback:pause', () => this.playback.pause());
+    this.events.on('playback:seek', (time) => this.playback.seek(time));
+    this.events.on('playback:speed', (speed) => this.playback.setSpeed(speed));
+    this.events.on('playback:golive', () => this.playback.goLive());
+    
     // Connection status changes
     this.events.on('connection:status', (status) => {
       this.ui.updateConnectionStatus(status);
@@ -233,9 +352,51 @@ export class Experience {
       this.ui.updateVehicleCount(count);
     });
     
+    // Vehicle removed by its data source
+    this.events.on('vehicle:remove', (id) => {
+      this.vehicleManager.removeVehicle(id);
+    });
+    
+    // Vehicle gone from the scene (data source or lifecycle timeout)
+    this.events.on('vehicle:removed', (id) => {
+      this.mapMatcher.forget(id);
+      this.checkpointPositioning.forget(id);
+      this.ui.removeVehicleData(id);
+      this.updateVehicleCounts();
+    });
+    
+    // Vehicle stopped reporting - show as offline in filters and search
+    this.events.on('vehicle:stale', (data) => {
+      const current = this.ui.vehicleData.get(data.id);
+      if (current) {
+        this.ui.updateVehicleData(data.id, { ...current, status: data.status });
+      }
+      this.refreshVehicleVisibility();
+    });
+    
+    // Offline vehicle reporting again
+    this.events.on('vehicle:online', () => {
+      this.refreshVehicleVisibility();
+    });
+    
+    // Lifecycle only applies to live data
+    this.events.on('playback:state', (state) => {
+      this.vehicleManager.setLifecycleEnabled(state.mode === 'live');
+    });
+    
+    // Simulated fleet shown in place of an unreachable live feed
+    this.events.on('datasource:fallback', (info) => {
+      this.ui.updateSimulationBanner(info);
+    });
+    
+    // Rejected telemetry counter
+    this.events.on('telemetry:diagnostics', (stats) => {
+      this.ui.updateTelemetryDiagnostics(stats);
+    });
+    
     // Vehicle selection
     this.events.on('vehicle:selected', (vehicleData, tripHistory) => {
-      this.ui.showVehicleInfo(vehicleData, tripHistory);
+      this.ui.showVehicleInfo(this.toWorldData(vehicleData), tripHistory);
     });
     
     // Vehicle deselection
@@ -314,7 +475,7 @@ export class Experience {
     this.events.on('vehicles:filter:reset', () => {
       this.vehicleFilters = {
         types: { dump_truck: true, loader: true, haul_truck: true },
-        status: { moving: true, idle: true, loading: true, maintenance: true },
+        status: { moving: true, idle: true, loading: true, unloading: true, maintenance: true, offline: true },
         groups: { hauling: true, loading: true, transport: true }
       };
       this.applyVehicleFilters();
@@ -323,8 +484,21 @@ export class Experience {
     // Level selection event
     this.events.on('level:select', (level) => {
       this.selectedLevel = level;
+      this.levelIsolation.setSelectedLevel(level);
       this.applyLevelFilter();
     });
+    
+    // Stacked level bands on / off
+    this.events.on('levels:stacked:toggle', () => {
+      const stacked = this.levelIsolation.toggleStacked();
+      this.events.emit('levels:stacked', stacked);
+    });
+    
+    // Exploded level view on / off
+    this.events.on('levels:exploded:toggle', () => {
+      const exploded = this.explodedView.toggle();
+      this.events.emit('levels:exploded', exploded);
+    });
 
     // Handle click events for vehicle and location selection
     this.container.addEventListener('click', (event) => {
@@ -332,6 +506,74 @@ export class Experience {
     });
   }
   
+  /**
+   * Vehicle display data in survey coordinates
+   */
+  toWorldData(vehicleData) {
+    const toWorld = (scenePosition) => {
+      const position = this.coordinateTransform.toWorld({
+        x: Number(scenePosition.x),
+        y: Number(scenePosition.y),
+        z: Number(scenePosition.z)
+      });
+      return {
+        x: position.x.toFixed(2),
+        y: position.y.toFixed(2),
+        z: position.z.toFixed(2)
+      };
+    };
+    
+    return {
+      ...vehicleData,
+      position: toWorld(vehicleData.position),
+      rawPosition: vehicleData.rawPosition && toWorld(vehicleData.rawPosition),
+      heading: this.coordinateTransform.headingToWorld(Number(vehicleData.heading)).toFixed(1)
+    };
+  }
+  
+  /**
+   * Store a vehicle's latest data for the UI
+   * New vehicles and level changes re-apply the filters and counts.
+   */
+  setVehicleData(data) {
+    const previous = this.ui.vehicleData.get(data.id);
+    this.ui.updateVehicleData(data.id, data);
+    
+    if (!previous || (previous.level ?? null) !== (data.level ?? null)) {
+      this.refreshVehicleVisibility();
+    }
+  }
+  
+  /**
+   * Set which vehicles the playback frame covers (null = live, all shown)
+   */
+  setPlaybackIds(ids) {
+    const previous = this.playbackIds;
+    const unchanged = previous === ids || (previous && ids && previous.size === ids.size &&
+      [...ids].every((id) => previous.has(id)));
+    
+    this.playbackIds = ids;
+    if (!unchanged) this.refreshVehicleVisibility();
+  }
+  
+  /**
+   * Whether a vehicle has recorded history at the playback position
+   */
+  isInPlayback(id) {
+    return this.playbackIds === null || this.playbackIds.has(id);
+  }
+  
+  /**
+   * Re-apply whichever filter is active
+   */
+  refreshVehicleVisibility() {
+    if (this.selectedLevel === 'all') {
+      this.applyVehicleFilters();
+    } else {
+      this.applyLevelFilter();
+    }
+  }
+  
   /**
    * Apply vehicle filters to show/hide vehicles
    */
@@ -357,7 +599,7 @@ export class Experience {
         visible = false;
       }
       
-      vehicle.mesh.visible = visible;
+      vehicle.mesh.visible = visible && this.isInPlayback(id);
     });
     
     this.updateVehicleCounts();
@@ -379,10 +621,11 @@ export class Experience {
       const vehicleData = this.ui.vehicleData.get(id);
       if (!vehicleData) return;
       
-      const vehicleLevel = vehicleData.level || 0;
+      // Vehicles without a level (none detected) only show under 'all'
+      const vehicleLevel = vehicleData.level ?? null;
       const visible = vehicleLevel === levelNum;
       
-      vehicle.mesh.visible = visible;
+      vehicle.mesh.visible = visible && this.isInPlayback(id);
     });
     
     this.updateVehicleCounts();
@@ -393,21 +636,24 @@ export class Experience {
    */
   updateVehicleCounts() {
     const typeCounts = { dump_truck: 0, loader: 0, haul_truck: 0 };
-    const levelCounts = { all: 0, 0: 0, 1: 0, 2: 0, 3: 0 };
+    const levelCounts = { all: 0 };
+    this.mineLevels.getLevels().forEach((level) => {
+      levelCounts[level.id] = 0;
+    });
     
     this.vehicleManager.vehicles.forEach((vehicle, id) => {
       const vehicleData = this.ui.vehicleData.get(id);
-      if (!vehicleData) return;
+      if (!vehicleData || !this.isInPlayback(id)) return;
       
       // Count by type
       if (typeCounts[vehicleData.type] !== undefined) {
         typeCounts[vehicleData.type]++;
       }
       
-      // Count by level
-      const level = vehicleData.level || 0;
+      // Count by level (unassigned vehicles only count towards 'all')
+      const level = vehicleData.level;
       levelCounts.all++;
-      if (levelCounts[level] !== undefined) {
+      if (level !== null && level !== undefined && levelCounts[level] !== undefined) {
         levelCounts[level]++;
       }
     });
@@ -422,16 +668,30 @@ export class Experience {
   async loadAssets() {
     // Load mine environment
     await this.mineEnvironment.load(this.config.mine.modelPath);
-    
-    // CONTAINMENT: Generate drivable volume from mine model
-    // This creates an invisible mesh used only for containment checks
-    // If a dedicated volume mesh exists, load it instead:
-    // await this.drivableVolume.loadVolumeMesh('/models/mine/drivable_volume.glb');
-    this.drivableVolume.generateFromMineModel(this.mineEnvironment.model);
+    this.levelIsolation.attach(this.mineEnvironment.model);
+    this.explodedView.attach(this.mineEnvironment.model);
+    
+    // Earlier analysis of the same model file - its trees skip the BVH build
+    const analysis = await this.lookupAnalysis();
+    
+    // Index the mine geometry once for all ray / nearest-surface queries
+    this.spatialIndex.build(this.mineEnvironment.model, analysis.cached?.spatialIndex);
+    
+    // CONTAINMENT: Use a dedicated closed volume mesh if configured,
+    // otherwise test against the tunnel surfaces of the mine model
+    const volumePath = this.config.containment?.volumePath;
+    const volumeLoaded = volumePath &&
+      await this.drivableVolume.loadVolumeMesh(volumePath, this.mineEnvironment.model);
+    if (!volumeLoaded) {
+      this.drivableVolume.generateFromMineModel(this.mineEnvironment.model, this.spatialIndex);
+    }
     
     // CONTAINMENT: Connect volume to vehicle manager
     this.vehicleManager.setDrivableVolume(this.drivableVolume);
     
+    // Tunnel centerline graph, tunnel scan and marker positions (worker)
+    await this.analyzeGeometry(analysis);
+    
     // Preload vehicle models
     await this.vehicleManager.preloadModels();
     
@@ -443,13 +703,8 @@ export class Experience {
     
     // Initialize location markers based on mine bounds
     if (this.mineEnvironment.bounds && this.mineEnvironment.center) {
-      // Pass mine model for raycasting validation
-      this.locationMarkers.setMineModel(this.mineEnvironment.model);
-      
-      this.locationMarkers.initializeFromBounds(
-        this.mineEnvironment.bounds,
-        this.mineEnvironment.center
-      );
+      this.locationMarkers.initializeFromPositions(this.markerPositions);
+      this.locationMarkers.addConfiguredLocations(this.config.mine?.locations);
       
       // Update UI with available locations
       this.ui.setupLocationButtons(this.locationMarkers.getLocations());
@@ -460,30 +715,101 @@ export class Experience {
     this.updateMinimapBounds();
   }
   
+  /**
+   * Geometry analysis settings for the loaded mine
+   */
+  getAnalysisOptions() {
+    const { bounds, center } = this.mineEnvironment;
+    return {
+      bounds,
+      navigation: this.config.navigation,
+      spatialIndex: this.config.spatialIndex,
+      markers: center ? this.locationMarkers.getDefaultTargets(bounds, center) : [],
+      levels: this.mineLevels.getDetectionConfig()
+    };
+  }
+  
+  /**
+   * Cached analysis for the mine model file, if nothing it depends on changed
+   * @returns {Promise<{key, cached}>}
+   */
+  async lookupAnalysis() {
+    if (!this.mineEnvironment.bounds) return { key: null, cached: null };
+    
+    return this.geometryAnalysis.lookup({
+      modelUrl: this.config.mine.modelPath,
+      settings: {
+        ...this.getAnalysisOptions(),
+        origin: this.config.mine.origin,
+        coordinates: this.config.coordinates
+      }
+    });
+  }
+  
+  /**
+   * Analyse the mine geometry off the main thread
+   * Produces the navigation graph, the fallback tunnel position scan, the
+   * default marker positions and the mine levels.
+   * @param {{key, cached}} analysis - lookupAnalysis() result
+   */
+  async analyzeGeometry(analysis = {}) {
+    this.navGraph = null;
+    this.tunnelPositions = [];
+    this.markerPositions = {};
+    
+    const { model, bounds } = this.mineEnvironment;
+    if (!bounds) return;
+    
+    this.ui.showLoading('Analysing mine geometry...');
+    const result = await this.geometryAnalysis.analyze(model, this.getAnalysisOptions(), analysis);
+    
+    this.navGraph = result.navGraph;
+    this.tunnelPositions = result.tunnelPositions;
+    this.markerPositions = result.markerPositions;
+    
+    // Level selector and isolation bands built from the detected levels
+    const levels = this.mineLevels.setLevels(result.levels);
+    this.levelIsolation.setLevels(levels);
+    this.explodedView.setLevels(levels);
+    this.ui.setupLevelButtons(levels);
+    this.ui.updateLevelStackButton(this.levelIsolation.stacked, this.levelIsolation.enabled);
+    this.ui.updateLevelExplodeButton(this.explodedView.active, this.explodedView.enabled);
+    
+    if (this.navGraph) {
+      this.drivableVolume.setNavGraph(this.navGraph);
+      this.mapMatcher.setNavGraph(this.navGraph);
+      this.checkpointPositioning.setNavGraph(this.navGraph);
+      this.events.emit('navigation:ready', this.navGraph);
+    }
+  }
+  
   /**
    * Connect to real-time data source
    */
   connectDataSource() {
-    // Pass mine model and bounds to API service for vehicle path constraints
+    // Routes for simulated vehicles follow the navigation graph
+    if (this.navGraph) {
+      this.dataSource.setNavGraph(this.navGraph);
+    }
+    
+    // Pass scanned tunnel positions, model and bounds to the data source (used by simulation paths)
+    this.dataSource.setTunnelPositions(this.tunnelPositions);
     if (this.mineEnvironment.bounds) {
-      // Pass to API service
-      this.apiService.setMineData(
+      this.dataSource.setMineData(
         this.mineEnvironment.model,
         this.mineEnvironment.bounds,
         this.mineEnvironment.center
       );
     }
     
-    // Use API service for production-like behavior
-    // Falls back to simulation if no backend available
-    this.apiService.initialize().then(() => {
-      console.log('VehicleAPIService initialized');
+    this.dataSource.connect().then(() => {
+      console.log(`Data source '${this.dataSource.name}' connected`);
       // Update initial counts
       setTimeout(() => this.updateVehicleCounts(), 500);
+    }).catch((error) => {
+      console.error('Data source connection failed:', error);
+      this.events.emit('connection:status', 'error');
     });
-    
-    // Disable WebSocket simulation - API service handles vehicle updates
-    // this.webSocket.connect();
   }
   
   /**
@@ -591,8 +917,8 @@ export class Experience {
     // Disable orbit controls while following
     this.camera.controls.enabled = false;
     
-    // Notify API service that this vehicle is being followed (highest priority)
-    this.apiService.setFollowedVehicle(vehicleId);
+    // Notify data source that this vehicle is being followed (highest priority)
+    this.dataSource.setFollowedVehicle(vehicleId);
     
     console.log(`Following vehicle: ${vehicleId}`);
   }
@@ -609,8 +935,8 @@ export class Experience {
     // Re-enable orbit controls
     this.camera.controls.enabled = true;
     
-    // Clear followed vehicle in API service
-    this.apiService.setFollowedVehicle(null);
+    // Clear followed vehicle in data source
+    this.dataSource.setFollowedVehicle(null);
     
     console.log('Follow mode stopped');
   }
@@ -781,10 +1107,16 @@ export class Experience {
     // Update FPV camera if active
     this.updateFPVCamera(deltaTime);
     
+    // Advance historical playback
+    this.playback.update(deltaTime);
+    
     // Update subsystems
     this.camera.update(deltaTime);
+    this.explodedView.update(deltaTime); // Before anything placed by level height
+    this.checkpointPositioning.update(deltaTime);
     this.vehicleManager.update(deltaTime);
     this.locationMarkers.update(deltaTime);
+    this.levelIsolation.update(deltaTime);
     
     // Update LOD based on camera distance (every 10 frames for performance)
     if (Math.floor(elapsedTime * 60) % 10 === 0) {
@@ -802,7 +1134,7 @@ export class Experience {
   }
   
   /**
-   * Update list of visible vehicles for API service priority
+   * Update list of visible vehicles for data source priority
    */
   updateVisibleVehicles() {
     if (!this.distanceThrottling.enabled) return;
@@ -819,7 +1151,7 @@ export class Experience {
       }
     });
     
-    this.apiService.setVisibleVehicles(visibleIds);
+    this.dataSource.setVisibleVehicles(visibleIds);
   }
   
   /**
@@ -844,9 +1176,15 @@ export class Experience {
   dispose() {
     this.isRunning = false;
     
-    // Disconnect services
-    this.webSocket?.disconnect();
-    this.apiService?.disconnect();
+    // Disconnect data source
+    this.dataSource?.disconnect();
+    
+    // Stop a running geometry analysis
+    this.geometryAnalysis?.dispose();
+    this.mapMatcher?.dispose();
+    this.checkpointPositioning?.dispose();
+    this.levelIsolation?.dispose();
+    this.explodedView?.dispose();
     
     // Dispose trail pool
     this.trailPool?.dispose();
@@ -856,6 +1194,7 @@ export class Experience {
     
     // Dispose Three.js resources
     this.vehicleManager?.dispose();
+    this.spatialIndex?.dispose();
     this.mineEnvironment?.dispose();
     this.lighting?.dispose();
     this.locationMarkers?.dispose();
@@ -11,7 +11,7 @@
  * - Camera: Perspective camera with OrbitControls
  * - MineEnvironment: Loads and manages the mine GLTF model
  * - VehicleManager: Handles all vehicle instances and updates
- * - WebSocketService: Real-time data connection (simulated)
+ * - DataSource: Telemetry adapter (WebSocket, REST, simulation, replay)
  * - UIController: HTML overlay management
  */
 
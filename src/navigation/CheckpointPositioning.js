@@ -0,0 +1,421 @@
+/**
+ * CheckpointPositioning - Vehicle Locations from RFID / Beacon Reads
+ *
+ * Older vehicles report no coordinates; they only trip readers at fixed
+ * checkpoints. Each 'tag:read' pins the vehicle to its reader. Between
+ * reads it is moved along the tunnels towards the reader it most likely
+ * passes next, at its recent speed, and reported with an uncertainty
+ * radius that grows with the distance travelled unseen.
+ *
+ * Features:
+ * - Reader registry from config (survey coordinates, like telemetry)
+ * - Tag -> vehicle id / type mapping; unmapped tags use the tag as the id
+ * - Routes along the NavGraph (straight lines until the graph is ready)
+ * - Speed from the route length and time between consecutive reads
+ * - Next reader: the one most often seen after the current one, learned
+ *   from every vehicle; with none known the vehicle is held at the reader
+ * - Progress stops at maxProgress of the route until the next read arrives
+ *
+ * Routes are built in the scene; distances, speeds and the uncertainty
+ * radius are in metres. Estimates are converted back to survey
+ * coordinates and emitted on the output bus of a CheckpointDataSource, so
+ * they pass the same validation, transform, interpolation and lifecycle
+ * as measured positions (source 'checkpoint', with positionUncertainty).
+ *
+ * Listens for (app bus):
+ * - 'tag:read' ({ tag, reader, timestamp, source })
+ *
+ * Emits:
+ * - 'vehicle:update' (output bus) - inferred positions, every updateInterval ms
+ * - 'telemetry:rejected' (app bus) - reads from readers missing from the registry
+ */
+
+import { PathFinder } from './PathFinder.js';
+
+export class CheckpointPositioning {
+  constructor(options = {}) {
+    this.events = options.events;
+    this.output = options.output || options.events; // CheckpointDataSource bus
+    this.config = options.config || {};
+    this.transform = options.transform || null;
+    this.sceneScale = this.transform ? this.transform.scale : 1; // Scene units per metre
+
+    this.enabled = this.config.enabled !== false;
+    this.updateInterval = this.config.updateInterval || 1000;        // ms between estimates
+    this.defaultSpeed = this.config.defaultSpeed || 12;              // km/h until a leg is timed
+    this.minSpeed = this.config.minSpeed ?? 3;                       // km/h; slower legs included a stop
+    this.maxSpeed = this.config.maxSpeed || 40;                      // km/h; faster legs are misreads
+    this.readRange = this.config.readRange ?? 5;                     // Uncertainty at the reader (m)
+    this.uncertaintyGrowth = this.config.uncertaintyGrowth ?? 0.5;   // Per metre travelled unseen
+    this.maxUncertainty = this.config.maxUncertainty || 50;
+    this.maxProgress = this.config.maxProgress ?? 0.9;               // Share of the route before waiting
+    this.maxPredictionTime = this.config.maxPredictionTime || 600000; // ms after the last read
+
+    this.navGraph = null;
+    this.pathFinder = null;
+    this.routes = new Map(); // 'from>to' -> { points, cumulative, length }
+    this.transitions = new Map(); // reader id -> Map(next reader id -> count)
+    this.tracks = new Map(); // vehicle id -> track
+
+    this.tags = this.config.tags || {}; // tag -> { id, type }
+    this.readers = new Map(); // id -> { id, name, position, anchor }
+    (this.config.readers || []).forEach((reader) => this.addReader(reader));
+
+    this._elapsed = 0;
+
+    this.events?.on('tag:read', (read) => this.handleRead(read));
+  }
+
+  /**
+   * Register a reader
+   * @param {{id, name, position: {x, y, z}}} reader - Position in survey coordinates
+   */
+  addReader(reader) {
+    const position = reader?.position;
+    if (reader?.id === undefined || !position || ![position.x, position.y, position.z].every(Number.isFinite)) {
+      console.warn('CheckpointPositioning: Skipping reader without an id and position:', reader);
+      return;
+    }
+
+    const id = String(reader.id);
+    const scenePosition = this.transform ? this.transform.toScene(position) : { ...position };
+    this.readers.set(id, {
+      id,
+      name: reader.name || id,
+      position: scenePosition,
+      anchor: this.navGraph ? this.navGraph.findNearestEdgePoint(scenePosition) : null
+    });
+    this.routes.clear();
+  }
+
+  /**
+   * Route between readers along the tunnel centerlines
+   * @param {NavGraph} graph
+   */
+  setNavGraph(graph) {
+    this.navGraph = graph?.edges.size > 0 ? graph : null;
+    this.pathFinder = this.navGraph ? new PathFinder({ graph: this.navGraph }) : null;
+    this.routes.clear();
+
+    // Each reader sits on its nearest centerline point
+    this.readers.forEach((reader) => {
+      reader.anchor = this.navGraph ? this.navGraph.findNearestEdgePoint(reader.position) : null;
+    });
+  }
+
+  /**
+   * Pin a vehicle to the reader that saw it
+   * @param {{tag, reader, timestamp, source}} read - Validated tag read
+   */
+  handleRead(read) {
+    if (!this.enabled) return;
+
+    const reader = this.readers.get(read.reader);
+    if (!reader) {
+      this.events?.emit('telemetry:rejected', {
+        reason: 'unknown_reader',
+        message: `Tag ${read.tag} read by unregistered reader ${read.reader}`,
+        source: read.source,
+        raw: read
+      });
+      return;
+    }
+
+    const vehicle = this.tags[read.tag] || {};
+    const id = String(vehicle.id ?? read.tag);
+    const now = Date.now();
+    const readTime = read.timestamp ?? now;
+
+    let track = this.tracks.get(id);
+    if (!track) {
+      track = {
+        id,
+        type: vehicle.type,
+        tag: read.tag,
+        reader: null,
+        previous: null,
+        next: null,
+        readTime,
+        seenAt: now,
+        speed: this.defaultSpeed,
+        heading: 0
+      };
+      this.tracks.set(id, track);
+    }
+
+    // Repeated reads while in range just refresh the time
+    if (track.reader !== reader.id) {
+      if (track.reader !== null) {
+        this.timeLeg(track, reader.id, readTime);
+        this.countTransition(track.reader, reader.id);
+      }
+      track.previous = track.reader;
+      track.reader = reader.id;
+    }
+    track.readTime = readTime;
+    track.seenAt = now;
+    track.next = this.predictNext(reader.id, track.previous);
+
+    this.emitEstimate(track, now);
+  }
+
+  /**
+   * Update a vehicle's speed from the leg it just completed
+   */
+  timeLeg(track, readerId, readTime) {
+    const hours = (readTime - track.readTime) / 3600000;
+    const route = this.getRoute(track.reader, readerId);
+    if (!route || hours <= 0) return;
+
+    const speed = route.length / this.sceneScale / 1000 / hours;
+    if (speed >= this.minSpeed && speed <= this.maxSpeed) {
+      track.speed = speed;
+    }
+  }
+
+  countTransition(fromId, toId) {
+    if (!this.transitions.has(fromId)) {
+      this.transitions.set(fromId, new Map());
+    }
+    const counts = this.transitions.get(fromId);
+    counts.set(toId, (counts.get(toId) || 0) + 1);
+  }
+
+  /**
+   * Reader most often seen after this one (ties: not the one just left)
+   * @returns {string|null}
+   */
+  predictNext(readerId, previousId) {
+    let best = null;
+    let bestCount = 0;
+
+    this.transitions.get(readerId)?.forEach((count, nextId) => {
+      if (count > bestCount || (count === bestCount && best === previousId)) {
+        best = nextId;
+        bestCount = count;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Emit estimates every updateInterval (call in render loop)
+   * @param {number} deltaTime - Seconds since last frame
+   */
+  update(deltaTime) {
+    if (!this.enabled || this.tracks.size === 0) return;
+
+    this._elapsed += deltaTime * 1000;
+    if (this._elapsed < this.updateInterval) return;
+    this._elapsed = 0;
+
+    const now = Date.now();
+    this.tracks.forEach((track, id) => {
+      // Silent too long - stop guessing and let the vehicle go offline
+      if (now - track.seenAt > this.maxPredictionTime) {
+        this.tracks.delete(id);
+        return;
+      }
+      this.emitEstimate(track, now);
+    });
+  }
+
+  /**
+   * Inferred state of a vehicle
+   * @returns {{position, heading, speed, moving, uncertainty}}
+   */
+  getEstimate(track, now = Date.now()) {
+    const reader = this.readers.get(track.reader);
+    const route = track.next ? this.getRoute(track.reader, track.next) : null;
+
+    // Metres the vehicle could have covered since the read
+    const blindDistance = (track.speed / 3.6) * Math.max(0, now - track.seenAt) / 1000;
+    const uncertainty = Math.min(this.maxUncertainty, this.readRange + blindDistance * this.uncertaintyGrowth);
+
+    if (!route || route.length === 0) {
+      return {
+        position: { ...(reader.anchor?.point ?? reader.position) },
+        heading: track.heading,
+        speed: 0,
+        moving: false,
+        uncertainty
+      };
+    }
+
+    const limit = route.length * this.maxProgress;
+    const travelled = Math.min(blindDistance * this.sceneScale, limit);
+    const { position, heading } = pointAlong(route, travelled);
+    track.heading = heading ?? track.heading;
+
+    const moving = travelled < limit;
+    return { position, heading: track.heading, speed: moving ? track.speed : 0, moving, uncertainty };
+  }
+
+  /**
+   * Send a vehicle's estimate through the normal telemetry path
+   * (survey coordinates, like any other source)
+   */
+  emitEstimate(track, now) {
+    const estimate = this.getEstimate(track, now);
+    const reader = this.readers.get(track.reader);
+
+    this.output?.emit('vehicle:update', {
+      id: track.id,
+      type: track.type,
+      status: estimate.moving ? 'moving' : 'idle',
+      position: this.transform ? this.transform.toWorld(estimate.position) : estimate.position,
+      heading: this.transform ? this.transform.headingToWorld(estimate.heading) : estimate.heading,
+      speed: estimate.speed,
+      timestamp: now,
+      positionUncertainty: estimate.uncertainty,
+      metadata: {
+        checkpoint: {
+          tag: track.tag,
+          reader: reader.id,
+          readerName: reader.name,
+          next: track.next,
+          readTime: track.readTime
+        }
+      }
+    });
+  }
+
+  /**
+   * Cached route between two readers, with cumulative distances
+   * @returns {{points, cumulative, length}|null}
+   */
+  getRoute(fromId, toId) {
+    const key = `${fromId}>${toId}`;
+    if (this.routes.has(key)) return this.routes.get(key);
+
+    const from = this.readers.get(fromId);
+    const to = this.readers.get(toId);
+    if (!from || !to) return null;
+
+    const points = (from.anchor && to.anchor && this.findGraphRoute(from.anchor, to.anchor)) ||
+      [{ ...from.position }, { ...to.position }];
+
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+      cumulative.push(cumulative[i - 1] + distance(points[i - 1], points[i]));
+    }
+
+    const route = { points, cumulative, length: cumulative[cumulative.length - 1] };
+    this.routes.set(key, route);
+    return route;
+  }
+
+  /**
+   * Shortest centerline polyline between two points on graph edges
+   * @param {{edge, offset}} a - Start (NavGraph.findNearestEdgePoint result)
+   * @param {{edge, offset}} b - End
+   * @returns {Array<{x, y, z}>|null}
+   */
+  findGraphRoute(a, b) {
+    if (a.edge === b.edge) {
+      return slicePolyline(a.edge.points, a.offset, b.offset);
+    }
+
+    // Leave a's edge by either end, join b's edge by either end
+    let best = null;
+    [a.edge.from, a.edge.to].forEach((startNode) => {
+      const startOffset = startNode === a.edge.from ? 0 : a.edge.length;
+
+      [b.edge.from, b.edge.to].forEach((endNode) => {
+        const endOffset = endNode === b.edge.from ? 0 : b.edge.length;
+        const path = startNode === endNode
+          ? { points: [{ ...this.navGraph.getNode(startNode).position }], length: 0 }
+          : this.pathFinder.findPath(startNode, endNode);
+        if (!path) return;
+
+        const length = Math.abs(a.offset - startOffset) + path.length + Math.abs(b.offset - endOffset);
+        if (!best || length < best.length) {
+          best = { length, startOffset, endOffset, path };
+        }
+      });
+    });
+
+    if (!best) return null;
+
+    return [
+      ...slicePolyline(a.edge.points, a.offset, best.startOffset),
+      ...best.path.points.slice(1, -1),
+      ...slicePolyline(b.edge.points, best.endOffset, b.offset)
+    ];
+  }
+
+  /**
+   * Forget a vehicle (removed from the scene)
+   */
+  forget(id) {
+    this.tracks.delete(id);
+  }
+
+  dispose() {
+    this.tracks.clear();
+    this.routes.clear();
+  }
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+}
+
+/**
+ * Part of a polyline between two distances along it (either order)
+ */
+function slicePolyline(points, fromOffset, toOffset) {
+  if (fromOffset > toOffset) {
+    return slicePolyline(points, toOffset, fromOffset).reverse();
+  }
+
+  const result = [];
+  let along = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const segLength = distance(a, b);
+    const end = along + segLength;
+
+    if (end >= fromOffset && along <= toOffset && segLength > 0) {
+      if (result.length === 0) {
+        result.push(lerpPoint(a, b, Math.max(0, (fromOffset - along) / segLength)));
+      }
+      if (end >= toOffset) {
+        result.push(lerpPoint(a, b, (toOffset - along) / segLength));
+        break;
+      }
+      result.push({ ...b });
+    }
+    along = end;
+  }
+
+  return result.length > 0 ? result : [{ ...points[points.length - 1] }];
+}
+
+/**
+ * Position and heading a distance along a route
+ * Heading convention: 0 = +Z, 90 = +X (null on vertical segments)
+ */
+function pointAlong(route, travelled) {
+  const { points, cumulative } = route;
+
+  let i = 0;
+  while (i < points.length - 2 && cumulative[i + 1] < travelled) i++;
+
+  const a = points[i];
+  const b = points[i + 1] ?? a;
+  const segLength = cumulative[i + 1] - cumulative[i];
+  const t = segLength > 0 ? Math.min(1, (travelled - cumulative[i]) / segLength) : 0;
+
+  const heading = b.x !== a.x || b.z !== a.z
+    ? ((Math.atan2(b.x - a.x, b.z - a.z) * 180) / Math.PI + 360) % 360
+    : null;
+
+  return { position: lerpPoint(a, b, t), heading };
+}
+
+function lerpPoint(a, b, t) {
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+}
@@ -0,0 +1,198 @@
+/**
+ * MapMatcher - Snap Drifting Positions onto Tunnel Centerlines
+ *
+ * Underground positioning drifts by several metres. Between ingestion and
+ * VehicleManager, each reported position is matched to the tunnel segment
+ * (NavGraph edge) the vehicle is most likely on, and moved onto its
+ * centerline.
+ *
+ * Each vehicle keeps a belief over nearby edges, updated per message like
+ * a hidden Markov model filter:
+ * - Prior: last belief carried over; staying on an edge or moving to one
+ *   sharing a node is likely, jumping to an unconnected edge is not
+ * - Likelihood: distance to the centerline (Gaussian, positionSigma) and,
+ *   while moving, how well the heading lines up with the tunnel (either
+ *   direction of travel, headingSigma)
+ *
+ * Confidence is the chosen edge's belief times its distance likelihood, so
+ * an ambiguous junction and a point far from any tunnel both score low.
+ * Below minConfidence the raw position is passed through unchanged.
+ *
+ * Matched updates carry:
+ * - rawPosition: the position as reported (for diagnostics)
+ * - mapMatch: { edgeId, confidence, distance, snapped }
+ *
+ * Emits:
+ * - 'telemetry:matched' ({ id, source, confidence, distance, snapped })
+ */
+
+export class MapMatcher {
+  constructor(options = {}) {
+    this.events = options.events;
+    this.config = options.config || {};
+
+    this.enabled = this.config.enabled === true;
+    this.searchRadius = this.config.searchRadius || 15;       // Edges further away are not candidates
+    this.positionSigma = this.config.positionSigma || 4;      // Expected drift (m)
+    this.headingSigma = this.config.headingSigma || 30;       // Expected heading error (degrees)
+    this.minSpeed = this.config.minSpeed ?? 2;                // km/h; heading is noise below this
+    this.adjacentWeight = this.config.adjacentWeight ?? 0.5;  // Prior for moving to a connected edge
+    this.jumpWeight = this.config.jumpWeight ?? 0.05;         // Prior for an unconnected edge
+    this.minConfidence = this.config.minConfidence ?? 0.3;
+    this.historyTimeout = this.config.historyTimeout || 30000; // ms of silence before history is dropped
+
+    this.navGraph = null;
+    this.tracks = new Map(); // vehicle id -> { beliefs: Map(edge id -> probability), time }
+  }
+
+  /**
+   * Set the centerline graph to match against (clears vehicle history)
+   * @param {NavGraph} graph
+   */
+  setNavGraph(graph) {
+    this.navGraph = graph;
+    this.tracks.clear();
+
+    // Candidate searches then only visit the cells around each position
+    if (this.isActive()) {
+      graph.buildSegmentIndex(this.searchRadius);
+    }
+  }
+
+  /**
+   * Whether updates are being matched
+   */
+  isActive() {
+    return this.enabled && this.navGraph?.edges.size > 0;
+  }
+
+  /**
+   * Match a validated vehicle update
+   * @param {Object} data - Vehicle update (scene coordinates)
+   * @returns {Object} The update with position snapped and match info added,
+   *          or unchanged when matching is off
+   */
+  match(data) {
+    if (!this.isActive() || !data.position) return data;
+
+    const now = Date.now();
+    let track = this.tracks.get(data.id);
+    if (!track || now - track.time > this.historyTimeout) {
+      track = { beliefs: new Map(), time: now };
+      this.tracks.set(data.id, track);
+    }
+    track.time = now;
+
+    const candidates = this.navGraph.findEdgeCandidates(data.position, this.searchRadius);
+    if (candidates.length === 0) {
+      track.beliefs.clear();
+      return this.report(data, null, 0);
+    }
+
+    // Belief over candidates: carried-over prior x likelihood
+    const scores = candidates.map((candidate) => this.getPrior(track.beliefs, candidate.edge) *
+      this.getLikelihood(candidate, data));
+    const total = scores.reduce((sum, score) => sum + score, 0);
+
+    track.beliefs.clear();
+    if (total <= 0) {
+      return this.report(data, null, 0);
+    }
+
+    let bestIndex = 0;
+    scores.forEach((score, i) => {
+      track.beliefs.set(candidates[i].edge.id, score / total);
+      if (score > scores[bestIndex]) bestIndex = i;
+    });
+
+    const best = candidates[bestIndex];
+    const confidence = (scores[bestIndex] / total) * this.getDistanceLikelihood(best.distance);
+    return this.report(data, best, confidence);
+  }
+
+  /**
+   * Prior for an edge given the previous belief (uniform without history)
+   */
+  getPrior(beliefs, edge) {
+    if (beliefs.size === 0) return 1;
+
+    let prior = 0;
+    beliefs.forEach((probability, edgeId) => {
+      const previous = this.navGraph.getEdge(edgeId);
+      let weight = this.jumpWeight;
+      if (edgeId === edge.id) {
+        weight = 1;
+      } else if (previous && this.navGraph.areEdgesAdjacent(previous, edge)) {
+        weight = this.adjacentWeight;
+      }
+      prior += probability * weight;
+    });
+    return prior;
+  }
+
+  /**
+   * How well a reported position and heading fit a candidate
+   */
+  getLikelihood(candidate, data) {
+    let likelihood = this.getDistanceLikelihood(candidate.distance);
+
+    // Heading only counts while moving, and in plan view
+    const { x, z } = candidate.direction;
+    const run = Math.hypot(x, z);
+    if ((data.speed || 0) >= this.minSpeed && run > 1e-3) {
+      const headingRad = (data.heading || 0) * Math.PI / 180;
+      const alignment = Math.abs(Math.sin(headingRad) * x + Math.cos(headingRad) * z) / run;
+      const angle = Math.acos(Math.min(1, alignment)) * 180 / Math.PI;
+      likelihood *= Math.exp(-(angle * angle) / (2 * this.headingSigma * this.headingSigma));
+    }
+
+    return likelihood;
+  }
+
+  /**
+   * Gaussian fit of the distance to a centerline
+   */
+  getDistanceLikelihood(distance) {
+    return Math.exp(-(distance * distance) / (2 * this.positionSigma * this.positionSigma));
+  }
+
+  /**
+   * Build the matched update and report it
+   */
+  report(data, candidate, confidence) {
+    const snapped = candidate !== null && confidence >= this.minConfidence;
+    const distance = candidate ? candidate.distance : null;
+
+    this.events?.emit('telemetry:matched', {
+      id: data.id,
+      source: data.source,
+      confidence,
+      distance,
+      snapped
+    });
+
+    return {
+      ...data,
+      position: snapped ? { ...candidate.point } : data.position,
+      rawPosition: data.position,
+      mapMatch: {
+        edgeId: candidate ? candidate.edge.id : null,
+        confidence,
+        distance,
+        snapped
+      }
+    };
+  }
+
+  /**
+   * Drop a vehicle's history
+   */
+  forget(id) {
+    this.tracks.delete(id);
+  }
+
+  dispose() {
+    this.tracks.clear();
+    this.navGraph = null;
+  }
+}
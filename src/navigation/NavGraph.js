@@ -0,0 +1,453 @@
+/**
+ * NavGraph - Tunnel Centerline Graph
+ *
+ * Nodes sit at tunnel intersections and dead ends; edges follow the
+ * tunnel centerline between them. Built once from the mine geometry by
+ * NavGraphBuilder and shared by simulation, markers, routing and analytics.
+ *
+ * Features:
+ * - Nodes: { id, position }
+ * - Edges: { id, from, to, points, length, gradient, maxGradient }
+ * - Gradient is rise over horizontal run (0.1 = 10%), signed from -> to
+ * - Neighbor lookup, nearest node / nearest point on an edge
+ * - Per-edge nearest points for map matching
+ * - Uniform grid over edge segments, so radius queries only test
+ *   segments in nearby cells (built on first use, dropped on edits)
+ * - Random walks along the graph for simulated routes
+ * - Plain JSON round trip (toJSON / NavGraph.fromJSON)
+ */
+
+// Default segment grid cell size (m)
+const DEFAULT_CELL_SIZE = 10;
+
+export class NavGraph {
+  constructor() {
+    this.nodes = new Map(); // id -> node
+    this.edges = new Map(); // id -> edge
+    this.adjacency = new Map(); // node id -> Set of edge ids
+    this.segmentIndex = null; // { cellSize, cells: Map(key -> segments), segments }
+
+    this.nextNodeId = 0;
+    this.nextEdgeId = 0;
+  }
+
+  /**
+   * Add a node
+   * @param {{x, y, z}} position
+   * @returns {Object} The node
+   */
+  addNode(position, id = this.nextNodeId++) {
+    const node = { id, position: { x: position.x, y: position.y, z: position.z } };
+    this.nodes.set(id, node);
+    this.adjacency.set(id, new Set());
+    this.nextNodeId = Math.max(this.nextNodeId, id + 1);
+    return node;
+  }
+
+  /**
+   * Add an edge between two nodes
+   * @param {number} from - Start node id
+   * @param {number} to - End node id
+   * @param {Array<{x, y, z}>} points - Centerline from 'from' to 'to' (inclusive)
+   * @returns {Object} The edge
+   */
+  addEdge(from, to, points, id = this.nextEdgeId++) {
+    const edge = {
+      id,
+      from,
+      to,
+      points: points.map((p) => ({ x: p.x, y: p.y, z: p.z })),
+      ...measurePolyline(points)
+    };
+
+    this.edges.set(id, edge);
+    this.segmentIndex = null;
+    this.adjacency.get(from).add(id);
+    this.adjacency.get(to).add(id);
+    this.nextEdgeId = Math.max(this.nextEdgeId, id + 1);
+    return edge;
+  }
+
+  removeEdge(id) {
+    const edge = this.edges.get(id);
+    if (!edge) return;
+    this.adjacency.get(edge.from)?.delete(id);
+    this.adjacency.get(edge.to)?.delete(id);
+    this.edges.delete(id);
+    this.segmentIndex = null;
+  }
+
+  removeNode(id) {
+    this.adjacency.get(id)?.forEach((edgeId) => this.removeEdge(edgeId));
+    this.adjacency.delete(id);
+    this.nodes.delete(id);
+  }
+
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  getEdge(id) {
+    return this.edges.get(id) || null;
+  }
+
+  /**
+   * Number of edge ends at a node (a loop counts twice)
+   */
+  getDegree(id) {
+    let degree = 0;
+    this.adjacency.get(id)?.forEach((edgeId) => {
+      const edge = this.edges.get(edgeId);
+      degree += edge.from === edge.to ? 2 : 1;
+    });
+    return degree;
+  }
+
+  /**
+   * Edges leaving a node
+   * @returns {Array<{edge, nodeId}>} nodeId is the node at the far end
+   */
+  getNeighbors(id) {
+    const neighbors = [];
+    this.adjacency.get(id)?.forEach((edgeId) => {
+      const edge = this.edges.get(edgeId);
+      neighbors.push({ edge, nodeId: edge.from === id ? edge.to : edge.from });
+    });
+    return neighbors;
+  }
+
+  /**
+   * Edge points ordered away from a node
+   */
+  getEdgePoints(edge, fromNodeId) {
+    return edge.from === fromNodeId ? edge.points : [...edge.points].reverse();
+  }
+
+  /**
+   * Closest node to a position
+   * @param {{x, y, z}} position
+   * @param {number} maxDistance - Ignore nodes further than this
+   */
+  findNearestNode(position, maxDistance = Infinity) {
+    let best = null;
+    let bestDistSq = maxDistance * maxDistance;
+
+    this.nodes.forEach((node) => {
+      const distSq = distanceSq(node.position, position);
+      if (distSq < bestDistSq) {
+        best = node;
+        bestDistSq = distSq;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Closest point on any edge centerline
+   * Leave position.y undefined to search in plan view (any level).
+   * @returns {{edge, point, distance, offset}|null} offset is the distance along the edge from 'from'
+   */
+  findNearestEdgePoint(position, maxDistance = Infinity) {
+    let best = null;
+    let bestDistSq = maxDistance * maxDistance;
+    const planView = position.y === undefined;
+    const query = planView ? { x: position.x, y: 0, z: position.z } : position;
+    const flatten = (p) => (planView ? { x: p.x, y: 0, z: p.z } : p);
+
+    // The grid is 3D - plan view searches test every segment
+    const segments = planView ? this.getSegmentIndex().segments : this.findSegments(position, maxDistance);
+    segments.forEach(({ edge, a, b, along, length }) => {
+      const { t } = closestPointOnSegment(flatten(a), flatten(b), query);
+      const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+      const distSq = distanceSq(flatten(point), query);
+
+      if (distSq < bestDistSq) {
+        bestDistSq = distSq;
+        best = { edge, point, distance: Math.sqrt(distSq), offset: along + length * t };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Closest centerline point on each edge near a position
+   * @param {{x, y, z}} position
+   * @param {number} maxDistance - Ignore edges further than this
+   * @returns {Array<{edge, point, distance, offset, direction}>} Nearest first;
+   *          direction is the unit centerline direction (from -> to) at the point
+   */
+  findEdgeCandidates(position, maxDistance = Infinity) {
+    const maxDistSq = maxDistance * maxDistance;
+    const bestByEdge = new Map(); // edge -> { candidate, distSq }
+
+    this.findSegments(position, maxDistance).forEach(({ edge, a, b, along, length }) => {
+      const { t } = closestPointOnSegment(a, b, position);
+      const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+      const distSq = distanceSq(point, position);
+      if (distSq > maxDistSq) return;
+
+      const best = bestByEdge.get(edge);
+      if (best && distSq > best.distSq) return;
+
+      bestByEdge.set(edge, {
+        distSq,
+        candidate: {
+          edge,
+          point,
+          distance: Math.sqrt(distSq),
+          offset: along + length * t,
+          direction: { x: (b.x - a.x) / length, y: (b.y - a.y) / length, z: (b.z - a.z) / length }
+        }
+      });
+    });
+
+    return [...bestByEdge.values()]
+      .map(({ candidate }) => candidate)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Build the segment grid
+   * Called on first query; call ahead of time to keep the cost off the
+   * first telemetry message.
+   * @param {number} cellSize - About the usual query radius
+   */
+  buildSegmentIndex(cellSize = DEFAULT_CELL_SIZE) {
+    const cells = new Map();
+    const segments = [];
+
+    this.edges.forEach((edge) => {
+      let along = 0;
+      for (let i = 0; i < edge.points.length - 1; i++) {
+        const a = edge.points[i];
+        const b = edge.points[i + 1];
+        const length = Math.sqrt(distanceSq(a, b));
+
+        // Zero-length segments have no direction and are never the closest
+        if (length > 0) {
+          const segment = { edge, a, b, along, length };
+          segments.push(segment);
+          forEachCell(cellSize, a, b, 0, (key) => {
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(segment);
+          });
+        }
+        along += length;
+      }
+    });
+
+    this.segmentIndex = { cellSize, cells, segments };
+    return this.segmentIndex;
+  }
+
+  getSegmentIndex() {
+    return this.segmentIndex || this.buildSegmentIndex();
+  }
+
+  /**
+   * Segments that may lie within a distance of a position
+   * @returns {Array<{edge, a, b, along, length}>} along: distance from the edge start to a
+   */
+  findSegments(position, maxDistance = Infinity) {
+    const { cellSize, cells, segments } = this.getSegmentIndex();
+    // Past this many cells a full scan is cheaper
+    const span = Math.floor((2 * maxDistance) / cellSize) + 2;
+    if (!Number.isFinite(maxDistance) || span ** 3 > cells.size) return segments;
+
+    const found = new Set();
+    forEachCell(cellSize, position, position, maxDistance, (key) => {
+      cells.get(key)?.forEach((segment) => found.add(segment));
+    });
+    return [...found];
+  }
+
+  /**
+   * Whether two edges share a node
+   */
+  areEdgesAdjacent(a, b) {
+    return a.from === b.from || a.from === b.to || a.to === b.from || a.to === b.to;
+  }
+
+  /**
+   * Random walk from a node, avoiding immediate U-turns where possible
+   * @param {number} startId - Start node id
+   * @param {number} maxEdges - Number of edges to follow
+   * @param {Function} random - () => [0, 1)
+   * @returns {Array<{x, y, z}>} Concatenated centerline points
+   */
+  randomWalk(startId, maxEdges, random = Math.random) {
+    const start = this.nodes.get(startId);
+    if (!start) return [];
+
+    const points = [{ ...start.position }];
+    let current = startId;
+    let previousEdge = null;
+
+    for (let i = 0; i < maxEdges; i++) {
+      let options = this.getNeighbors(current);
+      if (options.length === 0) break;
+      if (options.length > 1 && previousEdge !== null) {
+        options = options.filter(({ edge }) => edge.id !== previousEdge);
+      }
+
+      const { edge, nodeId } = options[Math.floor(random() * options.length)];
+      const edgePoints = this.getEdgePoints(edge, current);
+      for (let j = 1; j < edgePoints.length; j++) {
+        points.push({ ...edgePoints[j] });
+      }
+
+      previousEdge = edge.id;
+      current = nodeId;
+    }
+
+    return points;
+  }
+
+  /**
+   * Random-walk routes starting from nodes spread over the graph
+   * @param {number} count - Number of routes
+   * @param {number} maxEdges - Edges per route
+   * @param {Object} options - { spacing: resample distance, random: () => [0, 1) }
+   * @returns {Array<Array<{x, y, z}>>}
+   */
+  generateRoutes(count, maxEdges, options = {}) {
+    const { spacing = 0, random = Math.random } = options;
+    const nodeIds = [...this.nodes.keys()].filter((id) => this.adjacency.get(id).size > 0);
+    if (nodeIds.length === 0) return [];
+
+    const routes = [];
+    for (let i = 0; i < count; i++) {
+      const startId = nodeIds[Math.floor((i / count) * nodeIds.length)];
+      const route = this.randomWalk(startId, maxEdges, random);
+      if (route.length >= 2) routes.push(spacing > 0 ? resamplePolyline(route, spacing) : route);
+    }
+    return routes;
+  }
+
+  /**
+   * Graph totals for logs and UI
+   */
+  getStats() {
+    let totalLength = 0;
+    let maxGradient = 0;
+    this.edges.forEach((edge) => {
+      totalLength += edge.length;
+      maxGradient = Math.max(maxGradient, edge.maxGradient);
+    });
+
+    return {
+      nodes: this.nodes.size,
+      edges: this.edges.size,
+      totalLength,
+      maxGradient
+    };
+  }
+
+  toJSON() {
+    return {
+      nodes: [...this.nodes.values()].map(({ id, position }) => ({ id, position })),
+      edges: [...this.edges.values()].map(({ id, from, to, points }) => ({ id, from, to, points }))
+    };
+  }
+
+  static fromJSON(data) {
+    const graph = new NavGraph();
+    data.nodes.forEach((node) => graph.addNode(node.position, node.id));
+    data.edges.forEach((edge) => graph.addEdge(edge.from, edge.to, edge.points, edge.id));
+    return graph;
+  }
+}
+
+/**
+ * Length and gradients of a centerline
+ */
+export function measurePolyline(points) {
+  let length = 0;
+  let run = 0;
+  let maxGradient = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const horizontal = Math.hypot(b.x - a.x, b.z - a.z);
+    length += Math.hypot(horizontal, b.y - a.y);
+    run += horizontal;
+    if (horizontal > 0) {
+      maxGradient = Math.max(maxGradient, Math.abs(b.y - a.y) / horizontal);
+    }
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const gradient = run > 0 ? (last.y - first.y) / run : 0;
+
+  return { length, gradient, maxGradient };
+}
+
+/**
+ * Evenly spaced points along a polyline (keeps both ends)
+ */
+export function resamplePolyline(points, spacing) {
+  const result = [{ ...points[0] }];
+  let carried = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const segLength = Math.sqrt(distanceSq(a, b));
+    let along = spacing - carried;
+
+    while (along < segLength) {
+      const t = along / segLength;
+      result.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t });
+      along += spacing;
+    }
+    carried = segLength - (along - spacing);
+  }
+
+  const last = points[points.length - 1];
+  if (carried > spacing * 0.25 || result.length === 1) result.push({ ...last });
+  else result[result.length - 1] = { ...last };
+
+  return result;
+}
+
+/**
+ * Grid cell keys covering the box around two points, grown by margin
+ */
+function forEachCell(cellSize, a, b, margin, callback) {
+  const min = (axis) => Math.floor((Math.min(a[axis], b[axis]) - margin) / cellSize);
+  const max = (axis) => Math.floor((Math.max(a[axis], b[axis]) + margin) / cellSize);
+
+  for (let x = min('x'); x <= max('x'); x++) {
+    for (let y = min('y'); y <= max('y'); y++) {
+      for (let z = min('z'); z <= max('z'); z++) {
+        callback(`${x},${y},${z}`);
+      }
+    }
+  }
+}
+
+function distanceSq(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return dx * dx + dy * dy + dz * dz;
+}
+
+function closestPointOnSegment(a, b, p) {
+  const abx = b.x - a.x;
+  const aby = b.y - a.y;
+  const abz = b.z - a.z;
+  const lengthSq = abx * abx + aby * aby + abz * abz;
+
+  let t = 0;
+  if (lengthSq > 0) {
+    t = ((p.x - a.x) * abx + (p.y - a.y) * aby + (p.z - a.z) * abz) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+  }
+
+  return { point: { x: a.x + abx * t, y: a.y + aby * t, z: a.z + abz * t }, t };
+}
@@ -0,0 +1,455 @@
+/**
+ * NavGraphBuilder - Extracts a NavGraph from the Mine Geometry
+ *
+ * HOW IT WORKS:
+ * 1. Cast one downward ray per grid cell and keep EVERY hit. Each roof/floor
+ *    pair with a plausible clearance is a tunnel floor, so stacked levels
+ *    give several floor samples in the same column.
+ * 2. Link each floor sample to the samples in the 8 neighbouring columns
+ *    whose floor is within maxStep (a 2.5D grid that follows ramps).
+ * 3. Thin the floor area to a 1-sample-wide centerline (Zhang-Suen).
+ * 4. Centerline samples with one neighbour are dead ends, three or more are
+ *    junctions; runs of two-neighbour samples between them become edges.
+ * 5. Prune short spurs left by thinning, merge pass-through nodes and
+ *    simplify the edge polylines.
+ *
+ * Runs once after the mine loads; cost grows with the mine area / cellSize².
+ */
+
+import * as THREE from 'three';
+import { NavGraph } from './NavGraph.js';
+
+// 8-neighbourhood in Zhang-Suen order: P2 (north) clockwise to P9 (north-west)
+const NEIGHBOR_OFFSETS = [
+  [0, -1], [1, -1], [1, 0], [1, 1],
+  [0, 1], [-1, 1], [-1, 0], [-1, -1]
+];
+
+// Hits closer than this are the same surface (coincident / double-sided faces)
+const HIT_MERGE_DISTANCE = 0.05;
+
+export class NavGraphBuilder {
+  constructor(options = {}) {
+    this.config = options.config || {};
+
+    this.cellSize = this.config.cellSize || 3;
+    this.minClearance = this.config.minClearance ?? 1.0;
+    this.maxClearance = this.config.maxClearance ?? 20;
+    this.floorOffset = this.config.floorOffset ?? 0.5;
+    this.maxStep = this.config.maxStep ?? this.cellSize * 0.6;
+    this.minSpurLength = this.config.minSpurLength ?? this.cellSize * 3;
+    this.simplifyTolerance = this.config.simplifyTolerance ?? this.cellSize * 0.25;
+  }
+
+  /**
+   * Build the graph for a mine model
+   * @param {SpatialIndex} spatialIndex - Index over the mine model
+   * @param {THREE.Box3} bounds - Mine bounding box
+   * @param {Function} onProgress - Called with the scanned fraction (0-1)
+   * @returns {NavGraph}
+   */
+  build(spatialIndex, bounds, onProgress = null) {
+    const startTime = performance.now();
+
+    const grid = this.scanFloors(spatialIndex, bounds, onProgress);
+    this.linkNeighbors(grid);
+    this.thin(grid);
+
+    const graph = this.extractGraph(grid);
+    this.pruneSpurs(graph);
+    this.mergePassThroughNodes(graph);
+    [...graph.edges.values()].forEach((edge) => {
+      const points = simplifyPolyline(edge.points, this.simplifyTolerance);
+      graph.removeEdge(edge.id);
+      graph.addEdge(edge.from, edge.to, points, edge.id);
+    });
+
+    const stats = graph.getStats();
+    console.log(
+      `NavGraphBuilder: ${stats.nodes} nodes, ${stats.edges} edges, ` +
+      `${stats.totalLength.toFixed(0)} units of tunnel from ${grid.samples.length} floor samples ` +
+      `(${(performance.now() - startTime).toFixed(0)}ms)`
+    );
+
+    return graph;
+  }
+
+  /**
+   * Step 1: floor samples from multi-hit downward rays
+   * @returns {{cols, rows, samples, columns}}
+   */
+  scanFloors(spatialIndex, bounds, onProgress = null) {
+    const { min, max } = bounds;
+    const cols = Math.max(1, Math.ceil((max.x - min.x) / this.cellSize));
+    const rows = Math.max(1, Math.ceil((max.z - min.z) / this.cellSize));
+
+    const samples = []; // { i, k, x, y, z }
+    const columns = new Map(); // k * cols + i -> [sample index]
+    const down = new THREE.Vector3(0, -1, 0);
+    const rayOrigin = new THREE.Vector3();
+
+    const far = max.y - min.y + 20;
+
+    for (let k = 0; k < rows; k++) {
+      for (let i = 0; i < cols; i++) {
+        const x = min.x + (i + 0.5) * this.cellSize;
+        const z = min.z + (k + 0.5) * this.cellSize;
+
+        rayOrigin.set(x, max.y + 10, z);
+        const floors = this.findFloors(spatialIndex.raycast(rayOrigin, down, far));
+
+        if (floors.length === 0) continue;
+
+        const indices = floors.map((y) => {
+          samples.push({ i, k, x, y, z });
+          return samples.length - 1;
+        });
+        columns.set(k * cols + i, indices);
+      }
+      onProgress?.((k + 1) / rows);
+    }
+
+    return { cols, rows, samples, columns };
+  }
+
+  /**
+   * Floor heights in one column (hits are ordered top-down)
+   * A hit followed by another within the clearance range is a roof/floor pair.
+   */
+  findFloors(hits) {
+    const heights = [];
+    hits.forEach((hit) => {
+      const y = hit.point.y;
+      if (heights.length === 0 || heights[heights.length - 1] - y > HIT_MERGE_DISTANCE) {
+        heights.push(y);
+      }
+    });
+
+    const floors = [];
+    let i = 0;
+    while (i < heights.length - 1) {
+      const clearance = heights[i] - heights[i + 1];
+      if (clearance >= this.minClearance && clearance <= this.maxClearance) {
+        floors.push(heights[i + 1]);
+        i += 2;
+      } else {
+        i++;
+      }
+    }
+
+    return floors;
+  }
+
+  /**
+   * Step 2: neighbour sample per direction (-1 if none)
+   */
+  linkNeighbors(grid) {
+    const { cols, rows, samples, columns } = grid;
+
+    grid.neighbors = samples.map((sample) => NEIGHBOR_OFFSETS.map(([di, dk]) => {
+      const i = sample.i + di;
+      const k = sample.k + dk;
+      if (i < 0 || k < 0 || i >= cols || k >= rows) return -1;
+
+      const column = columns.get(k * cols + i);
+      if (!column) return -1;
+
+      // Closest floor within a climbable step
+      let best = -1;
+      let bestStep = this.maxStep;
+      column.forEach((index) => {
+        const step = Math.abs(samples[index].y - sample.y);
+        if (step <= bestStep) {
+          best = index;
+          bestStep = step;
+        }
+      });
+      return best;
+    }));
+  }
+
+  /**
+   * Step 3: Zhang-Suen thinning over the linked samples
+   */
+  thin(grid) {
+    const { samples, neighbors } = grid;
+    const alive = new Uint8Array(samples.length).fill(1);
+    const p = new Uint8Array(8);
+
+    const isOn = (index) => (index >= 0 && alive[index] ? 1 : 0);
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+
+      for (let pass = 0; pass < 2; pass++) {
+        const remove = [];
+
+        for (let s = 0; s < samples.length; s++) {
+          if (!alive[s]) continue;
+
+          const n = neighbors[s];
+          let count = 0;
+          for (let j = 0; j < 8; j++) {
+            p[j] = isOn(n[j]);
+            count += p[j];
+          }
+          if (count < 2 || count > 6) continue;
+
+          let transitions = 0;
+          for (let j = 0; j < 8; j++) {
+            if (p[j] === 0 && p[(j + 1) % 8] === 1) transitions++;
+          }
+          if (transitions !== 1) continue;
+
+          // p[0]=P2 (N), p[2]=P4 (E), p[4]=P6 (S), p[6]=P8 (W)
+          if (pass === 0) {
+            if (p[0] * p[2] * p[4] !== 0 || p[2] * p[4] * p[6] !== 0) continue;
+          } else {
+            if (p[0] * p[2] * p[6] !== 0 || p[0] * p[4] * p[6] !== 0) continue;
+          }
+
+          remove.push(s);
+        }
+
+        remove.forEach((s) => {
+          alive[s] = 0;
+        });
+        if (remove.length > 0) changed = true;
+      }
+    }
+
+    grid.alive = alive;
+  }
+
+  /**
+   * Centerline adjacency (m-adjacency: a diagonal only counts when neither
+   * shared orthogonal neighbour is on the centerline, so staircases don't
+   * look like junctions)
+   */
+  buildSkeletonAdjacency(grid) {
+    const { samples, neighbors, alive } = grid;
+    const adjacency = samples.map(() => new Set());
+
+    for (let s = 0; s < samples.length; s++) {
+      if (!alive[s]) continue;
+      const n = neighbors[s];
+
+      for (let j = 0; j < 8; j++) {
+        const other = n[j];
+        if (other < 0 || !alive[other]) continue;
+
+        if (j % 2 === 1) {
+          const before = n[j - 1];
+          const after = n[(j + 1) % 8];
+          if ((before >= 0 && alive[before]) || (after >= 0 && alive[after])) continue;
+        }
+
+        adjacency[s].add(other);
+        adjacency[other].add(s);
+      }
+    }
+
+    return adjacency;
+  }
+
+  /**
+   * Step 4: nodes at dead ends / junctions, edges along the runs between
+   */
+  extractGraph(grid) {
+    const { samples, alive } = grid;
+    const adjacency = this.buildSkeletonAdjacency(grid);
+    const graph = new NavGraph();
+
+    const position = (s) => ({ x: samples[s].x, y: samples[s].y + this.floorOffset, z: samples[s].z });
+
+    // Cluster touching junction samples into one node
+    const nodeOf = new Int32Array(samples.length).fill(-1);
+    for (let s = 0; s < samples.length; s++) {
+      if (!alive[s] || nodeOf[s] >= 0) continue;
+      const degree = adjacency[s].size;
+      if (degree === 2 || degree === 0) continue;
+
+      const cluster = [s];
+      const node = graph.addNode({ x: 0, y: 0, z: 0 });
+      nodeOf[s] = node.id;
+
+      if (degree > 2) {
+        for (let c = 0; c < cluster.length; c++) {
+          adjacency[cluster[c]].forEach((other) => {
+            if (nodeOf[other] < 0 && adjacency[other].size > 2) {
+              nodeOf[other] = node.id;
+              cluster.push(other);
+            }
+          });
+        }
+      }
+
+      const sum = cluster.reduce((acc, c) => {
+        const pos = position(c);
+        acc.x += pos.x;
+        acc.y += pos.y;
+        acc.z += pos.z;
+        return acc;
+      }, { x: 0, y: 0, z: 0 });
+      node.position = { x: sum.x / cluster.length, y: sum.y / cluster.length, z: sum.z / cluster.length };
+    }
+
+    const visited = new Uint8Array(samples.length);
+    const linked = new Set(); // 'a-b' sample pairs already joined directly
+
+    const trace = (startSample, firstStep) => {
+      const fromNode = nodeOf[startSample];
+      const points = [graph.getNode(fromNode).position];
+      let prev = startSample;
+      let cur = firstStep;
+
+      while (nodeOf[cur] < 0) {
+        visited[cur] = 1;
+        points.push(position(cur));
+
+        let next = -1;
+        adjacency[cur].forEach((other) => {
+          if (other !== prev && next < 0) next = other;
+        });
+        if (next < 0 || (visited[next] && nodeOf[next] < 0)) return;
+
+        prev = cur;
+        cur = next;
+      }
+
+      points.push(graph.getNode(nodeOf[cur]).position);
+      graph.addEdge(fromNode, nodeOf[cur], points);
+    };
+
+    for (let s = 0; s < samples.length; s++) {
+      if (nodeOf[s] < 0) continue;
+
+      adjacency[s].forEach((other) => {
+        if (nodeOf[other] === nodeOf[s]) return;
+
+        if (nodeOf[other] >= 0) {
+          const key = s < other ? `${s}-${other}` : `${other}-${s}`;
+          if (!linked.has(key)) {
+            linked.add(key);
+            graph.addEdge(nodeOf[s], nodeOf[other], [graph.getNode(nodeOf[s]).position, graph.getNode(nodeOf[other]).position]);
+          }
+        } else if (!visited[other]) {
+          trace(s, other);
+        }
+      });
+    }
+
+    // Closed loops without any junction: break them at an arbitrary sample
+    for (let s = 0; s < samples.length; s++) {
+      if (!alive[s] || visited[s] || nodeOf[s] >= 0 || adjacency[s].size !== 2) continue;
+
+      nodeOf[s] = graph.addNode(position(s)).id;
+      trace(s, adjacency[s].values().next().value);
+    }
+
+    // Junction clusters can join to themselves through short runs
+    graph.edges.forEach((edge) => {
+      if (edge.from === edge.to && edge.length < this.minSpurLength) graph.removeEdge(edge.id);
+    });
+
+    return graph;
+  }
+
+  /**
+   * Step 5a: drop short dead-end branches and tiny fragments
+   */
+  pruneSpurs(graph) {
+    let changed = true;
+    while (changed) {
+      changed = false;
+
+      graph.edges.forEach((edge) => {
+        if (edge.length >= this.minSpurLength || edge.from === edge.to) return;
+
+        const fromDegree = graph.getDegree(edge.from);
+        const toDegree = graph.getDegree(edge.to);
+        if (fromDegree !== 1 && toDegree !== 1) return;
+
+        // Keep an isolated edge only if nothing else is attached (its own component)
+        if (fromDegree === 1 && toDegree === 1) {
+          graph.removeNode(edge.from);
+          graph.removeNode(edge.to);
+        } else {
+          graph.removeNode(fromDegree === 1 ? edge.from : edge.to);
+        }
+        changed = true;
+      });
+    }
+
+    graph.nodes.forEach((node) => {
+      if (graph.getDegree(node.id) === 0) graph.removeNode(node.id);
+    });
+  }
+
+  /**
+   * Step 5b: join the two edges at nodes that are no longer junctions
+   */
+  mergePassThroughNodes(graph) {
+    graph.nodes.forEach((node) => {
+      const neighbors = graph.getNeighbors(node.id);
+      if (neighbors.length !== 2 || graph.getDegree(node.id) !== 2) return;
+
+      const [a, b] = neighbors;
+      const points = [
+        ...graph.getEdgePoints(a.edge, a.nodeId),
+        ...graph.getEdgePoints(b.edge, node.id).slice(1)
+      ];
+
+      graph.removeNode(node.id);
+      graph.addEdge(a.nodeId, b.nodeId, points);
+    });
+  }
+}
+
+/**
+ * Ramer-Douglas-Peucker simplification (3D)
+ */
+export function simplifyPolyline(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+
+    for (let i = start + 1; i < end; i++) {
+      const dist = distanceToSegment(points[i], points[start], points[end]);
+      if (dist > maxDist) {
+        maxDist = dist;
+        index = i;
+      }
+    }
+
+    if (index >= 0 && maxDist > tolerance) {
+      keep[index] = 1;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+function distanceToSegment(p, a, b) {
+  const abx = b.x - a.x;
+  const aby = b.y - a.y;
+  const abz = b.z - a.z;
+  const lengthSq = abx * abx + aby * aby + abz * abz;
+
+  let t = 0;
+  if (lengthSq > 0) {
+    t = Math.max(0, Math.min(1, ((p.x - a.x) * abx + (p.y - a.y) * aby + (p.z - a.z) * abz) / lengthSq));
+  }
+
+  return Math.hypot(p.x - (a.x + abx * t), p.y - (a.y + aby * t), p.z - (a.z + abz * t));
+}
@@ -0,0 +1,205 @@
+/**
+ * PathFinder - Shortest Routes over the NavGraph
+ *
+ * A* search between graph nodes. Edge cost is the centerline length,
+ * optionally inflated on steep edges so routes prefer gentler ramps.
+ * The straight-line heuristic never overestimates, so routes are optimal
+ * for the chosen cost.
+ *
+ * Features:
+ * - Node-to-node and position-to-position routes
+ * - Route polyline with cumulative distances for path following
+ * - Connected component lookup (which sites can reach each other)
+ */
+
+export class PathFinder {
+  constructor(options = {}) {
+    this.graph = options.graph;
+    this.config = options.config || {};
+
+    // Extra cost per unit of maxGradient (0 = pure shortest distance)
+    this.gradientPenalty = this.config.gradientPenalty ?? 0;
+
+    this.components = null;
+  }
+
+  /**
+   * Cost of traversing an edge
+   */
+  getEdgeCost(edge) {
+    return edge.length * (1 + this.gradientPenalty * edge.maxGradient);
+  }
+
+  /**
+   * A* from one node to another
+   * @returns {{nodes: number[], edges: number[], points: Array<{x, y, z}>, length: number}|null}
+   */
+  findPath(startId, goalId) {
+    const graph = this.graph;
+    const goal = graph.getNode(goalId);
+    if (!graph.getNode(startId) || !goal) return null;
+
+    const heuristic = (id) => {
+      const p = graph.getNode(id).position;
+      return Math.hypot(p.x - goal.position.x, p.y - goal.position.y, p.z - goal.position.z);
+    };
+
+    const cost = new Map([[startId, 0]]);
+    const cameFrom = new Map(); // node id -> { nodeId, edge }
+    const closed = new Set();
+    const open = new MinHeap();
+    open.push(startId, heuristic(startId));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goalId) {
+        return this.buildRoute(startId, goalId, cameFrom);
+      }
+      if (closed.has(current)) continue;
+      closed.add(current);
+
+      graph.getNeighbors(current).forEach(({ edge, nodeId }) => {
+        if (closed.has(nodeId)) return;
+
+        const tentative = cost.get(current) + this.getEdgeCost(edge);
+        if (tentative < (cost.get(nodeId) ?? Infinity)) {
+          cost.set(nodeId, tentative);
+          cameFrom.set(nodeId, { nodeId: current, edge });
+          open.push(nodeId, tentative + heuristic(nodeId));
+        }
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Route between two positions via their nearest nodes
+   */
+  findPathBetween(from, to) {
+    const start = this.graph.findNearestNode(from);
+    const goal = this.graph.findNearestNode(to);
+    if (!start || !goal) return null;
+    return this.findPath(start.id, goal.id);
+  }
+
+  /**
+   * Walk cameFrom back to the start and assemble the polyline
+   */
+  buildRoute(startId, goalId, cameFrom) {
+    const nodes = [goalId];
+    const edges = [];
+    let current = goalId;
+
+    while (current !== startId) {
+      const step = cameFrom.get(current);
+      edges.push(step.edge);
+      nodes.push(step.nodeId);
+      current = step.nodeId;
+    }
+    nodes.reverse();
+    edges.reverse();
+
+    const points = [{ ...this.graph.getNode(startId).position }];
+    edges.forEach((edge, i) => {
+      const edgePoints = this.graph.getEdgePoints(edge, nodes[i]);
+      for (let j = 1; j < edgePoints.length; j++) {
+        points.push({ ...edgePoints[j] });
+      }
+    });
+
+    return {
+      nodes,
+      edges: edges.map((edge) => edge.id),
+      points,
+      length: edges.reduce((sum, edge) => sum + edge.length, 0)
+    };
+  }
+
+  /**
+   * Connected component id per node (computed once)
+   * @returns {Map<number, number>}
+   */
+  getComponents() {
+    if (this.components) return this.components;
+
+    this.components = new Map();
+    let next = 0;
+
+    this.graph.nodes.forEach((node) => {
+      if (this.components.has(node.id)) return;
+
+      const component = next++;
+      const stack = [node.id];
+      this.components.set(node.id, component);
+
+      while (stack.length > 0) {
+        this.graph.getNeighbors(stack.pop()).forEach(({ nodeId }) => {
+          if (!this.components.has(nodeId)) {
+            this.components.set(nodeId, component);
+            stack.push(nodeId);
+          }
+        });
+      }
+    });
+
+    return this.components;
+  }
+
+  /**
+   * Check if two nodes are connected
+   */
+  isReachable(fromId, toId) {
+    const components = this.getComponents();
+    return components.has(fromId) && components.get(fromId) === components.get(toId);
+  }
+}
+
+/**
+ * Binary min-heap of ids keyed by priority
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(id, priority) {
+    const items = this.items;
+    items.push({ id, priority });
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top.id;
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * TunnelScanner - Raycast Probes for Tunnel Floors
+ *
+ * Grid scans and point probes used when the navigation graph is missing
+ * (simulated paths) and for marker placement. DOM-free: runs inside the
+ * geometry analysis worker or, as a fallback, on the main thread.
+ *
+ * Features:
+ * - Floor probe with a ceiling check (simulation positions)
+ * - Snake-ordered grid scan, so consecutive positions are neighbours
+ * - Nearest valid position by centerline lookup or spiral search (markers)
+ */
+
+import * as THREE from 'three';
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Positions sit this far above the floor
+const FLOOR_OFFSET = 0.5;
+
+// Default grid spacing of tunnel scans
+export const SCAN_STEP = 3;
+
+/**
+ * Floor under (x, z) with a ceiling above it
+ * Falls back to the lowest hit when a column has at least two surfaces.
+ * @param {SpatialIndex} index - Mine geometry index
+ * @param {number} top - Height to cast down from (mine bounds max.y)
+ * @returns {{x, y, z}|null}
+ */
+export function probeTunnelFloor(index, x, z, top) {
+  const downHits = index.raycast(new THREE.Vector3(x, top + 10, z), DOWN, 1000);
+  if (downHits.length < 1) return null;
+
+  // Use lowest hit as floor
+  const floorY = Math.min(...downHits.map((hit) => hit.point.y));
+
+  // Must have ceiling within reasonable distance
+  const ceiling = index.raycastFirst(new THREE.Vector3(x, floorY + 1, z), UP, 50);
+  if ((ceiling && ceiling.distance < 25) || downHits.length >= 2) {
+    return { x, y: floorY + FLOOR_OFFSET, z };
+  }
+
+  return null;
+}
+
+/**
+ * Every tunnel floor position on a grid, snake-ordered by rows
+ * @param {SpatialIndex} index - Mine geometry index
+ * @param {{min, max}} bounds - Mine bounds
+ * @param {Object} options - { step, onProgress(fraction) }
+ * @returns {Array<{x, y, z}>}
+ */
+export function scanTunnelPositions(index, bounds, options = {}) {
+  const { min, max } = bounds;
+  const step = options.step || SCAN_STEP;
+  const rows = [];
+  const rowCount = Math.max(1, Math.ceil((max.z - min.z - 2 * step) / step));
+
+  let rowIndex = 0;
+  for (let z = min.z + step; z < max.z - step; z += step) {
+    const row = [];
+    for (let x = min.x + step; x < max.x - step; x += step) {
+      const position = probeTunnelFloor(index, x, z, max.y);
+      if (position) row.push(position);
+    }
+    if (row.length > 0) rows.push(row);
+    options.onProgress?.(++rowIndex / rowCount);
+  }
+
+  // Alternate row direction so consecutive positions are spatially adjacent
+  const positions = [];
+  rows.forEach((row, i) => positions.push(...(i % 2 === 0 ? row : row.reverse())));
+
+  console.log(`TunnelScanner: ${positions.length} tunnel positions in ${rows.length} rows`);
+  return positions;
+}
+
+/**
+ * Floor under (x, z) if the column has a plausible tunnel height
+ * @returns {{x, y, z}|null}
+ */
+export function findTunnelFloor(index, x, z, top) {
+  const hits = index.raycast(new THREE.Vector3(x, top + 10, z), DOWN, 1000);
+  if (hits.length < 2) return null;
+
+  const heights = hits.map((hit) => hit.point.y);
+  const floorY = Math.min(...heights);
+  const tunnelHeight = Math.max(...heights) - floorY;
+
+  return tunnelHeight > 1.0 && tunnelHeight < 20 ? { x, y: floorY + FLOOR_OFFSET, z } : null;
+}
+
+/**
+ * Tunnel position nearest a plan-view target
+ * Uses the centerline graph when there is one, otherwise a spiral search.
+ * @param {SpatialIndex} index - Mine geometry index
+ * @param {{x, z}} target - Plan-view position
+ * @param {{min, max}} bounds - Mine bounds
+ * @param {NavGraph|null} navGraph - Centerline graph
+ * @returns {{x, y, z}|null}
+ */
+export function findNearestTunnelPosition(index, target, bounds, navGraph = null) {
+  const { min, max } = bounds;
+
+  // Closest centerline point in plan view, on whichever level it lies
+  if (navGraph?.edges.size > 0) {
+    const nearest = navGraph.findNearestEdgePoint({ x: target.x, z: target.z });
+    if (nearest) return { ...nearest.point };
+  }
+
+  const exact = findTunnelFloor(index, target.x, target.z, max.y);
+  if (exact) return exact;
+
+  // Wider spiral search pattern
+  const searchRadius = 15;
+  const searchStep = 1.0;
+
+  for (let radius = searchStep; radius <= searchRadius; radius += searchStep) {
+    for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 12) {
+      const x = target.x + Math.cos(angle) * radius;
+      const z = target.z + Math.sin(angle) * radius;
+
+      // Stay within bounds
+      if (x >= min.x && x <= max.x && z >= min.z && z <= max.z) {
+        const position = findTunnelFloor(index, x, z, max.y);
+        if (position) return position;
+      }
+    }
+  }
+
+  return null;
+}
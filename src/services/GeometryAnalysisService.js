@@ -0,0 +1,203 @@
+/**
+ * GeometryAnalysisService - Mine Geometry Analysis Off the Main Thread
+ *
+ * Sends the mine geometry to a Web Worker that builds the navigation
+ * graph, scans for tunnel positions, places default markers and finds the
+ * mine levels, so the UI keeps responding while thousands of rays are cast.
+ *
+ * Features:
+ * - Geometry buffers copied once and transferred to the worker
+ * - Progress forwarded as 'analysis:progress' ({ stage, progress })
+ * - Runs the same analysis on the main thread if the worker fails
+ * - Results and the spatial index cached in IndexedDB (AnalysisCache),
+ *   keyed by the model file; an unchanged mine skips the scans, the
+ *   geometry copy and the BVH build
+ */
+
+import { NavGraph } from '../navigation/NavGraph.js';
+import { packGeometry, analyzeGeometry } from '../analysis/GeometryAnalysis.js';
+import { AnalysisCache, fetchFileIdentity } from '../analysis/AnalysisCache.js';
+
+export class GeometryAnalysisService {
+  constructor(options = {}) {
+    this.events = options.events;
+    this.config = options.config || {};
+    this.spatialIndex = options.spatialIndex || null; // Main-thread index, cached with the result
+
+    this.useWorker = this.config.useWorker !== false && typeof Worker !== 'undefined';
+    this.worker = null;
+    this.nextId = 1;
+
+    this.cache = new AnalysisCache({ config: this.config.cache });
+  }
+
+  /**
+   * Find an earlier analysis of the same model file and settings
+   * Call before building the spatial index - a hit carries the serialized
+   * trees (cached.spatialIndex).
+   * @param {Object} options - { modelUrl, settings }; settings is everything
+   *        else the analysis and index depend on (origin, coordinates, config)
+   * @returns {Promise<{key: string|null, cached: Object|null}>}
+   */
+  async lookup(options = {}) {
+    const key = await this.getCacheKey(options.modelUrl, options.settings);
+    const cached = key ? await this.readCache(key) : null;
+    if (cached) {
+      console.log('GeometryAnalysisService: Using cached analysis');
+    }
+    return { key, cached };
+  }
+
+  /**
+   * Analyse a loaded mine model
+   * @param {THREE.Object3D} model - Mine model
+   * @param {Object} options - { bounds, navigation, spatialIndex, markers: [{id, x, z}], levels }
+   * @param {{key, cached}} found - lookup() result (no caching without it)
+   * @returns {Promise<{navGraph: NavGraph|null, tunnelPositions: Array, markerPositions: Object, levels: Array}>}
+   */
+  async analyze(model, options = {}, found = {}) {
+    const { key = null, cached = null } = found;
+    if (cached) {
+      return this.hydrate(cached);
+    }
+
+    const { meshes, transfer } = packGeometry(model);
+    const input = {
+      meshes,
+      bounds: { min: { ...options.bounds.min }, max: { ...options.bounds.max } },
+      navigation: options.navigation,
+      spatialIndex: options.spatialIndex,
+      markers: options.markers || [],
+      levels: options.levels
+    };
+
+    let result = null;
+    if (this.useWorker) {
+      try {
+        result = await this.runInWorker(input, transfer);
+      } catch (error) {
+        console.warn('GeometryAnalysisService: Worker failed, analysing on the main thread:', error);
+      }
+    }
+
+    if (!result) {
+      // Transferred buffers are gone - pack again
+      result = analyzeGeometry(
+        { ...input, meshes: packGeometry(model).meshes },
+        (progress) => this.reportProgress(progress)
+      );
+    }
+
+    if (key) {
+      const entry = { ...result, spatialIndex: this.spatialIndex?.serialize() ?? null };
+      this.cache.set(key, entry).catch((error) => {
+        console.warn('GeometryAnalysisService: Could not cache analysis:', error);
+      });
+    }
+
+    return this.hydrate(result);
+  }
+
+  /**
+   * Cache key for a model file and settings (null if caching is unavailable)
+   */
+  async getCacheKey(modelUrl, settings) {
+    if (!this.cache.enabled || !modelUrl) return null;
+
+    this.reportProgress({ stage: 'cache', progress: 0 });
+    try {
+      const file = await fetchFileIdentity(modelUrl);
+      if (!file) {
+        console.warn(`GeometryAnalysisService: ${modelUrl} has no ETag or Last-Modified, not caching`);
+        return null;
+      }
+      return await this.cache.computeKey(file, settings);
+    } catch (error) {
+      console.warn('GeometryAnalysisService: Could not identify the mine model file:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cached result, or null on a miss or read failure
+   */
+  async readCache(key) {
+    try {
+      return await this.cache.get(key);
+    } catch (error) {
+      console.warn('GeometryAnalysisService: Could not read analysis cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Plain analysis result -> runtime objects
+   */
+  hydrate(result) {
+    const { spatialIndex, ...analysis } = result;
+    return {
+      ...analysis,
+      navGraph: result.navGraph ? NavGraph.fromJSON(result.navGraph) : null
+    };
+  }
+
+  /**
+   * Run the analysis in a worker
+   */
+  runInWorker(input, transfer) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('../analysis/geometryAnalysis.worker.js', import.meta.url), {
+        type: 'module'
+      });
+      this.worker = worker;
+
+      const finish = () => {
+        worker.terminate();
+        if (this.worker === worker) this.worker = null;
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.id !== id) return;
+
+        switch (message.type) {
+          case 'progress':
+            this.reportProgress(message);
+            break;
+          case 'result':
+            finish();
+            resolve(message.result);
+            break;
+          case 'error':
+            finish();
+            reject(new Error(message.message));
+            break;
+        }
+      };
+
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || 'Worker error'));
+      };
+
+      worker.postMessage({ id, input }, transfer);
+    });
+  }
+
+  /**
+   * Forward progress to the UI
+   */
+  reportProgress({ stage, progress }) {
+    this.events?.emit('analysis:progress', { stage, progress });
+  }
+
+  /**
+   * Stop a running analysis
+   */
+  dispose() {
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * PlaybackController - Historical Playback Timeline
+ *
+ * Drives playback of recorded telemetry from the TelemetryRecorder.
+ * While in playback mode, live updates keep being recorded but the
+ * scene shows the fleet at the playhead time instead.
+ *
+ * Features:
+ * - Live / playback mode switching
+ * - Play, pause, scrub (seek)
+ * - Variable speed (0.25x - 32x)
+ * - Throttled frame and timeline state events
+ *
+ * Events emitted:
+ * - 'playback:frame' (states, { immediate }) - fleet state at playhead
+ * - 'playback:state' (state) - timeline state for the UI
+ * - 'playback:live' - returned to live mode
+ */
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16, 32];
+
+export class PlaybackController {
+  constructor(options = {}) {
+    this.recorder = options.recorder;
+    this.events = options.events;
+    this.config = options.config || {};
+
+    // Playback state
+    this.mode = 'live';
+    this.isPlaying = false;
+    this.playhead = null;
+    this.speed = 1;
+
+    // Throttling (ms of wall time)
+    this.frameInterval = this.config.frameInterval || 100;
+    this.stateInterval = this.config.stateInterval || 250;
+    this._frameElapsed = 0;
+    this._stateElapsed = 0;
+  }
+
+  /**
+   * Check if showing live data
+   */
+  isLive() {
+    return this.mode === 'live';
+  }
+
+  /**
+   * Enter playback mode at a given time (paused)
+   */
+  enterPlayback(time) {
+    const { start, end } = this.recorder.getTimeRange();
+    if (start === null) {
+      console.warn('PlaybackController: Nothing recorded yet');
+      return;
+    }
+
+    this.mode = 'playback';
+    this.isPlaying = false;
+    this.seek(time ?? end);
+
+    console.log('Playback mode started');
+  }
+
+  /**
+   * Start playing from the current playhead
+   */
+  play() {
+    if (this.isLive()) {
+      this.enterPlayback();
+      if (this.isLive()) return;
+    }
+
+    // Restart from the beginning if at the end
+    const { start, end } = this.recorder.getTimeRange();
+    if (this.playhead >= end) {
+      this.seek(start);
+    }
+
+    this.isPlaying = true;
+    this.emitState();
+  }
+
+  /**
+   * Pause playback (enters playback mode if live)
+   */
+  pause() {
+    if (this.isLive()) {
+      this.enterPlayback();
+      return;
+    }
+
+    this.isPlaying = false;
+    this.emitState();
+  }
+
+  /**
+   * Move the playhead to a specific time
+   */
+  seek(time) {
+    if (this.isLive()) {
+      this.enterPlayback(time);
+      return;
+    }
+
+    const { start, end } = this.recorder.getTimeRange();
+    this.playhead = Math.max(start, Math.min(end, time));
+
+    // Jump vehicles straight to the new position
+    this.emitFrame(true);
+    this.emitState();
+  }
+
+  /**
+   * Set playback speed (snapped to supported speeds)
+   */
+  setSpeed(speed) {
+    const value = parseFloat(speed);
+    this.speed = PLAYBACK_SPEEDS.includes(value) ? value : 1;
+    this.emitState();
+  }
+
+  /**
+   * Return to live data
+   */
+  goLive() {
+    if (this.isLive()) return;
+
+    this.mode = 'live';
+    this.isPlaying = false;
+    this.playhead = null;
+
+    this.events?.emit('playback:live');
+    this.emitState();
+
+    console.log('Playback mode stopped - showing live data');
+  }
+
+  /**
+   * Advance the playhead (call in render loop)
+   */
+  update(deltaTime) {
+    const deltaMs = deltaTime * 1000;
+
+    // Keep the timeline range fresh while live
+    this._stateElapsed += deltaMs;
+    if (this._stateElapsed >= this.stateInterval) {
+      this._stateElapsed = 0;
+      this.emitState();
+    }
+
+    if (this.isLive() || !this.isPlaying) return;
+
+    const { end } = this.recorder.getTimeRange();
+    this.playhead = Math.min(end, this.playhead + deltaMs * this.speed);
+
+    this._frameElapsed += deltaMs;
+    if (this._frameElapsed >= this.frameInterval) {
+      this._frameElapsed = 0;
+      this.emitFrame(false);
+    }
+
+    // Stop at the end of the recording
+    if (this.playhead >= end) {
+      this.isPlaying = false;
+      this.emitFrame(false);
+      this.emitState();
+    }
+  }
+
+  /**
+   * Emit fleet state at the playhead
+   */
+  emitFrame(immediate) {
+    const states = this.recorder.getStateAt(this.playhead);
+    this.events?.emit('playback:frame', states, { immediate });
+  }
+
+  /**
+   * Emit timeline state for the UI
+   */
+  emitState() {
+    this.events?.emit('playback:state', this.getState());
+  }
+
+  /**
+   * Get current timeline state
+   */
+  getState() {
+    const { start, end } = this.recorder.getTimeRange();
+    return {
+      mode: this.mode,
+      isPlaying: this.isPlaying,
+      playhead: this.isLive() ? end : this.playhead,
+      speed: this.speed,
+      start,
+      end
+    };
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * TelemetryDiagnostics - Rejected Telemetry Tracking
+ *
+ * Collects telemetry messages rejected by schema validation so that bad
+ * data is visible to operators without ever reaching the renderer.
+ *
+ * Features:
+ * - Accepted / rejected / coerced counters
+ * - Dropped (duplicate / out-of-order) sample counters
+ * - Containment violations (positions outside the tunnels)
+ * - Map matching: snapped / low-confidence counts, mean confidence and correction
+ * - Per-reason and per-source breakdown
+ * - Ring buffer of recent rejections for inspection
+ * - Rate-limited console logging (one line per reason per interval)
+ *
+ * Listens for:
+ * - 'telemetry:accepted' ({ source, warnings })
+ * - 'telemetry:rejected' ({ reason, message, source, raw })
+ * - 'telemetry:dropped' ({ reason, source }) - valid but stale samples
+ * - 'containment:violation' ({ id, source, distance, action })
+ * - 'telemetry:matched' ({ id, source, confidence, distance, snapped })
+ *
+ * Emits:
+ * - 'telemetry:diagnostics' (stats) - throttled
+ */
+
+export class TelemetryDiagnostics {
+  constructor(options = {}) {
+    this.events = options.events;
+    this.config = options.config || {};
+
+    this.maxRecent = this.config.maxRecentRejections || 50;
+    this.logInterval = this.config.logInterval || 10000;
+    this.emitInterval = this.config.emitInterval || 1000;
+
+    this.reset();
+
+    this.events?.on('telemetry:accepted', (info) => this.recordAccepted(info));
+    this.events?.on('telemetry:rejected', (info) => this.recordRejected(info));
+    this.events?.on('telemetry:dropped', (info) => this.recordDropped(info));
+    this.events?.on('containment:violation', (info) => this.recordViolation(info));
+    this.events?.on('telemetry:matched', (info) => this.recordMatch(info));
+  }
+
+  /**
+   * Reset all counters
+   */
+  reset() {
+    this.accepted = 0;
+    this.rejected = 0;
+    this.coerced = 0;
+    this.dropped = 0;
+    this.droppedByReason = new Map();
+    this.violations = 0;
+    this.violationsByAction = new Map();
+    this.violatingVehicles = new Set();
+    this.matches = 0;
+    this.snapped = 0;
+    this.confidenceSum = 0;
+    this.correctionSum = 0;
+    this.byReason = new Map();
+    this.bySource = new Map();
+    this.recent = [];
+    this._lastLogged = new Map();
+    this._lastEmit = 0;
+  }
+
+  /**
+   * Count an accepted message
+   */
+  recordAccepted(info = {}) {
+    this.accepted++;
+    if (info.warnings && info.warnings.length > 0) {
+      this.coerced++;
+    }
+    this.emitStats();
+  }
+
+  /**
+   * Count a sample dropped by the jitter buffer
+   */
+  recordDropped(info = {}) {
+    const reason = info.reason || 'unknown';
+    this.dropped++;
+    this.droppedByReason.set(reason, (this.droppedByReason.get(reason) || 0) + 1);
+    this.emitStats();
+  }
+
+  /**
+   * Count a position reported outside the tunnels
+   */
+  recordViolation(info = {}) {
+    const action = info.action || 'flagged';
+    this.violations++;
+    this.violationsByAction.set(action, (this.violationsByAction.get(action) || 0) + 1);
+
+    // Log each vehicle's first violation
+    if (info.id && !this.violatingVehicles.has(info.id)) {
+      this.violatingVehicles.add(info.id);
+      const distance = Number.isFinite(info.distance) ? `${info.distance.toFixed(1)}m` : 'too far to correct';
+      console.warn(`Containment: ${info.id} reported outside the tunnels (${distance}, ${action})`);
+    }
+
+    this.emitStats(this.violations === 1);
+  }
+
+  /**
+   * Count a map matching result
+   */
+  recordMatch(info = {}) {
+    this.matches++;
+    this.confidenceSum += info.confidence || 0;
+    if (info.snapped) {
+      this.snapped++;
+      this.correctionSum += info.distance || 0;
+    }
+    this.emitStats();
+  }
+
+  /**
+   * Count and log a rejected message
+   */
+  recordRejected(info = {}) {
+    const reason = info.reason || 'unknown';
+    const source = info.source || 'unknown';
+
+    this.rejected++;
+    this.byReason.set(reason, (this.byReason.get(reason) || 0) + 1);
+    this.bySource.set(source, (this.bySource.get(source) || 0) + 1);
+
+    this.recent.push({
+      time: Date.now(),
+      reason,
+      source,
+      message: info.message,
+      raw: summarizeRaw(info.raw)
+    });
+    if (this.recent.length > this.maxRecent) {
+      this.recent.shift();
+    }
+
+    // Log at most once per reason per interval
+    const now = Date.now();
+    const lastLogged = this._lastLogged.get(reason) || 0;
+    if (now - lastLogged > this.logInterval) {
+      this._lastLogged.set(reason, now);
+      console.warn(`Telemetry rejected (${reason}) from ${source}: ${info.message || ''} ` +
+        `[${this.byReason.get(reason)} total]`);
+    }
+
+    // Show the first rejection right away
+    this.emitStats(this.rejected === 1);
+  }
+
+  /**
+   * Emit stats for the UI (throttled)
+   */
+  emitStats(force = false) {
+    const now = Date.now();
+    if (!force && now - this._lastEmit < this.emitInterval) return;
+    this._lastEmit = now;
+    this.events?.emit('telemetry:diagnostics', this.getStats());
+  }
+
+  /**
+   * Get diagnostic statistics
+   */
+  getStats() {
+    return {
+      accepted: this.accepted,
+      rejected: this.rejected,
+      coerced: this.coerced,
+      dropped: this.dropped,
+      droppedByReason: Object.fromEntries(this.droppedByReason),
+      violations: this.violations,
+      violationsByAction: Object.fromEntries(this.violationsByAction),
+      violatingVehicles: this.violatingVehicles.size,
+      mapMatching: {
+        matched: this.matches,
+        snapped: this.snapped,
+        lowConfidence: this.matches - this.snapped,
+        meanConfidence: this.matches > 0 ? this.confidenceSum / this.matches : null,
+        meanCorrection: this.snapped > 0 ? this.correctionSum / this.snapped : null
+      },
+      byReason: Object.fromEntries(this.byReason),
+      bySource: Object.fromEntries(this.bySource),
+      recent: this.recent.slice(-10)
+    };
+  }
+}
+
+/**
+ * Shorten a raw payload for storage
+ */
+function summarizeRaw(raw) {
+  if (raw === undefined) return undefined;
+
+  try {
+    const text = typeof raw === 'string' ? raw : JSON.stringify(raw);
+    return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+  } catch (error) {
+    return '[unserializable]';
+  }
+}
@@ -0,0 +1,351 @@
+/**
+ * TelemetryRecorder - Vehicle Telemetry History
+ *
+ * Records every vehicle update received from the data services so the
+ * fleet can be reconstructed at any past moment (historical playback).
+ *
+ * Features:
+ * - Compact per-vehicle sample tracks (time-ordered ring buffers, so
+ *   dropping the oldest sample is O(1))
+ * - Retention window to bound memory usage
+ * - Interpolated fleet state at any timestamp
+ * - JSON export of the recorded session (survey coordinates)
+ */
+
+import { lerp, angleDifference } from '../utils/MathUtils.js';
+
+export class TelemetryRecorder {
+  constructor(options = {}) {
+    this.config = options.config || {};
+
+    // Scene -> survey conversion for exports
+    this.transform = options.transform || null;
+
+    // Retention settings
+    this.retentionMs = (this.config.retentionMinutes || 30) * 60 * 1000;
+    this.maxSamplesPerVehicle = this.config.maxSamplesPerVehicle || 20000;
+
+    // Recorded tracks: id -> { info, tripEvents, samples: SampleRing of {t, ...} }
+    this.tracks = new Map();
+
+    // Recording state
+    this.isRecording = true;
+    this.startTime = null;
+    this.endTime = null;
+
+    // Prune at most once per second
+    this._lastPrune = 0;
+  }
+
+  /**
+   * Record a vehicle update
+   * @param {Object} data - Vehicle update as emitted on 'vehicle:update'
+   * @param {number} time - Receive time in ms (defaults to now)
+   */
+  record(data, time = Date.now()) {
+    if (!this.isRecording || !data?.id || !data.position) return;
+
+    let track = this.tracks.get(data.id);
+    if (!track) {
+      track = { info: {}, tripEvents: [], samples: new SampleRing(this.maxSamplesPerVehicle) };
+      this.tracks.set(data.id, track);
+    }
+
+    // Static-ish fields are kept once per track (latest wins)
+    track.info = {
+      type: data.type,
+      group: data.group,
+      metadata: data.metadata ? { ...data.metadata } : undefined
+    };
+
+    // Trip events are append-only, so only keep the new ones
+    if (data.tripEvents && data.tripEvents.length > track.tripEvents.length) {
+      for (let i = track.tripEvents.length; i < data.tripEvents.length; i++) {
+        track.tripEvents.push({ ...data.tripEvents[i] });
+      }
+    }
+
+    // Samples must stay time-ordered for binary search
+    const samples = track.samples;
+    const last = samples.last();
+    if (last && time < last.t) return;
+
+    // Full tracks overwrite their oldest sample
+    const overwritten = samples.push({
+      t: time,
+      x: data.position.x,
+      y: data.position.y,
+      z: data.position.z,
+      heading: data.heading || 0,
+      speed: data.speed || 0,
+      pitch: data.pitch,
+      roll: data.roll,
+      status: data.status,
+      level: data.level,
+      tripEventCount: track.tripEvents.length
+    });
+
+    // The range starts at the oldest sample still kept
+    if (overwritten && overwritten.t <= this.startTime) {
+      this.startTime = this.getEarliestSampleTime();
+    }
+    if (this.startTime === null || time < this.startTime) this.startTime = time;
+    if (this.endTime === null || time > this.endTime) this.endTime = time;
+
+    if (time - this._lastPrune > 1000) {
+      this._lastPrune = time;
+      this.prune(time);
+    }
+  }
+
+  /**
+   * Drop samples older than the retention window
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.retentionMs;
+
+    this.tracks.forEach((track, id) => {
+      const index = this.findSampleIndex(track.samples, cutoff);
+      if (index > 0) {
+        track.samples.dropFirst(index);
+      }
+
+      if (track.samples.length === 0) {
+        this.tracks.delete(id);
+      }
+    });
+
+    this.startTime = this.getEarliestSampleTime();
+    if (this.startTime === null) this.endTime = null;
+  }
+
+  /**
+   * Time of the oldest sample in any track (null if nothing is recorded)
+   */
+  getEarliestSampleTime() {
+    let earliest = null;
+    this.tracks.forEach((track) => {
+      const first = track.samples.get(0)?.t;
+      if (first !== undefined && (earliest === null || first < earliest)) earliest = first;
+    });
+    return earliest;
+  }
+
+  /**
+   * Find index of the last sample at or before a time (-1 if none)
+   */
+  findSampleIndex(samples, time) {
+    let low = 0;
+    let high = samples.length - 1;
+    let result = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (samples.get(mid).t <= time) {
+        result = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the recorded time range
+   * @returns {{start: number|null, end: number|null}}
+   */
+  getTimeRange() {
+    return { start: this.startTime, end: this.endTime };
+  }
+
+  /**
+   * Reconstruct the fleet state at a point in time
+   * Position and heading are interpolated between the surrounding samples.
+   * Vehicles with no sample at or before the time are omitted.
+   *
+   * @param {number} time - Timestamp in ms
+   * @returns {Object[]} Vehicle updates in 'vehicle:update' format
+   */
+  getStateAt(time) {
+    const states = [];
+
+    this.tracks.forEach((track, id) => {
+      const samples = track.samples;
+      const index = this.findSampleIndex(samples, time);
+      if (index < 0) return;
+
+      const prev = samples.get(index);
+      const next = index + 1 < samples.length ? samples.get(index + 1) : undefined;
+
+      let x = prev.x, y = prev.y, z = prev.z, heading = prev.heading;
+
+      if (next && next.t > prev.t) {
+        const t = (time - prev.t) / (next.t - prev.t);
+        x = lerp(prev.x, next.x, t);
+        y = lerp(prev.y, next.y, t);
+        z = lerp(prev.z, next.z, t);
+        heading = prev.heading + angleDifference(prev.heading, next.heading) * t;
+      }
+
+      states.push({
+        id,
+        type: track.info.type,
+        group: track.info.group,
+        status: prev.status,
+        level: prev.level,
+        position: { x, y, z },
+        heading,
+        speed: prev.speed,
+        pitch: prev.pitch,
+        roll: prev.roll,
+        tripEvents: track.tripEvents.slice(0, prev.tripEventCount),
+        metadata: track.info.metadata
+      });
+    });
+
+    return states;
+  }
+
+  /**
+   * Get the most recent state of every recorded vehicle
+   */
+  getLatestStates() {
+    return this.endTime === null ? [] : this.getStateAt(this.endTime);
+  }
+
+  /**
+   * Export the recorded session as plain JSON
+   * Samples are recorded in scene space and exported in survey coordinates.
+   */
+  exportData() {
+    const tracks = {};
+    this.tracks.forEach((track, id) => {
+      tracks[id] = {
+        info: track.info,
+        tripEvents: track.tripEvents,
+        samples: this.transform
+          ? track.samples.toArray().map((s) => this.toWorldSample(s))
+          : track.samples.toArray()
+      };
+    });
+
+    return {
+      version: 1,
+      start: this.startTime,
+      end: this.endTime,
+      tracks
+    };
+  }
+
+  /**
+   * Convert one recorded sample to survey coordinates
+   */
+  toWorldSample(sample) {
+    const { x, y, z } = this.transform.toWorld(sample);
+    return { ...sample, x, y, z, heading: this.transform.headingToWorld(sample.heading) };
+  }
+
+  /**
+   * Start/stop recording
+   */
+  setRecording(enabled) {
+    this.isRecording = enabled;
+  }
+
+  /**
+   * Discard all recorded data
+   */
+  clear() {
+    this.tracks.clear();
+    this.startTime = null;
+    this.endTime = null;
+  }
+
+  /**
+   * Get recorder statistics
+   */
+  getStats() {
+    let sampleCount = 0;
+    this.tracks.forEach((track) => {
+      sampleCount += track.samples.length;
+    });
+
+    return {
+      vehicles: this.tracks.size,
+      samples: sampleCount,
+      start: this.startTime,
+      end: this.endTime
+    };
+  }
+}
+
+/**
+ * Fixed-capacity sample buffer, oldest first
+ * Grows on demand up to capacity, then overwrites the oldest sample.
+ */
+class SampleRing {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = [];
+    this.head = 0; // Index of the oldest sample in items
+    this.length = 0;
+  }
+
+  /**
+   * Sample by age order (0 = oldest)
+   */
+  get(index) {
+    return this.items[(this.head + index) % this.items.length];
+  }
+
+  last() {
+    return this.length > 0 ? this.get(this.length - 1) : undefined;
+  }
+
+  /**
+   * Append a sample
+   * @returns {Object|undefined} The oldest sample, if it was overwritten
+   */
+  push(sample) {
+    if (this.length < this.items.length) {
+      this.items[(this.head + this.length) % this.items.length] = sample;
+      this.length++;
+    } else if (this.items.length < this.capacity) {
+      // Grow - unwrap first so the new slot follows the newest sample
+      if (this.head !== 0) {
+        this.items = this.toArray();
+        this.head = 0;
+      }
+      this.items.push(sample);
+      this.length++;
+    } else {
+      const overwritten = this.items[this.head];
+      this.items[this.head] = sample;
+      this.head = (this.head + 1) % this.items.length;
+      return overwritten;
+    }
+  }
+
+  /**
+   * Discard the oldest samples
+   */
+  dropFirst(count) {
+    const dropped = Math.min(count, this.length);
+    for (let i = 0; i < dropped; i++) {
+      this.items[(this.head + i) % this.items.length] = undefined;
+    }
+    this.head = this.length === dropped ? 0 : (this.head + dropped) % this.items.length;
+    this.length -= dropped;
+    if (this.length === 0) this.items = [];
+  }
+
+  toArray() {
+    const result = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      result[i] = this.get(i);
+    }
+    return result;
+  }
+}
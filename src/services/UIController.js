@@ -5,6 +5,26 @@
  * Handles connection status, vehicle count, and vehicle info display.
  */
 
+// Trip history icons by event name
+const TRIP_EVENT_ICONS = {
+  start: '🚀',
+  load: '📦',
+  dump: '🔽',
+  stop: '🛑',
+  refuel: '⛽',
+  maintenance: '🔧'
+};
+
+// Loading indicator text by geometry analysis stage
+const ANALYSIS_STAGES = {
+  cache: 'Checking analysis cache',
+  index: 'Indexing mine geometry',
+  navigation: 'Extracting tunnel network',
+  scan: 'Scanning tunnels',
+  markers: 'Placing location markers',
+  levels: 'Detecting mine levels'
+};
+
 export class UIController {
   constructor(options = {}) {
     this.events = options.events;
@@ -29,13 +49,17 @@ export class UIController {
     // Filter state
     this.filterState = {
       types: { dump_truck: true, loader: true, haul_truck: true },
-      status: { moving: true, idle: true, loading: true, maintenance: true },
+      status: { moving: true, idle: true, loading: true, unloading: true, maintenance: true, offline: true },
       groups: { hauling: true, loading: true, transport: true }
     };
     
     // Level selector state
     this.selectedLevel = 'all';
     
+    // Playback timeline state
+    this.playbackState = null;
+    this.isScrubbing = false;
+    
     // Cache DOM elements
     this.elements = {
       connectionStatus: document.getElementById('connection-status'),
@@ -68,6 +92,7 @@ export class UIController {
       fpvVehicleId: document.getElementById('fpv-vehicle-id'),
       fpvSpeed: document.getElementById('fpv-speed'),
       fpvStatus: document.getElementById('fpv-status'),
+      fpvFuel: document.getElementById('fpv-fuel'),
       fpvVideo: document.getElementById('fpv-video'),
       fpvTimestamp: document.getElementById('fpv-timestamp'),
       // Filter panel elements
@@ -79,13 +104,26 @@ export class UIController {
       // Level selector elements
       levelPanel: document.getElementById('level-selector-panel'),
       levelContent: document.getElementById('level-content'),
-      toggleLevels: document.getElementById('toggle-levels')
+      toggleLevels: document.getElementById('toggle-levels'),
+      levelStack: document.getElementById('level-stack'),
+      levelExplode: document.getElementById('level-explode'),
+      // Playback timeline elements
+      playbackToggle: document.getElementById('playback-toggle'),
+      playbackMode: document.getElementById('playback-mode'),
+      playbackScrubber: document.getElementById('playback-scrubber'),
+      playbackTime: document.getElementById('playback-time'),
+      playbackSpeed: document.getElementById('playback-speed'),
+      playbackLive: document.getElementById('playback-live'),
+      // Telemetry diagnostics
+      telemetryRejected: document.getElementById('telemetry-rejected'),
+      simulationBanner: document.getElementById('simulation-banner')
     };
     
     // Setup event listeners
     this.setupEventListeners();
     this.setupFilterListeners();
     this.setupLevelListeners();
+    this.setupPlaybackListeners();
   }
   
   /**
@@ -159,6 +197,11 @@ export class UIController {
       this.updateTrailsButton();
     });
     
+    // Geometry analysis progress on the loading indicator
+    this.events?.on('analysis:progress', ({ stage, progress }) => {
+      this.updateLoadingMessage(`${ANALYSIS_STAGES[stage] || 'Analysing mine geometry'}... ${Math.round(progress * 100)}%`);
+    });
+    
     // Search input
     if (this.elements.searchInput) {
       this.elements.searchInput.addEventListener('input', (e) => {
@@ -302,7 +345,7 @@ export class UIController {
     const { statusDot, statusText } = this.elements;
     
     // Remove all status classes
-    statusDot?.classList.remove('connected', 'disconnected', 'connecting');
+    statusDot?.classList.remove('connected', 'disconnected', 'connecting', 'stale');
     
     switch (status) {
       case 'connected':
@@ -317,6 +360,10 @@ export class UIController {
         statusDot?.classList.add('connecting');
         if (statusText) statusText.textContent = 'Connecting...';
         break;
+      case 'stale':
+        statusDot?.classList.add('stale');
+        if (statusText) statusText.textContent = 'Stale - No Data';
+        break;
       case 'error':
         statusDot?.classList.add('disconnected');
         if (statusText) statusText.textContent = 'Connection Error';
@@ -324,6 +371,19 @@ export class UIController {
     }
   }
   
+  /**
+   * Show or hide the simulated-data banner
+   */
+  updateSimulationBanner(info) {
+    const banner = this.elements.simulationBanner;
+    if (!banner) return;
+    
+    banner.classList.toggle('hidden', !info.active);
+    if (info.active) {
+      banner.textContent = `SIMULATED DATA - live ${info.source} feed unavailable (${info.reason}), reconnecting...`;
+    }
+  }
+  
   /**
    * Update vehicle count display
    */
@@ -333,6 +393,42 @@ export class UIController {
     }
   }
   
+  /**
+   * Update rejected telemetry / containment counter (hidden while zero)
+   */
+  updateTelemetryDiagnostics(stats) {
+    const el = this.elements.telemetryRejected;
+    if (!el) return;
+    
+    const violations = stats.violations || 0;
+    el.classList.toggle('hidden', stats.rejected === 0 && violations === 0);
+    const parts = [];
+    if (stats.rejected > 0) parts.push(`${stats.rejected} rejected`);
+    if (violations > 0) parts.push(`${violations} outside tunnel`);
+    el.textContent = `⚠ ${parts.join(' · ')}`;
+    
+    // Tooltip with per-reason breakdown
+    const reasons = Object.entries(stats.byReason)
+      .map(([reason, count]) => `${reason}: ${count}`)
+      .join('\n');
+    el.title = `Rejected telemetry messages\n${reasons}` +
+      (stats.dropped > 0 ? `\n\nDropped samples (late/duplicate): ${stats.dropped}` : '') +
+      (violations > 0 ? `\n\nOutside tunnel: ${violations} positions from ${stats.violatingVehicles} vehicles` +
+        Object.entries(stats.violationsByAction).map(([action, count]) => `\n${action}: ${count}`).join('') : '') +
+      this.formatMapMatching(stats.mapMatching);
+  }
+  
+  /**
+   * Map matching summary for the diagnostics tooltip
+   */
+  formatMapMatching(matching) {
+    if (!matching || matching.matched === 0) return '';
+    
+    const correction = matching.meanCorrection !== null ? `, mean correction ${matching.meanCorrection.toFixed(1)}m` : '';
+    return `\n\nMap matching: ${matching.snapped} snapped, ${matching.lowConfidence} low confidence` +
+      `\nMean confidence ${Math.round(matching.meanConfidence * 100)}%${correction}`;
+  }
+  
   /**
    * Show vehicle info panel
    */
@@ -351,7 +447,21 @@ export class UIController {
     setTextContent('.vehicle-position', `(${data.position.x}, ${data.position.y}, ${data.position.z})`);
     setTextContent('.vehicle-heading', `${data.heading}°`);
     setTextContent('.vehicle-speed', `${data.speed} km/h`);
-    setTextContent('.vehicle-status', this.formatStatus(data.status));
+    setTextContent('.vehicle-status', this.formatStatus(data.status) + (data.outsideTunnel ? ' ⚠ outside tunnel' : ''));
+    setTextContent('.vehicle-fuel', Number.isFinite(data.fuelLevel) ? `${Math.round(data.fuelLevel)}%` : '--');
+    setTextContent('.vehicle-maintenance', this.formatElapsed(data.lastMaintenance));
+    
+    // Map match confidence; the reported (unsnapped) position in the tooltip
+    const matchEl = panel.querySelector('.vehicle-map-match');
+    if (matchEl) {
+      const match = data.mapMatch;
+      matchEl.textContent = match
+        ? `${Math.round(match.confidence * 100)}%` + (match.snapped ? ` · moved ${match.distance.toFixed(1)}m` : ' · not snapped')
+        : '--';
+      matchEl.title = data.rawPosition
+        ? `Reported position (${data.rawPosition.x}, ${data.rawPosition.y}, ${data.rawPosition.z})`
+        : '';
+    }
     
     // Render trip history
     const tripList = panel.querySelector('#trip-history-list');
@@ -360,7 +470,7 @@ export class UIController {
         tripList.innerHTML = tripHistory.slice(-10).reverse().map(e => {
           const date = new Date(e.time);
           const timeStr = date.toLocaleTimeString();
-          const icon = e.event === 'start' ? '🚀' : e.event === 'load' ? '📦' : e.event === 'dump' ? '🔽' : e.event === 'stop' ? '🛑' : '📍';
+          const icon = TRIP_EVENT_ICONS[e.event] || '📍';
           return `<div class="trip-history-event">
             <span class="trip-event-icon">${icon}</span>
             <span class="trip-event-time">${timeStr}</span>
@@ -454,6 +564,19 @@ export class UIController {
     return statusMap[status] || status;
   }
   
+  /**
+   * Format time since an epoch-ms timestamp ("3h 12m ago")
+   */
+  formatElapsed(time) {
+    if (!Number.isFinite(time)) return '--';
+    
+    const minutes = Math.max(0, Math.floor((Date.now() - time) / 60000));
+    if (minutes < 60) return `${minutes}m ago`;
+    
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours}h ${minutes % 60}m ago` : `${Math.floor(hours / 24)}d ${hours % 24}h ago`;
+  }
+  
   /**
    * Handle search input
    */
@@ -492,7 +615,7 @@ export class UIController {
       resultsContainer.innerHTML = matches.slice(0, 5).map(vehicle => `
         <div class="search-result-item" data-vehicle-id="${vehicle.id}">
           <span class="search-result-id">${vehicle.id}</span>
-          <span class="search-result-type">${this.formatVehicleType(vehicle.type || 'unknown')}</span>
+          <span class="search-result-type">${this.formatVehicleType(vehicle.type || 'unknown')}${vehicle.status === 'offline' ? ' · Offline' : ''}</span>
         </div>
       `).join('');
       
@@ -705,6 +828,10 @@ export class UIController {
     if (this.elements.fpvStatus) {
       this.elements.fpvStatus.textContent = this.formatStatus(vehicleData.status || 'unknown');
     }
+    if (this.elements.fpvFuel) {
+      const fuel = vehicleData.metadata?.fuelLevel;
+      this.elements.fpvFuel.textContent = Number.isFinite(fuel) ? `${Math.round(fuel)}%` : '--';
+    }
   }
   
   /**
@@ -735,7 +862,7 @@ export class UIController {
     // Individual checkbox listeners for immediate feedback
     const checkboxIds = [
       'filter-dump-truck', 'filter-loader', 'filter-haul-truck',
-      'filter-moving', 'filter-idle', 'filter-loading', 'filter-maintenance',
+      'filter-moving', 'filter-idle', 'filter-loading', 'filter-maintenance', 'filter-offline',
       'filter-hauling', 'filter-loading-group', 'filter-transport'
     ];
     
@@ -776,6 +903,9 @@ export class UIController {
     this.filterState.status.idle = document.getElementById('filter-idle')?.checked ?? true;
     this.filterState.status.loading = document.getElementById('filter-loading')?.checked ?? true;
     this.filterState.status.maintenance = document.getElementById('filter-maintenance')?.checked ?? true;
+    this.filterState.status.offline = document.getElementById('filter-offline')?.checked ?? true;
+    // Unloading shares the Loading checkbox
+    this.filterState.status.unloading = this.filterState.status.loading;
     
     // Group filters
     this.filterState.groups.hauling = document.getElementById('filter-hauling')?.checked ?? true;
@@ -804,7 +934,7 @@ export class UIController {
     // Reset checkboxes
     const checkboxIds = [
       'filter-dump-truck', 'filter-loader', 'filter-haul-truck',
-      'filter-moving', 'filter-idle', 'filter-loading', 'filter-maintenance',
+      'filter-moving', 'filter-idle', 'filter-loading', 'filter-maintenance', 'filter-offline',
       'filter-hauling', 'filter-loading-group', 'filter-transport'
     ];
     
@@ -845,13 +975,92 @@ export class UIController {
       });
     }
     
-    // Level item click listeners
-    const levelItems = document.querySelectorAll('.level-item');
-    levelItems.forEach(item => {
+    // Stacked level bands
+    if (this.elements.levelStack) {
+      this.elements.levelStack.addEventListener('click', () => {
+        this.events?.emit('levels:stacked:toggle');
+      });
+    }
+    
+    this.events?.on('levels:stacked', (stacked) => {
+      this.updateLevelStackButton(stacked);
+    });
+    
+    // Exploded level view
+    if (this.elements.levelExplode) {
+      this.elements.levelExplode.addEventListener('click', () => {
+        this.events?.emit('levels:exploded:toggle');
+      });
+    }
+    
+    this.events?.on('levels:exploded', (exploded) => {
+      this.updateLevelExplodeButton(exploded);
+    });
+  }
+  
+  /**
+   * Update stacked view button state (hidden when level isolation is off)
+   */
+  updateLevelStackButton(stacked, available = true) {
+    const btn = this.elements.levelStack;
+    if (btn) {
+      btn.classList.toggle('hidden', !available);
+      btn.classList.toggle('active', stacked);
+      btn.textContent = stacked ? '☰ Whole Mine' : '☰ Stacked Levels';
+    }
+  }
+  
+  /**
+   * Update exploded view button state (hidden when the view is off in config)
+   */
+  updateLevelExplodeButton(exploded, available = true) {
+    const btn = this.elements.levelExplode;
+    if (btn) {
+      btn.classList.toggle('hidden', !available);
+      btn.classList.toggle('active', exploded);
+      btn.textContent = exploded ? '⇕ Collapse Levels' : '⇕ Explode Levels';
+    }
+  }
+  
+  /**
+   * Build the level selector from detected mine levels
+   * @param {Array<{id, name}>} levels - Top level first; empty hides the panel
+   */
+  setupLevelButtons(levels) {
+    const { levelPanel, levelContent } = this.elements;
+    if (!levelPanel || !levelContent) return;
+    
+    levelContent.innerHTML = '';
+    levelPanel.classList.toggle('hidden', levels.length === 0);
+    
+    const items = [
+      { level: 'all', name: 'All Levels', icon: '⛰️', countId: 'vehicles-all' },
+      ...levels.map((level) => ({
+        level: String(level.id),
+        name: level.name,
+        icon: '▤',
+        countId: `vehicles-level-${level.id}`
+      }))
+    ];
+    
+    items.forEach(({ level, name, icon, countId }) => {
+      const item = document.createElement('div');
+      item.className = 'level-item';
+      item.dataset.level = level;
+      item.innerHTML = `
+        <span class="level-icon">${icon}</span>
+        <span class="level-name">${name}</span>
+        <span class="level-vehicles" id="${countId}">0</span>
+      `;
       item.addEventListener('click', () => {
-        this.selectLevel(item.dataset.level);
+        this.selectLevel(level);
       });
+      levelContent.appendChild(item);
     });
+    
+    // Selected level gone (new mine) - back to all
+    const selected = items.some((item) => item.level === this.selectedLevel) ? this.selectedLevel : 'all';
+    this.selectLevel(selected);
   }
   
   /**
@@ -888,7 +1097,7 @@ export class UIController {
    * Update vehicle counts per level
    */
   updateLevelCounts(counts) {
-    // counts = { all: 7, 0: 3, 1: 2, 2: 1, 3: 1 }
+    // counts = { all: 7, 0: 3, 1: 2, ... } by level id
     Object.entries(counts).forEach(([level, count]) => {
       const elId = level === 'all' ? 'vehicles-all' : `vehicles-level-${level}`;
       const el = document.getElementById(elId);
@@ -896,6 +1105,111 @@ export class UIController {
     });
   }
   
+  /**
+   * Setup playback timeline listeners
+   */
+  setupPlaybackListeners() {
+    const { playbackToggle, playbackScrubber, playbackSpeed, playbackLive } = this.elements;
+    
+    // Play / pause
+    if (playbackToggle) {
+      playbackToggle.addEventListener('click', () => {
+        const playing = this.playbackState?.mode === 'playback' && this.playbackState.isPlaying;
+        this.events?.emit(playing ? 'playback:pause' : 'playback:play');
+      });
+    }
+    
+    // Scrubbing
+    if (playbackScrubber) {
+      playbackScrubber.addEventListener('input', () => {
+        this.isScrubbing = true;
+        const time = this.scrubberToTime(playbackScrubber.value);
+        if (time !== null) {
+          this.events?.emit('playback:seek', time);
+        }
+      });
+      
+      playbackScrubber.addEventListener('change', () => {
+        this.isScrubbing = false;
+      });
+    }
+    
+    // Speed
+    if (playbackSpeed) {
+      playbackSpeed.addEventListener('change', () => {
+        this.events?.emit('playback:speed', playbackSpeed.value);
+      });
+    }
+    
+    // Return to live
+    if (playbackLive) {
+      playbackLive.addEventListener('click', () => {
+        this.events?.emit('playback:golive');
+      });
+    }
+    
+    // Timeline state from the playback controller
+    this.events?.on('playback:state', (state) => {
+      this.updatePlaybackState(state);
+    });
+  }
+  
+  /**
+   * Convert scrubber value (0-1000) to a timestamp
+   */
+  scrubberToTime(value) {
+    const state = this.playbackState;
+    if (!state || state.start === null) return null;
+    
+    return state.start + (state.end - state.start) * (value / 1000);
+  }
+  
+  /**
+   * Update playback timeline display
+   */
+  updatePlaybackState(state) {
+    this.playbackState = state;
+    const { playbackToggle, playbackMode, playbackScrubber, playbackTime, playbackSpeed, playbackLive } = this.elements;
+    const isLive = state.mode === 'live';
+    
+    if (playbackToggle) {
+      playbackToggle.textContent = !isLive && state.isPlaying ? '❚❚' : '▶';
+    }
+    
+    if (playbackMode) {
+      playbackMode.textContent = isLive ? 'LIVE' : 'PLAYBACK';
+      playbackMode.classList.toggle('live', isLive);
+      playbackMode.classList.toggle('history', !isLive);
+    }
+    
+    if (playbackLive) {
+      playbackLive.classList.toggle('active', isLive);
+    }
+    
+    if (playbackSpeed && document.activeElement !== playbackSpeed) {
+      playbackSpeed.value = String(state.speed);
+    }
+    
+    if (state.start === null) return;
+    
+    // Don't fight the user while dragging
+    if (playbackScrubber && !this.isScrubbing) {
+      const range = state.end - state.start;
+      playbackScrubber.value = range > 0
+        ? Math.round(((state.playhead - state.start) / range) * 1000)
+        : 1000;
+    }
+    
+    if (playbackTime && state.playhead !== null) {
+      playbackTime.textContent = new Date(state.playhead).toLocaleTimeString('en-US', {
+        hour12: false,
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+  }
+  
   /**
    * Get current filter state
    */
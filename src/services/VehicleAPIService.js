@@ -8,11 +8,16 @@
  * - Adaptive update rates (followed vehicles update faster)
  * - Priority-based updates (visible/selected vehicles first)
  * - Batch updates to reduce network overhead
+ * - Server-Sent Events streaming with Last-Event-ID resume (API mode)
  * - Connection pooling simulation
+ * - Load-haul-dump cycles on A* routes when a navigation graph is set
+ * - Without one, the same dwell / fuel / maintenance model on back-and-forth
+ *   paths (loading at one end, dumping and servicing at the other)
  * - Fallback to cached data on connection loss
  */
 
-import * as THREE from 'three';
+import { VEHICLE_STATUS, VEHICLE_TYPES } from '../utils/TelemetrySchema.js';
+import { HaulSimulator, HAUL_PHASES, PHASE_STATUS, haulSettings, pickDuration } from '../simulation/HaulSimulator.js';
 
 // Update rate tiers (in milliseconds)
 const UPDATE_RATES = {
@@ -23,22 +28,8 @@ const UPDATE_RATES = {
   IDLE: 5000          // Idle/parked vehicles
 };
 
-// Vehicle status types
-export const VEHICLE_STATUS = {
-  MOVING: 'moving',
-  IDLE: 'idle',
-  LOADING: 'loading',
-  UNLOADING: 'unloading',
-  MAINTENANCE: 'maintenance',
-  OFFLINE: 'offline'
-};
-
-// Vehicle types
-export const VEHICLE_TYPES = {
-  DUMP_TRUCK: 'dump_truck',
-  LOADER: 'loader',
-  HAUL_TRUCK: 'haul_truck'
-};
+// Status and type constants live with the telemetry schema
+export { VEHICLE_STATUS, VEHICLE_TYPES };
 
 export class VehicleAPIService {
   constructor(options = {}) {
@@ -57,7 +48,14 @@ export class VehicleAPIService {
     // Connection state
     this.isConnected = false;
     this.connectionRetries = 0;
-    this.maxRetries = 5;
+    this.maxRetries = this.config.maxRetries || 5;
+    this.retryDelay = this.config.retryDelay || 2000;
+    
+    // Event stream (API mode)
+    this.transport = this.config.transport || 'sse';
+    this.eventSource = null;
+    this.lastEventId = null;
+    this.retryTimer = null;
     
     // Vehicle data cache
     this.vehicleCache = new Map();
@@ -76,10 +74,15 @@ export class VehicleAPIService {
     this.mineModel = null;
     this.mineBounds = null;
     this.mineCenter = null;
-    this.mineMeshes = [];
+    this.tunnelPositions = []; // Scanned floor positions (geometry analysis)
     this.tunnelPaths = [];
     
+    // Tunnel centerline graph (preferred source of simulated routes)
+    this.navGraph = null;
+    
     // Simulation state (for dev mode)
+    this.haulSimulator = null;
+    this.haul = haulSettings(this.config.haul); // Cycle model for path vehicles
     this.simulatedVehicles = new Map();
     this.vehiclesCreated = false;
   }
@@ -96,14 +99,13 @@ export class VehicleAPIService {
     if (this.useSimulation) {
       console.log('VehicleAPIService: Running in simulation mode');
       await this.initSimulation();
+      this.isConnected = true;
+      this.events?.emit('connection:status', 'connected');
     } else {
       console.log('VehicleAPIService: Connecting to backend API');
       await this.connectToAPI();
     }
     
-    this.isConnected = true;
-    this.events?.emit('connection:status', 'connected');
-    
     // Start the master update loop
     this.startUpdateLoop();
     
@@ -113,6 +115,21 @@ export class VehicleAPIService {
     });
   }
   
+  /**
+   * Set the navigation graph used for simulated routes
+   */
+  setNavGraph(graph) {
+    this.navGraph = graph;
+  }
+  
+  /**
+   * Set scanned tunnel floor positions (call before setMineData)
+   * @param {Array<{x, y, z}>} positions - Snake-ordered grid positions
+   */
+  setTunnelPositions(positions) {
+    this.tunnelPositions = positions || [];
+  }
+  
   /**
    * Set mine data for path generation (simulation mode)
    */
@@ -126,15 +143,8 @@ export class VehicleAPIService {
       center: center ? `(${center.x.toFixed(1)}, ${center.y.toFixed(1)}, ${center.z.toFixed(1)})` : null
     });
     
-    if (model) {
-      this.mineMeshes = [];
-      model.traverse((child) => {
-        if (child.isMesh) {
-          this.mineMeshes.push(child);
-        }
-      });
-      console.log(`Collected ${this.mineMeshes.length} meshes`);
-    }
+    // Streamed fleets come from the backend - nothing to simulate
+    if (!this.useSimulation) return;
     
     // Generate paths with mine data
     this.generateTunnelPaths();
@@ -149,139 +159,224 @@ export class VehicleAPIService {
   
   /**
    * Connect to real backend API
+   * A failed connect is reported as an 'error' status - the service never
+   * switches to simulated vehicles on its own (see SimulationFallback).
    */
   async connectToAPI() {
     try {
-      // In production, this would establish WebSocket or SSE connection
       const response = await fetch(`${this.apiBaseUrl}/connect`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' }
       });
       
-      if (!response.ok) throw new Error('API connection failed');
+      if (!response.ok) throw new Error(`API connection failed (HTTP ${response.status})`);
+      
+      // Stream real-time updates
+      if (this.transport === 'sse') {
+        this.setupEventStream();
+      }
       
-      // Setup WebSocket for real-time updates
-      // this.setupWebSocket();
+      // The event stream reports its own status once it opens
+      if (!this.eventSource) {
+        this.isConnected = true;
+        this.events?.emit('connection:status', 'connected');
+      }
       
     } catch (error) {
-      console.warn('API connection failed, falling back to simulation:', error);
-      this.useSimulation = true;
-      await this.initSimulation();
+      console.warn('VehicleAPIService: API connection failed:', error);
+      this.isConnected = false;
+      this.events?.emit('connection:status', 'error');
     }
   }
   
   /**
-   * Initialize simulation mode
+   * Open the Server-Sent Events stream
+   * EventSource resends Last-Event-ID itself on automatic reconnects; when we
+   * reopen the stream manually the id is passed as a query parameter instead.
    */
-  async initSimulation() {
-    console.log('VehicleAPIService: Initializing simulation');
+  setupEventStream() {
+    if (typeof EventSource === 'undefined') {
+      console.warn('VehicleAPIService: EventSource not supported, streaming disabled');
+      return;
+    }
     
-    // Only create vehicles if we have mine data
-    if (this.mineBounds && this.mineCenter) {
-      this.generateTunnelPaths();
-      this.createSimulatedVehicles();
-      this.vehiclesCreated = true;
-      console.log(`VehicleAPIService: Created ${this.simulatedVehicles.size} vehicles`);
-    } else {
-      console.log('VehicleAPIService: Waiting for mine data before creating vehicles');
+    const url = new URL(`${this.apiBaseUrl}/stream`, window.location.href);
+    if (this.lastEventId) {
+      url.searchParams.set('lastEventId', this.lastEventId);
     }
+    
+    this.events?.emit('connection:status', 'connecting');
+    this.eventSource = new EventSource(url.toString());
+    
+    this.eventSource.onopen = () => {
+      console.log(`VehicleAPIService: Event stream open${this.lastEventId ? ` (resuming after ${this.lastEventId})` : ''}`);
+      this.isConnected = true;
+      this.connectionRetries = 0;
+      this.events?.emit('connection:status', 'connected');
+    };
+    
+    this.eventSource.addEventListener('vehicle_batch', (event) => {
+      this.handleStreamEvent(event, (body) => Array.isArray(body) ? body : body.vehicles);
+    });
+    
+    this.eventSource.addEventListener('vehicle_update', (event) => {
+      this.handleStreamEvent(event, (body) => [body]);
+    });
+    
+    this.eventSource.addEventListener('tag_read', (event) => {
+      this.handleTagReadEvent(event);
+    });
+    
+    this.eventSource.onerror = () => {
+      this.isConnected = false;
+      
+      // CONNECTING means the browser is already retrying with Last-Event-ID
+      if (this.eventSource.readyState === EventSource.CONNECTING) {
+        console.warn('VehicleAPIService: Event stream interrupted, reconnecting...');
+        this.events?.emit('connection:status', 'connecting');
+        return;
+      }
+      
+      // CLOSED - the browser gave up (e.g. HTTP error); retry ourselves
+      this.closeEventStream();
+      this.retryEventStream();
+    };
   }
   
   /**
-   * Find a valid tunnel position using raycasting
-   * Returns position if there's floor and ceiling (inside tunnel)
+   * Parse a stream event and emit its vehicles
    */
-  findValidTunnelPosition(x, z) {
-    if (this.mineMeshes.length === 0 || !this.mineBounds) {
-      return null;
+  handleStreamEvent(event, getVehicles) {
+    if (event.lastEventId) {
+      this.lastEventId = event.lastEventId;
     }
     
-    const raycaster = new THREE.Raycaster();
-    const maxY = this.mineBounds.max.y;
-    
-    // Cast ray DOWN from above
-    raycaster.set(new THREE.Vector3(x, maxY + 10, z), new THREE.Vector3(0, -1, 0));
-    raycaster.far = 1000;
-    const downHits = raycaster.intersectObjects(this.mineMeshes, true);
-    
-    if (downHits.length < 1) return null;
+    let vehicles;
+    try {
+      vehicles = getVehicles(JSON.parse(event.data));
+    } catch (error) {
+      this.events?.emit('telemetry:rejected', {
+        reason: 'malformed_json',
+        message: error.message,
+        raw: event.data
+      });
+      return;
+    }
     
-    // Use lowest hit as floor
-    downHits.sort((a, b) => a.point.y - b.point.y);
-    const floorY = downHits[0].point.y;
+    if (!Array.isArray(vehicles)) {
+      this.events?.emit('telemetry:rejected', {
+        reason: 'invalid_batch',
+        message: `${event.type} without a vehicles array`,
+        raw: event.data
+      });
+      return;
+    }
     
-    // Check for ceiling above floor
-    const testY = floorY + 1;
-    raycaster.set(new THREE.Vector3(x, testY, z), new THREE.Vector3(0, 1, 0));
-    raycaster.far = 50;
-    const upHits = raycaster.intersectObjects(this.mineMeshes, true);
+    vehicles.forEach((vehicle) => {
+      const id = vehicle?.id ?? vehicle?.vehicleId;
+      if (id !== undefined) {
+        this.vehicleCache.set(id, vehicle);
+        this.lastUpdateTimes.set(id, Date.now());
+      }
+      this.events?.emit('vehicle:update', vehicle);
+    });
     
-    // Must have ceiling within reasonable distance
-    if (upHits.length > 0 && upHits[0].distance < 25) {
-      return { x, y: floorY + 0.5, z };
+    this.events?.emit('vehicles:count', this.vehicleCache.size);
+  }
+  
+  /**
+   * Parse a checkpoint tag read from the stream
+   */
+  handleTagReadEvent(event) {
+    if (event.lastEventId) {
+      this.lastEventId = event.lastEventId;
     }
     
-    // Fallback: if no ceiling but we have floor hits, still use it
-    if (downHits.length >= 2) {
-      return { x, y: floorY + 0.5, z };
+    try {
+      this.events?.emit('tag:read', JSON.parse(event.data));
+    } catch (error) {
+      this.events?.emit('telemetry:rejected', {
+        reason: 'malformed_json',
+        message: error.message,
+        raw: event.data
+      });
     }
-    
-    return null;
   }
   
   /**
-   * Scan entire mine to find ALL valid tunnel positions
-   * Organized by rows for spatial coherence
+   * Reopen the stream after the browser gave up
    */
-  findAllTunnelPositions() {
-    const { min, max } = this.mineBounds;
+  retryEventStream() {
+    if (this.connectionRetries >= this.maxRetries) {
+      console.warn('VehicleAPIService: Event stream unavailable, serving cached data');
+      this.events?.emit('connection:status', 'error');
+      return;
+    }
     
-    // Scan grid - step of 3 for reasonable performance
-    const step = 3;
-    const rows = []; // Store positions organized by Z-rows
+    this.connectionRetries++;
+    const delay = this.retryDelay * this.connectionRetries;
+    console.warn(`VehicleAPIService: Reopening event stream in ${delay}ms (${this.connectionRetries}/${this.maxRetries})`);
+    this.events?.emit('connection:status', 'connecting');
     
-    for (let z = min.z + step; z < max.z - step; z += step) {
-      const row = [];
-      for (let x = min.x + step; x < max.x - step; x += step) {
-        const pos = this.findValidTunnelPosition(x, z);
-        if (pos) {
-          row.push(pos);
-        }
-      }
-      if (row.length > 0) {
-        rows.push(row);
-      }
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.setupEventStream();
+    }, delay);
+  }
+  
+  /**
+   * Close the stream without scheduling a retry
+   */
+  closeEventStream() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
     }
-    
-    // Flatten rows in a snake pattern so consecutive positions are spatially adjacent
-    const validPositions = [];
-    for (let i = 0; i < rows.length; i++) {
-      if (i % 2 === 0) {
-        validPositions.push(...rows[i]); // Left to right
-      } else {
-        validPositions.push(...rows[i].reverse()); // Right to left
-      }
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
     }
+  }
+  
+  /**
+   * Initialize simulation mode
+   */
+  async initSimulation() {
+    console.log('VehicleAPIService: Initializing simulation');
     
-    console.log(`Found ${validPositions.length} valid tunnel grid positions in ${rows.length} rows`);
-    return validPositions;
+    // Only create vehicles if we have mine data
+    if (this.mineBounds && this.mineCenter) {
+      this.generateTunnelPaths();
+      this.createSimulatedVehicles();
+      this.vehiclesCreated = true;
+      console.log(`VehicleAPIService: Created ${this.simulatedVehicles.size} vehicles`);
+    } else {
+      console.log('VehicleAPIService: Waiting for mine data before creating vehicles');
+    }
   }
   
   /**
    * Generate paths using ONLY validated tunnel positions
-   * Creates 25 paths for vehicles to move between nearby valid positions
+   * Creates 25 paths for vehicles to move between nearby valid positions.
+   * Without a navigation graph, falls back to the scanned grid positions.
    */
   generateTunnelPaths() {
-    if (!this.mineBounds || this.mineMeshes.length === 0) {
+    // Routes along the tunnel centerline graph when one was extracted
+    if (this.navGraph?.edges.size > 0) {
+      this.tunnelPaths = this.navGraph.generateRoutes(25, 6, { spacing: 3 });
+      if (this.tunnelPaths.length > 0) {
+        console.log(`Generated ${this.tunnelPaths.length} paths from the navigation graph`);
+        return;
+      }
+    }
+    
+    if (!this.mineBounds || this.tunnelPositions.length === 0) {
       console.log('No mine data, cannot generate validated paths');
       return;
     }
     
-    console.log('=== SCANNING MINE FOR ALL VALID TUNNEL POSITIONS ===');
-    console.log(`Mine meshes: ${this.mineMeshes.length}`);
-    
-    // Find ALL valid positions in the mine (snake-ordered)
-    const allPositions = this.findAllTunnelPositions();
+    // ALL valid positions in the mine (snake-ordered, scanned by the geometry analysis)
+    const allPositions = this.tunnelPositions;
     
     if (allPositions.length < 4) {
       console.warn('Not enough valid positions! Vehicles will be stationary.');
@@ -466,17 +561,23 @@ export class VehicleAPIService {
       });
     }
     
+    // Real haul cycles need loading and dump sites on the navigation graph
+    this.haulSimulator = this.navGraph?.edges.size > 0
+      ? new HaulSimulator({ graph: this.navGraph, config: this.config.haul })
+      : null;
+    
     vehicleConfigs.forEach((config, index) => {
+      const haul = this.haulSimulator?.addVehicle(config.id) || null;
       const path = this.tunnelPaths[config.pathIndex % this.tunnelPaths.length];
-      if (!path || path.length < 2) {
+      if (!haul && (!path || path.length < 2)) {
         console.warn(`VehicleAPIService: Invalid path for ${config.id}`, path);
         return;
       }
       
       // Start each vehicle at different point along the path
       const startProgress = (index * 0.15) % 1;
-      const startWaypoint = Math.floor(startProgress * (path.length - 1));
-      const startPos = path[startWaypoint];
+      const startWaypoint = haul ? 0 : Math.floor(startProgress * (path.length - 1));
+      const startPos = haul ? haul.position : path[startWaypoint];
       
       console.log(`VehicleAPIService: Creating ${config.id} at position:`, startPos);
       
@@ -484,21 +585,29 @@ export class VehicleAPIService {
         id: config.id,
         type: config.type,
         group: config.group,
-        status: VEHICLE_STATUS.MOVING,
+        status: haul ? haul.status : PHASE_STATUS[HAUL_PHASES.TO_DUMP],
         position: { x: startPos.x, y: startPos.y, z: startPos.z },
-        heading: 0,
+        heading: haul ? haul.heading : 0,
         speed: 0,
         level: 0,
+        // Haul cycle state (null: ping-pong along path)
+        haul,
+        tripEvents: haul ? haul.tripEvents : [],
         // Path state
         path: path,
         currentWaypointIndex: startWaypoint,
         pathProgress: 0,
+        // Path cycle (haul phase, dwell end in ms; 0 while driving)
+        phase: HAUL_PHASES.TO_DUMP,
+        dwellUntil: 0,
         // Visible movement speed
         pathSpeed: 0.015 + Math.random() * 0.01,
         // Metadata
         driver: `Driver ${config.id.slice(-2)}`,
-        lastMaintenance: Date.now() - Math.random() * 86400000,
-        fuelLevel: 50 + Math.random() * 50
+        lastMaintenance: haul
+          ? haul.lastMaintenance
+          : Date.now() - (Math.random() * this.haul.maintenance.interval * 3600000) / this.haul.timeScale,
+        fuelLevel: haul ? haul.fuelLevel : 50 + Math.random() * 50
       };
       
       this.simulatedVehicles.set(config.id, vehicle);
@@ -585,8 +694,27 @@ export class VehicleAPIService {
    * Uses back-and-forth movement to prevent teleportation
    */
   updateVehicle(vehicle) {
+    if (vehicle.haul) {
+      this.updateHaulVehicle(vehicle);
+      return;
+    }
+    
     if (!vehicle.path || vehicle.path.length < 2) return;
     
+    // Parked at a path end until the dwell is over
+    if (vehicle.dwellUntil > 0) {
+      const now = Date.now();
+      if (now < vehicle.dwellUntil) {
+        vehicle.speed = 0;
+        return;
+      }
+      this.finishPathDwell(vehicle, vehicle.dwellUntil);
+      if (vehicle.dwellUntil > 0) {
+        vehicle.speed = 0;
+        return;
+      }
+    }
+    
     const path = vehicle.path;
     const pathLen = path.length;
     
@@ -597,7 +725,9 @@ export class VehicleAPIService {
     
     // Store previous position for heading calculation
     const prevX = vehicle.position.x;
+    const prevY = vehicle.position.y;
     const prevZ = vehicle.position.z;
+    let arrived = false;
     
     // Update progress along current segment
     vehicle.pathProgress += vehicle.pathSpeed;
@@ -612,15 +742,11 @@ export class VehicleAPIService {
       if (vehicle.currentWaypointIndex >= pathLen - 1) {
         vehicle.currentWaypointIndex = pathLen - 1;
         vehicle.pathDirection = -1;
-        // Log trip event - reached end (dump site)
-        vehicle.tripEvents = vehicle.tripEvents || [];
-        vehicle.tripEvents.push({ event: 'dump', time: Date.now() });
+        arrived = true;
       } else if (vehicle.currentWaypointIndex <= 0) {
         vehicle.currentWaypointIndex = 0;
         vehicle.pathDirection = 1;
-        // Log trip event - returned to start (load site)
-        vehicle.tripEvents = vehicle.tripEvents || [];
-        vehicle.tripEvents.push({ event: 'load', time: Date.now() });
+        arrived = true;
       }
     }
     
@@ -647,6 +773,106 @@ export class VehicleAPIService {
     // Calculate speed
     const distance = Math.sqrt(dx * dx + dz * dz);
     vehicle.speed = distance * 36; // Convert to km/h approximation
+    
+    // Fuel burn per km, higher when loaded
+    const travelled = Math.hypot(dx, vehicle.position.y - prevY, dz);
+    const burn = vehicle.phase === HAUL_PHASES.TO_DUMP ? this.haul.fuel.loadedBurn : this.haul.fuel.emptyBurn;
+    vehicle.fuelLevel = Math.max(0, vehicle.fuelLevel - (travelled / 1000) * burn);
+    
+    if (arrived) {
+      this.arriveAtPathEnd(vehicle, Date.now());
+    }
+  }
+  
+  /**
+   * Start the dwell at a path end: loading at the start, unloading at the end
+   */
+  arriveAtPathEnd(vehicle, now) {
+    if (vehicle.phase === HAUL_PHASES.TO_DUMP) {
+      this.startPathDwell(vehicle, HAUL_PHASES.UNLOADING, this.haul.unloadingTime, now);
+    } else if (Math.random() < this.haul.queueing.probability) {
+      this.startPathDwell(vehicle, HAUL_PHASES.QUEUED, this.haul.queueing.time, now);
+    } else {
+      this.startPathDwell(vehicle, HAUL_PHASES.LOADING, this.haul.loadingTime, now);
+    }
+  }
+  
+  /**
+   * Stop in a dwell phase for a duration range (simulated seconds) or fixed seconds
+   */
+  startPathDwell(vehicle, phase, duration, now) {
+    const seconds = typeof duration === 'number' ? duration : pickDuration(duration);
+    vehicle.phase = phase;
+    vehicle.dwellUntil = now + (seconds / this.haul.timeScale) * 1000;
+    vehicle.status = PHASE_STATUS[phase];
+    vehicle.speed = 0;
+  }
+  
+  /**
+   * Dwell done: log the trip event, then service or drive on
+   * (the path-following counterpart of HaulSimulator.finishDwell)
+   */
+  finishPathDwell(vehicle, now) {
+    const events = vehicle.tripEvents;
+    
+    switch (vehicle.phase) {
+      case HAUL_PHASES.QUEUED:
+        this.startPathDwell(vehicle, HAUL_PHASES.LOADING, this.haul.loadingTime, now);
+        return;
+      case HAUL_PHASES.LOADING:
+        events.push({ event: 'load', time: now });
+        this.startPathLeg(vehicle, HAUL_PHASES.TO_DUMP);
+        return;
+      case HAUL_PHASES.UNLOADING:
+        events.push({ event: 'dump', time: now });
+        break;
+      case HAUL_PHASES.REFUELLING:
+        vehicle.fuelLevel = 100;
+        events.push({ event: 'refuel', time: now });
+        break;
+      case HAUL_PHASES.MAINTENANCE:
+        vehicle.lastMaintenance = now;
+        events.push({ event: 'maintenance', time: now });
+        break;
+    }
+    
+    // Service at the dump end (no fuel bay or workshop without a graph)
+    const { fuel, maintenance, breaks } = this.haul;
+    const serviceDue = now - vehicle.lastMaintenance >= (maintenance.interval * 3600 * 1000) / this.haul.timeScale;
+    if (serviceDue && vehicle.phase !== HAUL_PHASES.MAINTENANCE) {
+      this.startPathDwell(vehicle, HAUL_PHASES.MAINTENANCE, maintenance.time, now);
+    } else if (vehicle.fuelLevel < fuel.refuelBelow && vehicle.phase !== HAUL_PHASES.REFUELLING) {
+      this.startPathDwell(vehicle, HAUL_PHASES.REFUELLING, Math.max(1, (100 - vehicle.fuelLevel) / fuel.refuelRate), now);
+    } else if (vehicle.phase === HAUL_PHASES.UNLOADING && Math.random() < breaks.probability) {
+      this.startPathDwell(vehicle, HAUL_PHASES.PARKED, breaks.time, now);
+    } else {
+      this.startPathLeg(vehicle, HAUL_PHASES.TO_LOAD);
+    }
+  }
+  
+  /**
+   * Drive back along the path
+   */
+  startPathLeg(vehicle, phase) {
+    vehicle.phase = phase;
+    vehicle.dwellUntil = 0;
+    vehicle.status = PHASE_STATUS[phase];
+  }
+  
+  /**
+   * Advance a vehicle through its load-haul-dump cycle
+   */
+  updateHaulVehicle(vehicle) {
+    const haul = this.haulSimulator.advanceVehicle(vehicle.id, Date.now());
+    
+    vehicle.position.x = haul.position.x;
+    vehicle.position.y = haul.position.y;
+    vehicle.position.z = haul.position.z;
+    vehicle.heading = haul.heading;
+    vehicle.speed = haul.speed;
+    vehicle.status = haul.status;
+    vehicle.fuelLevel = haul.fuelLevel;
+    vehicle.lastMaintenance = haul.lastMaintenance;
   }
   
   /**
@@ -671,7 +897,8 @@ export class VehicleAPIService {
         driver: vehicle.driver,
         fuelLevel: vehicle.fuelLevel,
         lastMaintenance: vehicle.lastMaintenance
-      }
+      },
+      timestamp: Date.now()
     };
   }
   
@@ -736,7 +963,8 @@ export class VehicleAPIService {
    * Fetch latest data for specific vehicle (API mode)
    */
   async fetchVehicleData(vehicleId) {
-    if (this.useSimulation) {
+    // Simulation and a live stream both keep the cache current
+    if (this.useSimulation || (this.eventSource && this.isConnected)) {
       return this.vehicleCache.get(vehicleId);
     }
     
@@ -755,7 +983,7 @@ export class VehicleAPIService {
    * Fetch all vehicles data (API mode)
    */
   async fetchAllVehicles() {
-    if (this.useSimulation) {
+    if (this.useSimulation || (this.eventSource && this.isConnected)) {
       return this.getAllVehicles();
     }
     
@@ -782,6 +1010,8 @@ export class VehicleAPIService {
     this.updateTimers.forEach(timer => clearInterval(timer));
     this.updateTimers.clear();
     
+    this.closeEventStream();
+    
     this.isConnected = false;
     this.events?.emit('connection:status', 'disconnected');
   }
@@ -793,6 +1023,8 @@ export class VehicleAPIService {
     return {
       isConnected: this.isConnected,
       isSimulating: this.useSimulation,
+      transport: this.useSimulation ? 'simulation' : this.transport,
+      lastEventId: this.lastEventId,
       vehicleCount: this.vehicleCache.size,
       followedVehicle: this.followedVehicleId,
       updateRates: UPDATE_RATES
@@ -5,13 +5,21 @@
  * In development mode, simulates vehicles moving inside tunnel paths.
  * 
  * Features:
- * - Auto-reconnection
- * - Connection status events
- * - Raycasting to find valid tunnel positions
+ * - Auto-reconnection with exponential backoff and jitter
+ * - Ping/pong heartbeats with stale-link detection
+ * - Binary delta frames negotiated via subprotocol, with JSON fallback
+ * - Connection status events (connecting/connected/stale/disconnected/error)
+ * - Simulated paths from the navigation graph or scanned tunnel positions
  * - Simulation mode for development
  */
 
-import * as THREE from 'three';
+import { getMessageKind, MESSAGE_KINDS } from '../utils/TelemetrySchema.js';
+import {
+  TelemetryFrameDecoder,
+  BINARY_SUBPROTOCOL,
+  JSON_SUBPROTOCOL,
+  FRAME_TYPES
+} from '../utils/BinaryTelemetryProtocol.js';
 
 export class WebSocketService {
   constructor(options = {}) {
@@ -22,8 +30,27 @@ export class WebSocketService {
     this.socket = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = this.config.maxReconnectAttempts || 5;
-    this.reconnectDelay = this.config.reconnectDelay || 3000;
+    this.reconnectTimer = null;
+    this.shouldReconnect = true;
+    
+    // Reconnect backoff (maxReconnectAttempts 0 = retry forever)
+    this.maxReconnectAttempts = this.config.maxReconnectAttempts || 0;
+    this.reconnectDelay = this.config.reconnectDelay || 1000;
+    this.maxReconnectDelay = this.config.maxReconnectDelay || 30000;
+    
+    // Heartbeats - link is 'stale' after N silent intervals, dropped after 2N
+    this.heartbeatInterval = this.config.heartbeatInterval || 5000;
+    this.staleAfterMissed = this.config.staleAfterMissed || 3;
+    this.heartbeatTimer = null;
+    this.lastMessageTime = 0;
+    this.isStale = false;
+    this.latency = null;
+    
+    // Wire format: 'auto' offers binary then JSON, 'binary' or 'json' force one
+    this.protocol = this.config.protocol || 'auto';
+    this.activeProtocol = null;
+    this.decoder = new TelemetryFrameDecoder();
+    this.resyncRequested = false;
     
     // Simulation state
     this.isSimulating = this.config.simulate !== false;
@@ -34,8 +61,26 @@ export class WebSocketService {
     this.mineModel = null;
     this.mineBounds = null;
     this.mineCenter = null;
-    this.mineMeshes = [];
+    this.tunnelPositions = []; // Scanned floor positions (geometry analysis)
     this.tunnelPaths = [];
+    
+    // Tunnel centerline graph (preferred source of simulated routes)
+    this.navGraph = null;
+  }
+  
+  /**
+   * Set the navigation graph used for simulated routes
+   */
+  setNavGraph(graph) {
+    this.navGraph = graph;
+  }
+  
+  /**
+   * Set scanned tunnel floor positions (call before setMineData)
+   * @param {Array<{x, y, z}>} positions - Snake-ordered grid positions
+   */
+  setTunnelPositions(positions) {
+    this.tunnelPositions = positions || [];
   }
   
   /**
@@ -46,18 +91,8 @@ export class WebSocketService {
     this.mineBounds = bounds;
     this.mineCenter = center;
     
-    // Collect meshes for raycasting
-    this.mineMeshes = [];
-    if (model) {
-      model.traverse((child) => {
-        if (child.isMesh) {
-          this.mineMeshes.push(child);
-        }
-      });
-    }
-    
     console.log('Mine data received:', {
-      meshCount: this.mineMeshes.length,
+      tunnelPositions: this.tunnelPositions.length,
       center: { x: center.x.toFixed(2), y: center.y.toFixed(2), z: center.z.toFixed(2) }
     });
     
@@ -66,51 +101,23 @@ export class WebSocketService {
   }
   
   /**
-   * Generate paths inside tunnels using raycasting
-   * More strict validation to ensure paths stay inside
+   * Generate paths inside tunnels
+   * From the navigation graph, else from the scanned floor positions
    */
   generateTunnelPaths() {
-    if (!this.mineBounds || this.mineMeshes.length === 0) {
-      console.warn('No mine data for path generation');
-      this.tunnelPaths = this.createFallbackPaths();
-      return;
-    }
-    
-    const raycaster = new THREE.Raycaster();
-    const validPoints = [];
-    
-    const { min, max } = this.mineBounds;
-    // Finer grid for better path coverage
-    const stepX = (max.x - min.x) / 30;
-    const stepZ = (max.z - min.z) / 30;
-    
-    // Sample grid and find points inside tunnels using downward raycast
-    for (let x = min.x + stepX * 2; x < max.x - stepX * 2; x += stepX) {
-      for (let z = min.z + stepZ * 2; z < max.z - stepZ * 2; z += stepZ) {
-        // Cast ray from above, pointing down
-        const rayOrigin = new THREE.Vector3(x, max.y + 10, z);
-        raycaster.set(rayOrigin, new THREE.Vector3(0, -1, 0));
-        raycaster.far = 1000;
-        
-        const hits = raycaster.intersectObjects(this.mineMeshes, true);
-        
-        if (hits.length >= 2) {
-          // Sort by Y to get floor and ceiling
-          hits.sort((a, b) => a.point.y - b.point.y);
-          const floorY = hits[0].point.y;
-          const ceilingY = hits[hits.length - 1].point.y;
-          const tunnelHeight = ceilingY - floorY;
-          
-          // Valid tunnel: reasonable height
-          if (tunnelHeight > 1.0 && tunnelHeight < 20) {
-            // Place vehicle on floor
-            const vehicleY = floorY + 0.3;
-            validPoints.push({ x, y: vehicleY, z });
-          }
-        }
+    // Out-and-back routes along the centerline graph, so the loop closes inside the tunnels
+    if (this.navGraph?.edges.size > 0) {
+      this.tunnelPaths = this.navGraph.generateRoutes(5, 6, { spacing: 3 })
+        .map((route) => route.concat(route.slice(0, -1).reverse()));
+      if (this.tunnelPaths.length > 0) {
+        console.log(`Created ${this.tunnelPaths.length} tunnel paths from the navigation graph`);
+        return;
       }
     }
     
+    // Floor positions scanned by the geometry analysis
+    const validPoints = this.tunnelPositions;
+    
     console.log(`Found ${validPoints.length} valid tunnel points`);
     
     if (validPoints.length < 5) {
@@ -167,27 +174,45 @@ export class WebSocketService {
    */
   connectWebSocket() {
     const url = this.config.url || 'ws://localhost:8080';
+    this.shouldReconnect = true;
     
     try {
       this.events?.emit('connection:status', 'connecting');
-      this.socket = new WebSocket(url);
+      this.socket = new WebSocket(url, this.getSubprotocols());
+      this.socket.binaryType = 'arraybuffer';
       
       this.socket.onopen = () => {
-        console.log('WebSocket connected');
+        // Servers that ignore subprotocols select none - treat as JSON
+        this.activeProtocol = this.socket.protocol === BINARY_SUBPROTOCOL ? 'binary' : 'json';
+        this.decoder.reset();
+        this.resyncRequested = false;
+        
+        console.log(`WebSocket connected (${this.activeProtocol} protocol)`);
         this.isConnected = true;
         this.reconnectAttempts = 0;
         this.events?.emit('connection:status', 'connected');
+        this.startHeartbeat();
       };
       
       this.socket.onmessage = (event) => {
-        this.handleMessage(event.data);
+        this.markAlive();
+        
+        if (event.data instanceof ArrayBuffer) {
+          this.handleBinaryMessage(event.data);
+        } else {
+          this.handleMessage(event.data);
+        }
       };
       
       this.socket.onclose = () => {
         console.log('WebSocket disconnected');
         this.isConnected = false;
+        this.stopHeartbeat();
         this.events?.emit('connection:status', 'disconnected');
-        this.attemptReconnect();
+        
+        if (this.shouldReconnect) {
+          this.attemptReconnect();
+        }
       };
       
       this.socket.onerror = (error) => {
@@ -202,20 +227,103 @@ export class WebSocketService {
   }
   
   /**
-   * Attempt to reconnect after disconnect
+   * Subprotocols to offer, in preference order
+   */
+  getSubprotocols() {
+    switch (this.protocol) {
+      case 'binary':
+        return [BINARY_SUBPROTOCOL];
+      case 'json':
+        return [JSON_SUBPROTOCOL];
+      default:
+        return [BINARY_SUBPROTOCOL, JSON_SUBPROTOCOL];
+    }
+  }
+  
+  /**
+   * Schedule a reconnect with exponential backoff
    */
   attemptReconnect() {
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      console.log(`Reconnecting (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-      
-      setTimeout(() => {
-        this.connectWebSocket();
-      }, this.reconnectDelay);
-    } else {
-      console.log('Max reconnection attempts reached');
-      // Fall back to simulation
-      this.startSimulation();
+    if (this.maxReconnectAttempts > 0 && this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.warn('Max reconnection attempts reached');
+      this.events?.emit('connection:status', 'error');
+      return;
+    }
+    
+    this.reconnectAttempts++;
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    const limit = this.maxReconnectAttempts > 0 ? `/${this.maxReconnectAttempts}` : '';
+    console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts}${limit})...`);
+    
+    this.events?.emit('connection:retry', { attempt: this.reconnectAttempts, delay });
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connectWebSocket();
+    }, delay);
+  }
+  
+  /**
+   * Backoff delay for an attempt: doubles each time up to the cap,
+   * randomized to 50-100% so clients don't reconnect in lockstep
+   */
+  getReconnectDelay(attempt) {
+    const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, attempt - 1));
+    return delay * (0.5 + Math.random() * 0.5);
+  }
+  
+  /**
+   * Start sending pings and watching for silence
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.markAlive();
+    
+    this.heartbeatTimer = setInterval(() => {
+      this.checkHeartbeat();
+    }, this.heartbeatInterval);
+  }
+  
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    this.isStale = false;
+  }
+  
+  /**
+   * Send a ping and check how long the link has been silent
+   */
+  checkHeartbeat() {
+    const missed = Math.floor((Date.now() - this.lastMessageTime) / this.heartbeatInterval);
+    
+    // Silent for too long - drop the socket so onclose reconnects
+    if (missed >= this.staleAfterMissed * 2) {
+      console.warn(`WebSocket: No data for ${missed} heartbeats, reconnecting`);
+      this.socket?.close();
+      return;
+    }
+    
+    if (missed >= this.staleAfterMissed && !this.isStale) {
+      console.warn(`WebSocket: No data for ${missed} heartbeats, connection stale`);
+      this.isStale = true;
+      this.events?.emit('connection:status', 'stale');
+    }
+    
+    this.send({ type: 'ping', time: Date.now() });
+  }
+  
+  /**
+   * Record activity on the link (any message counts)
+   */
+  markAlive() {
+    this.lastMessageTime = Date.now();
+    
+    if (this.isStale) {
+      console.log('WebSocket: Data flowing again');
+      this.isStale = false;
+      this.events?.emit('connection:status', 'connected');
     }
   }
   
@@ -223,21 +331,94 @@ export class WebSocketService {
    * Handle incoming WebSocket message
    */
   handleMessage(data) {
+    let message;
     try {
-      const message = JSON.parse(data);
-      
-      // Handle different message types
-      if (message.type === 'vehicle_update' || message.id) {
+      message = JSON.parse(data);
+    } catch (error) {
+      this.events?.emit('telemetry:rejected', {
+        reason: 'malformed_json',
+        message: error.message,
+        raw: data
+      });
+      return;
+    }
+    
+    // Dispatch by message kind; field validation happens in the data source
+    switch (getMessageKind(message)) {
+      case MESSAGE_KINDS.VEHICLE_UPDATE:
         this.events?.emit('vehicle:update', message);
-      } else if (message.type === 'vehicle_batch') {
+        break;
+        
+      case MESSAGE_KINDS.VEHICLE_BATCH:
+        if (!Array.isArray(message.vehicles)) {
+          this.events?.emit('telemetry:rejected', {
+            reason: 'invalid_batch',
+            message: 'vehicle_batch without a vehicles array',
+            raw: message
+          });
+          return;
+        }
         message.vehicles.forEach((vehicle) => {
           this.events?.emit('vehicle:update', vehicle);
         });
-      }
-      
+        break;
+        
+      case MESSAGE_KINDS.TAG_READ:
+        this.events?.emit('tag:read', message);
+        break;
+        
+      case MESSAGE_KINDS.CONTROL:
+        if (message.type === 'pong' && Number.isFinite(message.time)) {
+          this.latency = Date.now() - message.time;
+        }
+        break;
+        
+      default:
+        this.events?.emit('telemetry:rejected', {
+          reason: 'unknown_type',
+          message: `Unknown message type: ${message?.type}`,
+          raw: message
+        });
+    }
+  }
+  
+  /**
+   * Handle incoming binary frame
+   */
+  handleBinaryMessage(buffer) {
+    let result;
+    try {
+      result = this.decoder.decode(buffer);
     } catch (error) {
-      console.error('Failed to parse message:', error);
+      this.events?.emit('telemetry:rejected', {
+        reason: 'malformed_binary',
+        message: error.message,
+        raw: `<${buffer.byteLength} byte frame>`
+      });
+      this.requestResync();
+      return;
+    }
+    
+    if (result.needsResync) {
+      this.requestResync();
+    } else if (result.frameType === FRAME_TYPES.KEYFRAME) {
+      this.resyncRequested = false;
     }
+    
+    result.updates.forEach((vehicle) => {
+      this.events?.emit('vehicle:update', vehicle);
+    });
+  }
+  
+  /**
+   * Ask the server for a dictionary and keyframe (once per gap)
+   */
+  requestResync() {
+    if (this.resyncRequested) return;
+    this.resyncRequested = true;
+    
+    console.warn('WebSocket: Binary stream out of sync, requesting resync');
+    this.send({ type: 'resync' });
   }
   
   /**
@@ -308,7 +489,8 @@ export class WebSocketService {
         position: vehicle.position,
         heading: vehicle.heading,
         speed: vehicle.speed,
-        status: vehicle.status
+        status: vehicle.status,
+        timestamp: Date.now()
       });
     });
     
@@ -364,7 +546,8 @@ export class WebSocketService {
         position: { ...vehicle.position },
         heading: vehicle.heading,
         speed: vehicle.speed,
-        status: vehicle.status
+        status: vehicle.status,
+        timestamp: Date.now()
       });
     });
   }
@@ -388,6 +571,14 @@ export class WebSocketService {
       this.simulationInterval = null;
     }
     
+    // Manual disconnect - don't reconnect
+    this.shouldReconnect = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.stopHeartbeat();
+    
     // Close WebSocket
     if (this.socket) {
       this.socket.close();
@@ -405,6 +596,10 @@ export class WebSocketService {
     return {
       isConnected: this.isConnected,
       isSimulating: this.isSimulating,
+      isStale: this.isStale,
+      protocol: this.activeProtocol,
+      latency: this.latency,
+      reconnectAttempts: this.reconnectAttempts,
       vehicleCount: this.simulatedVehicles.size
     };
   }
@@ -0,0 +1,30 @@
+/**
+ * CheckpointDataSource - Inferred Positions of Tag-Only Vehicles
+ *
+ * Runs alongside the configured data source. CheckpointPositioning turns
+ * that source's 'tag:read' messages into position estimates in survey
+ * coordinates and emits them on this adapter's private bus, so they are
+ * validated and transformed like any measured position and reach the app
+ * as 'vehicle:update' from source 'checkpoint'.
+ *
+ * It has no backend of its own and never changes the connection status.
+ */
+
+import { DataSource } from './DataSource.js';
+
+export class CheckpointDataSource extends DataSource {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'checkpoint';
+    this.status = 'connected';
+
+    this.relayFrom(this.sourceEvents);
+  }
+
+  /**
+   * Estimates arrive as tag reads do - nothing to connect to
+   */
+  async connect() {}
+
+  disconnect() {}
+}
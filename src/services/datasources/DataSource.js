@@ -0,0 +1,159 @@
+/**
+ * DataSource - Common Telemetry Source Interface
+ *
+ * Base class for all telemetry adapters (WebSocket, REST polling,
+ * simulation, file replay). Each adapter talks to its own backend and
+ * emits the same normalized events on the application EventBus:
+ *
+ * - 'vehicle:update' (data) - normalized vehicle telemetry
+ * - 'connection:status' (status) - connecting/connected/disconnected/error
+ * - 'vehicles:count' (count) - number of vehicles known to the source
+ * - 'tag:read' (read) - RFID / beacon checkpoint read ({ tag, reader, timestamp })
+ *
+ * Adapters that wrap an existing service give it a private EventBus and
+ * relay its events through relayFrom(), so validation happens in one place.
+ * Messages that fail schema validation are reported as 'telemetry:rejected'
+ * and never reach 'vehicle:update'.
+ *
+ * Positions and headings arrive in survey coordinates and are converted
+ * to the scene by the shared CoordinateTransform. Sources that generate
+ * scene positions themselves (simulation) set sceneCoordinates.
+ */
+
+import { EventBus } from '../../utils/EventBus.js';
+import { validateVehicleUpdate, validateTagRead } from '../../utils/TelemetrySchema.js';
+
+export class DataSource {
+  constructor(options = {}) {
+    this.config = options.config || {};
+    this.events = options.events;
+
+    // Validation limits (config.telemetry)
+    this.limits = options.limits || {};
+
+    // Survey -> scene conversion (config.coordinates)
+    this.transform = options.transform || null;
+    this.sceneCoordinates = false;
+
+    // Adapter name (used in logs and as the 'source' field)
+    this.name = 'base';
+
+    // Private bus for wrapped services
+    this.sourceEvents = new EventBus();
+
+    this.status = 'disconnected';
+  }
+
+  /**
+   * Connect to the backend and start emitting updates
+   */
+  async connect() {
+    throw new Error(`${this.constructor.name} must implement connect()`);
+  }
+
+  /**
+   * Stop emitting updates and release resources
+   */
+  disconnect() {
+    this.setStatus('disconnected');
+  }
+
+  /**
+   * Receive mine geometry (only used by sources that generate positions)
+   */
+  setMineData(model, bounds, center) {}
+
+  /**
+   * Receive scanned tunnel floor positions (only used by simulating sources
+   * when there is no navigation graph)
+   */
+  setTunnelPositions(positions) {}
+
+  /**
+   * Receive the tunnel navigation graph (only used by simulating sources)
+   */
+  setNavGraph(graph) {}
+
+  /**
+   * Priority hints (only used by sources with adaptive update rates)
+   */
+  setFollowedVehicle(vehicleId) {}
+  setSelectedVehicle(vehicleId) {}
+  setVisibleVehicles(vehicleIds) {}
+
+  /**
+   * Relay events from a wrapped service's private bus
+   * @param {EventBus} bus - Bus the wrapped service emits on
+   */
+  relayFrom(bus) {
+    bus.on('vehicle:update', (data) => this.emitUpdate(data));
+    bus.on('connection:status', (status) => this.setStatus(status));
+    bus.on('vehicles:count', (count) => this.events?.emit('vehicles:count', count));
+    bus.on('telemetry:rejected', (info) => this.reject(info));
+    bus.on('tag:read', (raw) => this.emitTagRead(raw));
+  }
+
+  /**
+   * Validate and emit a vehicle update
+   * @param {Object} raw - Message as received
+   * @param {Object} options - { sceneCoordinates } to skip the survey transform
+   */
+  emitUpdate(raw, options = {}) {
+    const result = validateVehicleUpdate(raw, this.limits);
+
+    if (!result.ok) {
+      this.reject({ reason: result.reason, message: result.message, raw });
+      return;
+    }
+
+    const inScene = options.sceneCoordinates ?? this.sceneCoordinates;
+    const value = inScene || !this.transform
+      ? result.value
+      : this.transform.updateToScene(result.value);
+
+    this.events?.emit('telemetry:accepted', { source: this.name, warnings: result.warnings });
+    this.events?.emit('vehicle:update', { ...value, source: this.name });
+  }
+
+  /**
+   * Validate and emit a checkpoint tag read
+   * Reader positions come from config, so there is nothing to transform.
+   * @param {Object} raw - Message as received
+   */
+  emitTagRead(raw) {
+    const result = validateTagRead(raw, this.limits);
+
+    if (!result.ok) {
+      this.reject({ reason: result.reason, message: result.message, raw });
+      return;
+    }
+
+    this.events?.emit('telemetry:accepted', { source: this.name, warnings: result.warnings });
+    this.events?.emit('tag:read', { ...result.value, source: this.name });
+  }
+
+  /**
+   * Report a rejected message to diagnostics
+   */
+  reject(info) {
+    this.events?.emit('telemetry:rejected', { ...info, source: this.name });
+  }
+
+  /**
+   * Update and broadcast connection status
+   */
+  setStatus(status) {
+    this.status = status;
+    this.events?.emit('connection:status', status);
+  }
+
+  /**
+   * Get adapter status
+   */
+  getStatus() {
+    return {
+      source: this.name,
+      status: this.status
+    };
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * DataSourceFactory - Telemetry Adapter Selection
+ *
+ * Creates the telemetry adapter named in app-config.json:
+ *
+ *   "dataSource": { "type": "simulation" | "websocket" | "rest" | "sse" | "replay" | "scenario" }
+ *
+ * Adapter settings come from the matching config section:
+ * - websocket  -> config.websocket
+ * - rest       -> config.dataSource.rest
+ * - sse        -> config.dataSource.sse
+ * - simulation -> config.dataSource.simulation
+ * - replay     -> config.dataSource.replay
+ * - scenario   -> config.dataSource.scenario
+ *
+ * Survey coordinates are converted with the transform passed in (built
+ * from config.coordinates).
+ */
+
+import { SimulationDataSource } from './SimulationDataSource.js';
+import { WebSocketDataSource } from './WebSocketDataSource.js';
+import { RestPollingDataSource } from './RestPollingDataSource.js';
+import { SseDataSource } from './SseDataSource.js';
+import { ReplayDataSource } from './ReplayDataSource.js';
+import { ScenarioDataSource } from './ScenarioDataSource.js';
+
+const ADAPTERS = {
+  simulation: SimulationDataSource,
+  websocket: WebSocketDataSource,
+  rest: RestPollingDataSource,
+  sse: SseDataSource,
+  replay: ReplayDataSource,
+  scenario: ScenarioDataSource
+};
+
+/**
+ * Create the configured data source
+ * @param {Object} config - Full application config
+ * @param {EventBus} events - Application event bus
+ * @param {CoordinateTransform} transform - Survey -> scene transform
+ * @returns {DataSource}
+ */
+export function createDataSource(config, events, transform = null) {
+  const sourceConfig = config.dataSource || {};
+  let type = sourceConfig.type || 'simulation';
+
+  if (!ADAPTERS[type]) {
+    console.warn(`Unknown data source type '${type}', using simulation`);
+    type = 'simulation';
+  }
+
+  const adapterConfig = type === 'websocket'
+    ? config.websocket
+    : sourceConfig[type];
+
+  console.log(`Using '${type}' data source`);
+
+  return new ADAPTERS[type]({
+    config: adapterConfig || {},
+    events,
+    limits: config.telemetry,
+    transform
+  });
+}
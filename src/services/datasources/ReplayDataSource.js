@@ -0,0 +1,203 @@
+/**
+ * ReplayDataSource - Recorded Telemetry File Adapter
+ *
+ * Replays a telemetry recording as if it were a live feed.
+ *
+ * Supported file formats:
+ * - TelemetryRecorder export ({ version, tracks })
+ * - JSON array of vehicle messages with a 'timestamp' field
+ * - Newline-delimited JSON (one message per line)
+ *
+ * Looped recordings keep their timestamps moving forward: each pass is
+ * stamped after the previous one, so jitter buffers don't reject it as
+ * out of order.
+ */
+
+import { DataSource } from './DataSource.js';
+import { parseTimestamp } from '../../utils/TelemetrySchema.js';
+
+export class ReplayDataSource extends DataSource {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'replay';
+
+    this.url = this.config.url;
+    this.speed = this.config.speed || 1;
+    this.loop = this.config.loop !== false;
+    this.tickInterval = this.config.tickInterval || 50;
+
+    // Time-ordered entries: [{ t, data }]
+    this.entries = [];
+    this.cursor = 0;
+    this.replayTime = 0;
+    this.loopOffset = 0; // ms added to recorded timestamps on later passes
+    this.replayTimer = null;
+  }
+
+  async connect() {
+    if (!this.url) {
+      throw new Error('ReplayDataSource: No replay file configured (dataSource.replay.url)');
+    }
+
+    this.setStatus('connecting');
+
+    const response = await fetch(this.url);
+    if (!response.ok) {
+      this.setStatus('error');
+      throw new Error(`ReplayDataSource: Failed to load ${this.url} (HTTP ${response.status})`);
+    }
+
+    this.entries = this.parseRecording(await response.text());
+    console.log(`ReplayDataSource: Loaded ${this.entries.length} messages from ${this.url}`);
+
+    if (this.entries.length === 0) {
+      this.setStatus('error');
+      return;
+    }
+
+    this.restart();
+    this.setStatus('connected');
+
+    this.replayTimer = setInterval(() => {
+      this.advance(this.tickInterval * this.speed);
+    }, this.tickInterval);
+  }
+
+  /**
+   * Parse a recording file into time-ordered entries
+   */
+  parseRecording(text) {
+    let entries = [];
+    let body = null;
+
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Not a single JSON document - treat as NDJSON
+      body = text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .map(line => JSON.parse(line));
+    }
+
+    if (body && body.tracks) {
+      entries = this.parseRecorderExport(body);
+    } else if (Array.isArray(body)) {
+      body.forEach((message) => {
+        const t = parseTimestamp(message.timestamp);
+        const vehicles = message.type === 'vehicle_batch' ? message.vehicles : [message];
+        vehicles.forEach((data) => {
+          entries.push({ t: parseTimestamp(data.timestamp) ?? t ?? 0, data });
+        });
+      });
+    }
+
+    return entries.sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Convert a TelemetryRecorder export into entries
+   */
+  parseRecorderExport(recording) {
+    const entries = [];
+
+    Object.entries(recording.tracks).forEach(([id, track]) => {
+      track.samples.forEach((sample) => {
+        entries.push({
+          t: sample.t,
+          data: {
+            id,
+            type: track.info?.type,
+            group: track.info?.group,
+            status: sample.status,
+            level: sample.level,
+            position: { x: sample.x, y: sample.y, z: sample.z },
+            heading: sample.heading,
+            speed: sample.speed,
+            pitch: sample.pitch,
+            roll: sample.roll,
+            tripEvents: (track.tripEvents || []).slice(0, sample.tripEventCount),
+            metadata: track.info?.metadata
+          }
+        });
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Rewind to the start of the recording
+   */
+  restart() {
+    this.cursor = 0;
+    this.loopOffset = 0;
+    this.replayTime = this.entries[0].t;
+  }
+
+  /**
+   * Start the next pass, stamped one tick after the previous one ended
+   */
+  loopAround() {
+    const offset = this.loopOffset + this.replayTime - this.entries[0].t + this.tickInterval * this.speed;
+    this.restart();
+    this.loopOffset = offset;
+  }
+
+  /**
+   * Advance replay clock and emit due messages
+   */
+  advance(deltaMs) {
+    this.replayTime += deltaMs;
+
+    let emitted = 0;
+    while (this.cursor < this.entries.length && this.entries[this.cursor].t <= this.replayTime) {
+      const { t, data } = this.entries[this.cursor];
+      this.emitUpdate(data.timestamp === undefined ? data : { ...data, timestamp: t + this.loopOffset });
+      this.cursor++;
+      emitted++;
+    }
+
+    if (emitted > 0) {
+      this.events?.emit('vehicles:count', this.countVehicles());
+    }
+
+    if (this.cursor >= this.entries.length) {
+      if (this.loop) {
+        console.log('ReplayDataSource: Recording finished, looping');
+        this.loopAround();
+      } else {
+        console.log('ReplayDataSource: Recording finished');
+        this.disconnect();
+      }
+    }
+  }
+
+  /**
+   * Count distinct vehicles in the recording
+   */
+  countVehicles() {
+    if (this._vehicleCount === undefined) {
+      this._vehicleCount = new Set(this.entries.map(e => e.data.id)).size;
+    }
+    return this._vehicleCount;
+  }
+
+  disconnect() {
+    if (this.replayTimer) {
+      clearInterval(this.replayTimer);
+      this.replayTimer = null;
+    }
+    super.disconnect();
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      url: this.url,
+      speed: this.speed,
+      progress: this.entries.length > 0 ? this.cursor / this.entries.length : 0
+    };
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * RestPollingDataSource - REST Polling Adapter
+ *
+ * Periodically fetches the full fleet from a REST endpoint.
+ * The endpoint may return either an array of vehicles or
+ * an object with a 'vehicles' array.
+ */
+
+import { DataSource } from './DataSource.js';
+
+export class RestPollingDataSource extends DataSource {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'rest';
+
+    this.apiUrl = this.config.apiUrl || '/api/vehicles';
+    this.pollInterval = this.config.pollInterval || 1000;
+
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.knownVehicles = new Set();
+  }
+
+  async connect() {
+    this.setStatus('connecting');
+    await this.poll();
+
+    this.pollTimer = setInterval(() => {
+      this.poll();
+    }, this.pollInterval);
+  }
+
+  /**
+   * Fetch the fleet once and emit updates
+   */
+  async poll() {
+    // Skip if the previous request is still in flight
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      const response = await fetch(this.apiUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const body = await response.json();
+      const vehicles = Array.isArray(body) ? body : body.vehicles || [];
+
+      vehicles.forEach((vehicle) => {
+        this.knownVehicles.add(vehicle.id ?? vehicle.vehicleId);
+        this.emitUpdate(vehicle);
+      });
+
+      if (this.status !== 'connected') {
+        this.setStatus('connected');
+      }
+      this.events?.emit('vehicles:count', this.knownVehicles.size);
+    } catch (error) {
+      console.warn('RestPollingDataSource: Poll failed:', error);
+      if (this.status !== 'error') {
+        this.setStatus('error');
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  disconnect() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    super.disconnect();
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      apiUrl: this.apiUrl,
+      pollInterval: this.pollInterval,
+      vehicleCount: this.knownVehicles.size
+    };
+  }
+}
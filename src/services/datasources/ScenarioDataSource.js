@@ -0,0 +1,137 @@
+/**
+ * ScenarioDataSource - Scripted Scenario Adapter
+ *
+ * Loads a scenario file and plays it with ScenarioRunner on the tunnel
+ * navigation graph. The same file and seed give the same fleet, routes
+ * and incidents every run, for training sessions and UI regression checks.
+ *
+ * Emits 'scenario:event' ({ type, vehicle, at, duration, state }) when a
+ * scripted event starts or ends.
+ */
+
+import { DataSource } from './DataSource.js';
+import { ScenarioRunner } from '../../simulation/ScenarioRunner.js';
+
+export class ScenarioDataSource extends DataSource {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'scenario';
+
+    // Positions come from the navigation graph (scene coordinates)
+    this.sceneCoordinates = true;
+
+    this.url = this.config.url;
+    this.loop = this.config.loop !== false;
+    this.timeScale = this.config.timeScale || 1;
+    this.tickInterval = this.config.tickInterval || 100;
+
+    this.scenario = null;
+    this.navGraph = null;
+    this.runner = null;
+    this.startTime = 0;
+    this.timer = null;
+  }
+
+  setNavGraph(graph) {
+    this.navGraph = graph;
+  }
+
+  async connect() {
+    if (!this.url) {
+      throw new Error('ScenarioDataSource: No scenario file configured (dataSource.scenario.url)');
+    }
+    if (!this.navGraph || this.navGraph.edges.size === 0) {
+      this.setStatus('error');
+      throw new Error('ScenarioDataSource: Scenarios need the navigation graph (navigation.enabled)');
+    }
+
+    this.setStatus('connecting');
+
+    const response = await fetch(this.url);
+    if (!response.ok) {
+      this.setStatus('error');
+      throw new Error(`ScenarioDataSource: Failed to load ${this.url} (HTTP ${response.status})`);
+    }
+
+    this.scenario = await response.json();
+    this.restart();
+    console.log(`ScenarioDataSource: Playing '${this.runner.name}' (seed ${this.scenario.seed ?? 1}, ${this.runner.fleet.length} vehicles)`);
+
+    this.setStatus('connected');
+    this.timer = setInterval(() => this.advance(), this.tickInterval);
+  }
+
+  /**
+   * Start the scenario from the beginning
+   */
+  restart() {
+    this.runner = new ScenarioRunner({
+      scenario: this.scenario,
+      graph: this.navGraph,
+      config: { updateInterval: this.config.updateInterval },
+      transform: this.transform
+    });
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Wall clock time of a scenario time
+   */
+  toWallTime(scenarioTime) {
+    return this.startTime + scenarioTime / this.timeScale;
+  }
+
+  /**
+   * Run the scenario up to the current wall clock time
+   */
+  advance() {
+    const target = (Date.now() - this.startTime) * this.timeScale;
+    const { updates, events } = this.runner.advanceTo(target);
+    const time = this.runner.time;
+
+    updates.forEach((update) => {
+      this.emitUpdate({
+        ...update,
+        tripEvents: update.tripEvents.map((event) => ({ ...event, time: this.toWallTime(event.time) })),
+        metadata: { ...update.metadata, lastMaintenance: this.toWallTime(update.metadata.lastMaintenance) },
+        timestamp: this.toWallTime(time)
+      });
+    });
+
+    events.forEach((event) => {
+      console.log(`ScenarioDataSource: ${event.type} ${event.state} (${event.vehicle})`);
+      this.events?.emit('scenario:event', event);
+    });
+
+    if (updates.length > 0) {
+      this.events?.emit('vehicles:count', this.runner.getVehicleCount());
+    }
+
+    if (this.runner.finished) {
+      if (this.loop) {
+        console.log('ScenarioDataSource: Scenario finished, restarting');
+        this.restart();
+      } else {
+        console.log('ScenarioDataSource: Scenario finished');
+        this.disconnect();
+      }
+    }
+  }
+
+  disconnect() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    super.disconnect();
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      url: this.url,
+      scenario: this.runner?.name,
+      scenarioTime: this.runner ? this.runner.time / 1000 : 0
+    };
+  }
+}
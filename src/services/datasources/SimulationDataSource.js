@@ -0,0 +1,65 @@
+/**
+ * SimulationDataSource - Simulated Fleet Adapter
+ *
+ * Wraps VehicleAPIService in simulation mode. Vehicles are generated
+ * inside the mine tunnels and updated with adaptive, priority-based rates.
+ */
+
+import { DataSource } from './DataSource.js';
+import { VehicleAPIService } from '../VehicleAPIService.js';
+
+export class SimulationDataSource extends DataSource {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'simulation';
+
+    // Positions are generated inside the scene
+    this.sceneCoordinates = true;
+
+    this.service = new VehicleAPIService({
+      config: { ...this.config, simulate: true },
+      events: this.sourceEvents
+    });
+
+    this.relayFrom(this.sourceEvents);
+  }
+
+  async connect() {
+    await this.service.initialize();
+  }
+
+  disconnect() {
+    this.service.disconnect();
+  }
+
+  setMineData(model, bounds, center) {
+    this.service.setMineData(model, bounds, center);
+  }
+
+  setTunnelPositions(positions) {
+    this.service.setTunnelPositions(positions);
+  }
+
+  setNavGraph(graph) {
+    this.service.setNavGraph(graph);
+  }
+
+  setFollowedVehicle(vehicleId) {
+    this.service.setFollowedVehicle(vehicleId);
+  }
+
+  setSelectedVehicle(vehicleId) {
+    this.service.setSelectedVehicle(vehicleId);
+  }
+
+  setVisibleVehicles(vehicleIds) {
+    this.service.setVisibleVehicles(vehicleIds);
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      ...this.service.getStatus()
+    };
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * SimulationFallback - Opt-in Simulated Fleet for Live Sources
+ *
+ * Runs the simulated fleet in place of a live feed that cannot be reached.
+ * Unlike the old silent switch, the fallback is opt-in
+ * (fallbackToSimulation), announced on the bus so the UI can show a
+ * banner, and removed again as soon as the live feed returns.
+ *
+ * Simulated vehicle IDs carry a 'SIM-' prefix so they can never merge
+ * with real vehicles of the same name.
+ *
+ * Events emitted:
+ * - 'datasource:fallback' ({ active, source, reason }) - banner on/off
+ * - 'vehicle:remove' (id) - simulated vehicles cleared on recovery
+ */
+
+import { EventBus } from '../../utils/EventBus.js';
+import { VehicleAPIService } from '../VehicleAPIService.js';
+
+export const SIMULATED_ID_PREFIX = 'SIM-';
+
+export class SimulationFallback {
+  constructor(options = {}) {
+    // DataSource whose updates are replaced while active
+    this.source = options.source;
+    this.config = options.config || {};
+
+    this.service = null;
+    this.simulatedIds = new Set();
+    this.mineData = null;
+    this.tunnelPositions = [];
+    this.navGraph = null;
+  }
+
+  /**
+   * Check if simulated data is being shown
+   */
+  isActive() {
+    return this.service !== null;
+  }
+
+  /**
+   * Keep mine geometry for path generation
+   */
+  setMineData(model, bounds, center) {
+    this.mineData = { model, bounds, center };
+    this.service?.setMineData(model, bounds, center);
+  }
+
+  /**
+   * Keep scanned tunnel positions for path generation
+   */
+  setTunnelPositions(positions) {
+    this.tunnelPositions = positions;
+    this.service?.setTunnelPositions(positions);
+  }
+
+  /**
+   * Keep the navigation graph for simulated routes
+   */
+  setNavGraph(graph) {
+    this.navGraph = graph;
+    this.service?.setNavGraph(graph);
+  }
+
+  /**
+   * Start the simulated fleet
+   */
+  async start(reason) {
+    if (this.isActive()) return;
+
+    console.warn(`SimulationFallback: Live feed unavailable (${reason}) - showing SIMULATED vehicles`);
+
+    const bus = new EventBus();
+    bus.on('vehicle:update', (data) => {
+      const id = `${SIMULATED_ID_PREFIX}${data.id}`;
+      this.simulatedIds.add(id);
+      this.source.emitUpdate({ ...data, id }, { sceneCoordinates: true });
+    });
+
+    this.service = new VehicleAPIService({
+      config: { ...this.config, simulate: true },
+      events: bus
+    });
+
+    this.service.setNavGraph(this.navGraph);
+    this.service.setTunnelPositions(this.tunnelPositions);
+
+    if (this.mineData) {
+      const { model, bounds, center } = this.mineData;
+      this.service.setMineData(model, bounds, center);
+    }
+
+    this.source.events?.emit('datasource:fallback', {
+      active: true,
+      source: this.source.name,
+      reason
+    });
+
+    await this.service.initialize();
+  }
+
+  /**
+   * Stop the simulated fleet and remove its vehicles
+   */
+  stop() {
+    if (!this.isActive()) return;
+
+    console.log('SimulationFallback: Live feed restored - removing simulated vehicles');
+
+    this.service.disconnect();
+    this.service = null;
+
+    this.simulatedIds.forEach((id) => this.source.events?.emit('vehicle:remove', id));
+    this.simulatedIds.clear();
+
+    this.source.events?.emit('datasource:fallback', {
+      active: false,
+      source: this.source.name
+    });
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * SseDataSource - Server-Sent Events Adapter
+ *
+ * Wraps VehicleAPIService in API mode. The backend pushes 'vehicle_batch'
+ * events over a plain HTTP stream, which passes through proxies that
+ * block WebSocket upgrades. Interrupted streams resume from the last
+ * event ID.
+ *
+ * A backend that cannot be reached shows as a connection error. With
+ * fallbackToSimulation enabled, a clearly flagged simulated fleet is shown
+ * instead until the stream opens again.
+ */
+
+import { DataSource } from './DataSource.js';
+import { SimulationFallback } from './SimulationFallback.js';
+import { VehicleAPIService } from '../VehicleAPIService.js';
+
+export class SseDataSource extends DataSource {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'sse';
+
+    this.service = new VehicleAPIService({
+      config: { ...this.config, simulate: false, transport: 'sse' },
+      events: this.sourceEvents
+    });
+
+    this.relayFrom(this.sourceEvents);
+
+    // Opt-in simulated fleet while the backend is unreachable
+    this.fallbackToSimulation = this.config.fallbackToSimulation === true;
+    this.fallback = new SimulationFallback({ source: this });
+
+    this.sourceEvents.on('connection:status', (status) => {
+      if (status === 'connected') {
+        this.fallback.stop();
+      } else if (status === 'error' && this.fallbackToSimulation) {
+        this.fallback.start('backend unreachable').catch((error) => {
+          console.error('SseDataSource: Simulation fallback failed to start:', error);
+          this.setStatus('error');
+        });
+      }
+    });
+  }
+
+  async connect() {
+    await this.service.initialize();
+  }
+
+  disconnect() {
+    this.fallback.stop();
+    this.service.disconnect();
+  }
+
+  setMineData(model, bounds, center) {
+    this.service.setMineData(model, bounds, center);
+    this.fallback.setMineData(model, bounds, center);
+  }
+
+  setTunnelPositions(positions) {
+    this.service.setTunnelPositions(positions);
+    this.fallback.setTunnelPositions(positions);
+  }
+
+  setNavGraph(graph) {
+    this.fallback.setNavGraph(graph);
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      ...this.service.getStatus(),
+      simulatedFallback: this.fallback.isActive()
+    };
+  }
+}
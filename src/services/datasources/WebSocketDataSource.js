@@ -0,0 +1,78 @@
+/**
+ * WebSocketDataSource - Raw WebSocket Adapter
+ *
+ * Wraps WebSocketService with simulation disabled, so only telemetry
+ * pushed by the server is emitted. With fallbackToSimulation enabled,
+ * a clearly flagged simulated fleet is shown after repeated failed
+ * reconnects until the server is reachable again.
+ */
+
+import { DataSource } from './DataSource.js';
+import { SimulationFallback } from './SimulationFallback.js';
+import { WebSocketService } from '../WebSocketService.js';
+
+export class WebSocketDataSource extends DataSource {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'websocket';
+
+    this.service = new WebSocketService({
+      config: { ...this.config, simulate: false },
+      events: this.sourceEvents
+    });
+
+    this.relayFrom(this.sourceEvents);
+
+    // Opt-in simulated fleet while the server is unreachable
+    this.fallbackToSimulation = this.config.fallbackToSimulation === true;
+    this.fallbackAfterAttempts = this.config.fallbackAfterAttempts || 5;
+    this.fallback = new SimulationFallback({ source: this });
+
+    this.sourceEvents.on('connection:retry', ({ attempt }) => {
+      if (this.fallbackToSimulation && attempt >= this.fallbackAfterAttempts) {
+        this.fallback.start(`${attempt} failed reconnects`).catch((error) => {
+          console.error('WebSocketDataSource: Simulation fallback failed to start:', error);
+          this.setStatus('error');
+        });
+      }
+    });
+
+    this.sourceEvents.on('connection:status', (status) => {
+      if (status === 'connected') {
+        this.fallback.stop();
+      }
+    });
+  }
+
+  async connect() {
+    this.service.connect();
+  }
+
+  disconnect() {
+    this.fallback.stop();
+    this.service.disconnect();
+  }
+
+  setMineData(model, bounds, center) {
+    this.service.setMineData(model, bounds, center);
+    this.fallback.setMineData(model, bounds, center);
+  }
+
+  setTunnelPositions(positions) {
+    this.service.setTunnelPositions(positions);
+    this.fallback.setTunnelPositions(positions);
+  }
+
+  setNavGraph(graph) {
+    this.service.setNavGraph(graph);
+    this.fallback.setNavGraph(graph);
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      ...this.service.getStatus(),
+      simulatedFallback: this.fallback.isActive()
+    };
+  }
+}
@@ -0,0 +1,604 @@
+/**
+ * HaulSimulator - Load-Haul-Dump Cycle Simulation
+ *
+ * Each vehicle is assigned a loading site and a dump site on the NavGraph
+ * and cycles between them on A* routes:
+ *
+ *   to_load -> [queued] -> loading -> to_dump -> unloading -> to_load
+ *
+ * After each dump the vehicle may detour before the next load:
+ *
+ *   maintenance due -> to_workshop -> maintenance
+ *   fuel low        -> to_fuel -> refuelling
+ *   crib break      -> parked (engine off)
+ *
+ * Plain data in, plain data out: no DOM, no Three.js, no timers. The
+ * caller advances vehicles to a timestamp, so it runs the same in the
+ * browser and in Node (mock telemetry server).
+ *
+ * Features:
+ * - Sites from config (nearest graph node) or auto-picked dead ends:
+ *   the highest dead end of each network is its dump, the rest are faces
+ * - Realistic dwell times in 'loading' / 'unloading' status
+ * - Empty / loaded speeds, loaded trucks slow down on upgrades
+ * - 'load' / 'dump' / 'refuel' / 'maintenance' trip events when each dwell completes
+ * - Fuel burn per km (higher when loaded), refuelling trips to a fuel bay
+ * - Maintenance visits to a workshop every N operating hours
+ * - Statuses: moving, idle (queued / refuelling), loading, unloading,
+ *   maintenance, offline (parked on a break)
+ * - timeScale to compress cycles for demos
+ * - Per-vehicle random streams, fixed sites / start phase, holds and
+ *   speed overrides for scripted scenarios (ScenarioRunner)
+ */
+
+import { PathFinder } from '../navigation/PathFinder.js';
+
+export const HAUL_PHASES = {
+  TO_LOAD: 'to_load',
+  QUEUED: 'queued',
+  LOADING: 'loading',
+  TO_DUMP: 'to_dump',
+  UNLOADING: 'unloading',
+  TO_FUEL: 'to_fuel',
+  REFUELLING: 'refuelling',
+  TO_WORKSHOP: 'to_workshop',
+  MAINTENANCE: 'maintenance',
+  PARKED: 'parked'
+};
+
+export const PHASE_STATUS = {
+  [HAUL_PHASES.TO_LOAD]: 'moving',
+  [HAUL_PHASES.QUEUED]: 'idle',
+  [HAUL_PHASES.LOADING]: 'loading',
+  [HAUL_PHASES.TO_DUMP]: 'moving',
+  [HAUL_PHASES.UNLOADING]: 'unloading',
+  [HAUL_PHASES.TO_FUEL]: 'moving',
+  [HAUL_PHASES.REFUELLING]: 'idle',
+  [HAUL_PHASES.TO_WORKSHOP]: 'moving',
+  [HAUL_PHASES.MAINTENANCE]: 'maintenance',
+  [HAUL_PHASES.PARKED]: 'offline'
+};
+
+// Driving phase -> node field on the haul state it drives to
+const DESTINATIONS = {
+  [HAUL_PHASES.TO_LOAD]: 'loadSite',
+  [HAUL_PHASES.TO_DUMP]: 'dumpSite',
+  [HAUL_PHASES.TO_FUEL]: 'fuelBay',
+  [HAUL_PHASES.TO_WORKSHOP]: 'workshop'
+};
+
+/**
+ * Cycle timings, speeds, fuel and maintenance settings from config.haul
+ * Shared with the graph-free path simulation (VehicleAPIService).
+ */
+export function haulSettings(config = {}) {
+  return {
+    // Dwell times (seconds, uniform between min and max)
+    loadingTime: { min: 90, max: 150, ...config.loadingTime },
+    unloadingTime: { min: 30, max: 60, ...config.unloadingTime },
+
+    // Speeds in km/h
+    emptySpeed: config.emptySpeed || 25,
+    loadedSpeed: config.loadedSpeed || 18,
+
+    // Loaded speed lost per unit of uphill gradient (0.1 grade -> -30%)
+    gradeSlowdown: config.gradeSlowdown ?? 3,
+
+    // Fuel in percent of tank: burn per km, refuel below a level at a rate per second
+    fuel: { emptyBurn: 1.2, loadedBurn: 2.4, refuelBelow: 20, refuelRate: 0.5, ...config.fuel },
+
+    // Workshop visit every 'interval' operating hours
+    maintenance: { interval: 4, time: { min: 600, max: 1800 }, ...config.maintenance },
+
+    // Chance of waiting at the face for the loader (idle)
+    queueing: { probability: 0.15, time: { min: 20, max: 90 }, ...config.queueing },
+
+    // Chance of a parked, engine-off break after a dump (offline)
+    breaks: { probability: 0.03, time: { min: 300, max: 900 }, ...config.breaks },
+
+    // Simulated seconds per real second
+    timeScale: config.timeScale || 1
+  };
+}
+
+/**
+ * Dwell duration in seconds (at least 1s so a cycle always takes time)
+ */
+export function pickDuration({ min, max }, random = Math.random) {
+  return Math.max(1, min + random() * Math.max(0, max - min));
+}
+
+export class HaulSimulator {
+  constructor(options = {}) {
+    this.graph = options.graph;
+    this.config = options.config || {};
+    this.random = options.random || Math.random;
+
+    Object.assign(this, haulSettings(this.config));
+
+    this.pathFinder = new PathFinder({ graph: this.graph, config: this.config });
+    this.routes = new Map(); // 'from>to' -> route
+    this.vehicles = new Map(); // id -> haul state
+
+    this.sites = this.findSites();
+    this.nextAssignment = 0;
+
+    console.log(`HaulSimulator: ${this.sites.loading.length} loading sites, ${this.sites.dump.length} dump sites, ` +
+      `${this.sites.fuel.length} fuel bays, ${this.sites.workshop.length} workshops`);
+  }
+
+  /**
+   * Loading, dump, fuel and workshop sites as node ids
+   * @returns {{loading: number[], dump: number[], fuel: number[], workshop: number[]}}
+   */
+  findSites() {
+    const toNodes = (positions = []) => positions
+      .map((position) => this.graph.findNearestNode(position)?.id)
+      .filter((id) => id !== undefined);
+
+    const sites = this.findHaulSites(toNodes);
+
+    // Service bays default to the junction nearest each dump
+    const fuel = toNodes(this.config.fuelBays);
+    const workshop = toNodes(this.config.workshops);
+    const service = fuel.length > 0 && workshop.length > 0 ? [] : this.findServiceBays(sites.dump);
+
+    return {
+      ...sites,
+      fuel: fuel.length > 0 ? fuel : service,
+      workshop: workshop.length > 0 ? workshop : service
+    };
+  }
+
+  /**
+   * Loading and dump sites (configured, or auto-picked dead ends)
+   */
+  findHaulSites(toNodes) {
+    const configuredLoading = toNodes(this.config.loadingSites);
+    const configuredDump = toNodes(this.config.dumpSites);
+    if (configuredLoading.length > 0 && configuredDump.length > 0) {
+      return { loading: configuredLoading, dump: configuredDump };
+    }
+
+    // Auto: group dead ends by network, highest one is the dump
+    const components = this.pathFinder.getComponents();
+    const deadEnds = new Map(); // component -> [node]
+    this.graph.nodes.forEach((node) => {
+      if (this.graph.getDegree(node.id) !== 1) return;
+      const component = components.get(node.id);
+      if (!deadEnds.has(component)) deadEnds.set(component, []);
+      deadEnds.get(component).push(node);
+    });
+
+    const loading = [];
+    const dump = [];
+    deadEnds.forEach((nodes) => {
+      if (nodes.length < 2) return;
+      nodes.sort((a, b) => b.position.y - a.position.y);
+      dump.push(nodes[0].id);
+      nodes.slice(1).forEach((node) => loading.push(node.id));
+    });
+
+    return { loading, dump };
+  }
+
+  /**
+   * Junction nearest each dump on the same network (the dump itself if none)
+   */
+  findServiceBays(dumpSites) {
+    const bays = new Set();
+
+    dumpSites.forEach((dumpId) => {
+      const dump = this.graph.getNode(dumpId).position;
+      let best = dumpId;
+      let bestDistance = Infinity;
+
+      this.graph.nodes.forEach((node) => {
+        if (this.graph.getDegree(node.id) < 3 || !this.pathFinder.isReachable(dumpId, node.id)) return;
+        const distance = Math.hypot(node.position.x - dump.x, node.position.y - dump.y, node.position.z - dump.z);
+        if (distance < bestDistance) {
+          best = node.id;
+          bestDistance = distance;
+        }
+      });
+
+      bays.add(best);
+    });
+
+    return [...bays];
+  }
+
+  /**
+   * Closest site in a list that can be reached from a node
+   */
+  nearestSite(sites, fromId) {
+    const from = this.graph.getNode(fromId).position;
+    let best = fromId;
+    let bestDistance = Infinity;
+
+    sites.forEach((id) => {
+      if (!this.pathFinder.isReachable(fromId, id)) return;
+      const p = this.graph.getNode(id).position;
+      const distance = Math.hypot(p.x - from.x, p.y - from.y, p.z - from.z);
+      if (distance < bestDistance) {
+        best = id;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Add a vehicle with the next load/dump assignment
+   * Starts part-way through a random leg so the fleet is spread out,
+   * unless options fix the sites and start phase.
+   * @param {string} id - Vehicle id
+   * @param {number} now - Current time (ms)
+   * @param {Object} options - { random, loadSite, dumpSite (node ids), phase, progress (0-1), fuelLevel }
+   * @returns {Object|null} Haul state, or null if no site pair is routable
+   */
+  addVehicle(id, now = Date.now(), options = {}) {
+    const random = options.random || this.random;
+    const assignment = options.loadSite !== undefined && options.dumpSite !== undefined
+      ? { loadSite: options.loadSite, dumpSite: options.dumpSite }
+      : this.assignSites();
+    if (!assignment) return null;
+
+    // Random point in the service interval, in operating seconds
+    const sinceMaintenance = random() * this.maintenance.interval * 3600;
+
+    const state = {
+      id,
+      loadSite: assignment.loadSite,
+      dumpSite: assignment.dumpSite,
+      fuelBay: this.nearestSite(this.sites.fuel, assignment.dumpSite),
+      workshop: this.nearestSite(this.sites.workshop, assignment.dumpSite),
+      siteAt: assignment.dumpSite, // node the current leg started from
+      phase: null,
+      route: null,
+      distance: 0,
+      dwellUntil: 0,
+      loaded: false,
+      position: { x: 0, y: 0, z: 0 },
+      heading: 0,
+      speed: 0,
+      status: 'idle',
+      tripEvents: [],
+      cycles: 0,
+      simTime: 0, // simulated seconds
+      lastTime: now,
+      speedOverride: null, // km/h, replaces the normal speed while set
+      fuelLevel: options.fuelLevel ?? 40 + random() * 60,
+      maintainedAt: -sinceMaintenance, // simTime of the last service
+      lastMaintenance: now - (sinceMaintenance / this.timeScale) * 1000,
+      random
+    };
+
+    const dwellStart = options.phase === HAUL_PHASES.LOADING || options.phase === HAUL_PHASES.UNLOADING;
+    const phase = dwellStart || DESTINATIONS[options.phase]
+      ? options.phase
+      : (random() < 0.5 ? HAUL_PHASES.TO_DUMP : HAUL_PHASES.TO_LOAD);
+
+    if (dwellStart) {
+      // Already at the site, dwell just started
+      const loading = phase === HAUL_PHASES.LOADING;
+      state.siteAt = loading ? assignment.dumpSite : assignment.loadSite;
+      this.startLeg(state, loading ? HAUL_PHASES.TO_LOAD : HAUL_PHASES.TO_DUMP);
+      state.distance = state.route.length;
+      state.siteAt = loading ? assignment.loadSite : assignment.dumpSite;
+      state.phase = phase;
+      state.dwellUntil = this.pickDuration(loading ? this.loadingTime : this.unloadingTime, random);
+    } else {
+      if (phase === HAUL_PHASES.TO_DUMP) state.siteAt = assignment.loadSite;
+      this.startLeg(state, phase);
+      state.distance = (options.progress ?? random()) * state.route.length;
+    }
+    this.placeOnRoute(state);
+    state.status = PHASE_STATUS[state.phase];
+
+    this.vehicles.set(id, state);
+    return state;
+  }
+
+  /**
+   * Next loading site (round robin) and a dump site it can reach
+   */
+  assignSites() {
+    const { loading, dump } = this.sites;
+
+    for (let attempt = 0; attempt < loading.length; attempt++) {
+      const loadSite = loading[(this.nextAssignment + attempt) % loading.length];
+      const reachable = dump.filter((id) => id !== loadSite && this.pathFinder.isReachable(loadSite, id));
+      if (reachable.length === 0) continue;
+
+      this.nextAssignment += attempt + 1;
+      const dumpSite = reachable[Math.floor(this.random() * reachable.length)];
+      return { loadSite, dumpSite };
+    }
+
+    return null;
+  }
+
+  /**
+   * Keep a vehicle where it is (breakdown, maintenance) without losing its cycle
+   */
+  hold(id, now = Date.now()) {
+    const state = this.vehicles.get(id);
+    if (!state) return null;
+
+    state.lastTime = now;
+    state.speed = 0;
+    return state;
+  }
+
+  removeVehicle(id) {
+    this.vehicles.delete(id);
+  }
+
+  getVehicle(id) {
+    return this.vehicles.get(id) || null;
+  }
+
+  /**
+   * Advance every vehicle to a time
+   * @returns {Object[]} Haul states
+   */
+  step(now = Date.now()) {
+    const states = [];
+    this.vehicles.forEach((state) => states.push(this.advanceVehicle(state.id, now)));
+    return states;
+  }
+
+  /**
+   * Advance one vehicle to a time
+   * @param {string} id - Vehicle id
+   * @param {number} now - Current time (ms)
+   * @returns {Object|null} Updated haul state
+   */
+  advanceVehicle(id, now = Date.now()) {
+    const state = this.vehicles.get(id);
+    if (!state) return null;
+
+    let remaining = Math.max(0, (now - state.lastTime) / 1000) * this.timeScale;
+    state.lastTime = now;
+    state.simTime += remaining;
+
+    // A long gap can cover several phase changes
+    while (remaining > 0) {
+      if (this.isDwelling(state)) {
+        const left = state.dwellUntil - (state.simTime - remaining);
+        if (left > remaining) {
+          remaining = 0;
+          break;
+        }
+        remaining -= Math.max(0, left);
+        this.finishDwell(state, now);
+      } else {
+        remaining = this.drive(state, remaining);
+      }
+    }
+
+    if (this.isDwelling(state)) {
+      state.speed = 0;
+    }
+    state.status = PHASE_STATUS[state.phase];
+    return state;
+  }
+
+  /**
+   * Stopped at a site (no DESTINATIONS entry)
+   */
+  isDwelling(state) {
+    return !DESTINATIONS[state.phase];
+  }
+
+  /**
+   * Drive along the current route
+   * @returns {number} Seconds left over after arriving (0 if still driving)
+   */
+  drive(state, seconds) {
+    const route = state.route;
+    const speed = this.getSpeed(state);
+    const metresPerSecond = speed / 3.6;
+    const toGo = route.length - state.distance;
+
+    if (metresPerSecond * seconds < toGo) {
+      state.distance += metresPerSecond * seconds;
+      state.speed = speed;
+      this.burnFuel(state, metresPerSecond * seconds);
+      this.placeOnRoute(state);
+      return 0;
+    }
+
+    // Arrived: start the dwell at the site
+    const used = metresPerSecond > 0 ? toGo / metresPerSecond : seconds;
+    state.distance = route.length;
+    this.burnFuel(state, toGo);
+    this.placeOnRoute(state);
+
+    this.arrive(state, state.simTime - (seconds - used));
+    return seconds - used;
+  }
+
+  /**
+   * Fuel used over a distance (metres)
+   */
+  burnFuel(state, metres) {
+    const perKm = state.loaded ? this.fuel.loadedBurn : this.fuel.emptyBurn;
+    state.fuelLevel = Math.max(0, state.fuelLevel - (metres / 1000) * perKm);
+  }
+
+  /**
+   * Start the dwell for the site just reached
+   */
+  arrive(state, arrivalTime) {
+    state.siteAt = state[DESTINATIONS[state.phase]];
+
+    let phase;
+    let duration;
+    switch (state.phase) {
+      case HAUL_PHASES.TO_LOAD:
+        if (state.random() < this.queueing.probability) {
+          phase = HAUL_PHASES.QUEUED;
+          duration = this.pickDuration(this.queueing.time, state.random);
+        } else {
+          phase = HAUL_PHASES.LOADING;
+          duration = this.pickDuration(this.loadingTime, state.random);
+        }
+        break;
+      case HAUL_PHASES.TO_DUMP:
+        phase = HAUL_PHASES.UNLOADING;
+        duration = this.pickDuration(this.unloadingTime, state.random);
+        break;
+      case HAUL_PHASES.TO_FUEL:
+        phase = HAUL_PHASES.REFUELLING;
+        duration = Math.max(1, (100 - state.fuelLevel) / this.fuel.refuelRate);
+        break;
+      case HAUL_PHASES.TO_WORKSHOP:
+        phase = HAUL_PHASES.MAINTENANCE;
+        duration = this.pickDuration(this.maintenance.time, state.random);
+        break;
+    }
+
+    state.phase = phase;
+    state.dwellUntil = arrivalTime + duration;
+  }
+
+  /**
+   * Dwell done: log the trip event and start the next leg
+   */
+  finishDwell(state, now) {
+    switch (state.phase) {
+      case HAUL_PHASES.QUEUED:
+        // Loader free - start loading from the end of the wait
+        state.phase = HAUL_PHASES.LOADING;
+        state.dwellUntil += this.pickDuration(this.loadingTime, state.random);
+        return;
+      case HAUL_PHASES.LOADING:
+        state.tripEvents.push({ event: 'load', time: now });
+        this.startLeg(state, HAUL_PHASES.TO_DUMP);
+        return;
+      case HAUL_PHASES.UNLOADING:
+        state.cycles++;
+        state.tripEvents.push({ event: 'dump', time: now });
+        break;
+      case HAUL_PHASES.REFUELLING:
+        state.fuelLevel = 100;
+        state.tripEvents.push({ event: 'refuel', time: now });
+        break;
+      case HAUL_PHASES.MAINTENANCE:
+        state.maintainedAt = state.dwellUntil;
+        state.lastMaintenance = now;
+        state.tripEvents.push({ event: 'maintenance', time: now });
+        break;
+    }
+
+    this.startNextLeg(state, state.phase === HAUL_PHASES.UNLOADING);
+  }
+
+  /**
+   * Empty at a site: service detours first, then back to the face
+   * @param {boolean} allowBreak - Breaks are only taken straight after a dump
+   */
+  startNextLeg(state, allowBreak) {
+    const dwell = state.dwellUntil;
+
+    if (state.simTime - state.maintainedAt >= this.maintenance.interval * 3600 && state.siteAt !== state.workshop) {
+      this.startLeg(state, HAUL_PHASES.TO_WORKSHOP);
+    } else if (state.fuelLevel < this.fuel.refuelBelow && state.siteAt !== state.fuelBay) {
+      this.startLeg(state, HAUL_PHASES.TO_FUEL);
+    } else if (allowBreak && state.random() < this.breaks.probability) {
+      state.phase = HAUL_PHASES.PARKED;
+      state.dwellUntil = dwell + this.pickDuration(this.breaks.time, state.random);
+      state.speed = 0;
+    } else {
+      this.startLeg(state, HAUL_PHASES.TO_LOAD);
+    }
+  }
+
+  /**
+   * Route from the current site to the phase's destination
+   */
+  startLeg(state, phase) {
+    const from = state.siteAt;
+    const to = state[DESTINATIONS[phase]];
+
+    state.phase = phase;
+    state.loaded = phase === HAUL_PHASES.TO_DUMP;
+    state.route = this.getRoute(from, to);
+    state.distance = 0;
+    state.segment = 0;
+  }
+
+  /**
+   * Cached A* route with cumulative distances
+   */
+  getRoute(from, to) {
+    const key = `${from}>${to}`;
+    if (this.routes.has(key)) return this.routes.get(key);
+
+    const path = this.pathFinder.findPath(from, to);
+    const points = path ? path.points : [{ ...this.graph.getNode(from).position }];
+
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      cumulative.push(cumulative[i - 1] + Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z));
+    }
+
+    const route = { points, cumulative, length: cumulative[cumulative.length - 1] };
+    this.routes.set(key, route);
+    return route;
+  }
+
+  /**
+   * Position and heading at state.distance along the route
+   */
+  placeOnRoute(state) {
+    const { points, cumulative } = state.route;
+
+    if (points.length === 1) {
+      Object.assign(state.position, points[0]);
+      return;
+    }
+
+    let i = Math.min(state.segment || 0, points.length - 2);
+    if (cumulative[i] > state.distance) i = 0;
+    while (i < points.length - 2 && cumulative[i + 1] < state.distance) i++;
+    state.segment = i;
+
+    const a = points[i];
+    const b = points[i + 1];
+    const segLength = cumulative[i + 1] - cumulative[i];
+    const t = segLength > 0 ? Math.min(1, (state.distance - cumulative[i]) / segLength) : 0;
+
+    state.position.x = a.x + (b.x - a.x) * t;
+    state.position.y = a.y + (b.y - a.y) * t;
+    state.position.z = a.z + (b.z - a.z) * t;
+
+    // Heading convention: 0 = +Z, 90 = +X
+    if (b.x !== a.x || b.z !== a.z) {
+      state.heading = ((Math.atan2(b.x - a.x, b.z - a.z) * 180) / Math.PI + 360) % 360;
+    }
+    state.grade = Math.hypot(b.x - a.x, b.z - a.z) > 0
+      ? (b.y - a.y) / Math.hypot(b.x - a.x, b.z - a.z)
+      : 0;
+  }
+
+  /**
+   * Current speed (km/h) for load state and gradient
+   */
+  getSpeed(state) {
+    if (state.speedOverride !== null) return state.speedOverride;
+    if (!state.loaded) return this.emptySpeed;
+
+    const uphill = Math.max(0, state.grade || 0);
+    return this.loadedSpeed * Math.max(0.4, 1 - uphill * this.gradeSlowdown);
+  }
+
+  pickDuration(range, random = this.random) {
+    return pickDuration(range, random);
+  }
+}
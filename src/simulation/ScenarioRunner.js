@@ -0,0 +1,331 @@
+/**
+ * ScenarioRunner - Scripted, Reproducible Fleet Simulation
+ *
+ * Plays a scenario file on top of HaulSimulator: a fleet with fixed
+ * sites and start times, plus scripted incidents. Every random draw
+ * comes from the scenario seed and time advances in fixed virtual ticks,
+ * so the same file produces the same telemetry on every run.
+ *
+ * Scenario format:
+ *
+ *   {
+ *     "name": "Training shift",
+ *     "seed": "shift-a",
+ *     "duration": 1800,                  // seconds, optional
+ *     "haul": { ... },                   // HaulSimulator overrides
+ *     "fleet": [
+ *       { "id": "TRUCK_01", "type": "dump_truck", "loadSite": 0, "dumpSite": 0,
+ *         "phase": "to_load", "progress": 0.2, "fuelLevel": 30, "start": 0 },
+ *       { "prefix": "HAUL", "count": 4, "type": "haul_truck", "start": 30, "stagger": 20 }
+ *     ],
+ *     "events": [
+ *       { "at": 300, "type": "breakdown", "vehicle": "TRUCK_01", "duration": 600 }
+ *     ]
+ *   }
+ *
+ * Features:
+ * - Sites as an index into the simulator's site list or a survey position
+ * - Event types: breakdown, maintenance, comms_loss, off_route, speed_violation
+ * - Events without a vehicle pick one from the fleet (seeded)
+ * - Plain data in, plain data out: no DOM, no timers
+ */
+
+import { HaulSimulator } from './HaulSimulator.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { VEHICLE_STATUS } from '../utils/TelemetrySchema.js';
+
+export const SCENARIO_EVENTS = {
+  BREAKDOWN: 'breakdown',
+  MAINTENANCE: 'maintenance',
+  COMMS_LOSS: 'comms_loss',
+  OFF_ROUTE: 'off_route',
+  SPEED_VIOLATION: 'speed_violation'
+};
+
+const EVENT_VALUES = Object.values(SCENARIO_EVENTS);
+
+export class ScenarioRunner {
+  constructor(options = {}) {
+    this.scenario = options.scenario || {};
+    this.graph = options.graph;
+    this.config = options.config || {};
+
+    // Survey -> scene conversion for site positions
+    this.transform = options.transform || null;
+
+    // Virtual clock (ms of scenario time)
+    this.tickInterval = this.config.tickInterval || 100;
+    this.updateInterval = this.config.updateInterval || 500;
+    this.duration = (this.scenario.duration || 0) * 1000;
+
+    this.random = new SeededRandom(this.scenario.seed ?? 1);
+
+    // The runner owns the clock, so the simulator runs at real time
+    this.simulator = new HaulSimulator({
+      graph: this.graph,
+      config: { ...this.scenario.haul, timeScale: 1 },
+      random: this.random.fork('sites').next
+    });
+
+    this.fleet = this.expandFleet(this.scenario.fleet || []);
+    this.events = this.prepareEvents(this.scenario.events || []);
+
+    this.time = 0;
+    this.spawned = new Set();
+    this.unroutable = new Set();
+    this.lastReport = new Map(); // id -> scenario time of last update
+    this.active = new Map(); // event index -> event
+    this.nextEvent = 0;
+  }
+
+  get name() {
+    return this.scenario.name || 'Unnamed scenario';
+  }
+
+  get finished() {
+    return this.duration > 0 && this.time >= this.duration;
+  }
+
+  /**
+   * Expand count/prefix entries into one entry per vehicle
+   */
+  expandFleet(entries) {
+    const fleet = [];
+
+    entries.forEach((entry) => {
+      if (entry.id) {
+        fleet.push({ ...entry, start: entry.start || 0 });
+        return;
+      }
+
+      const count = entry.count || 1;
+      const prefix = entry.prefix || 'VEHICLE';
+      for (let i = 0; i < count; i++) {
+        const number = fleet.filter((v) => v.id.startsWith(`${prefix}_`)).length + 1;
+        fleet.push({
+          ...entry,
+          id: `${prefix}_${String(number).padStart(2, '0')}`,
+          start: (entry.start || 0) + i * (entry.stagger || 0)
+        });
+      }
+    });
+
+    return fleet.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Validate events, fill in missing vehicles and sort by start time
+   */
+  prepareEvents(entries) {
+    const random = this.random.fork('events');
+    const ids = this.fleet.map((vehicle) => vehicle.id);
+
+    return entries
+      .filter((event) => {
+        if (EVENT_VALUES.includes(event.type)) return true;
+        console.warn(`ScenarioRunner: Unknown event type '${event.type}', skipped`);
+        return false;
+      })
+      .map((event) => ({
+        ...event,
+        vehicle: event.vehicle || random.pick(ids),
+        start: (event.at || 0) * 1000,
+        end: ((event.at || 0) + (event.duration || 60)) * 1000
+      }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Resolve a site (index or survey position) to a node id
+   */
+  resolveSite(site, candidates) {
+    if (site === undefined || site === null) return undefined;
+    if (typeof site === 'number') {
+      return candidates.length > 0 ? candidates[site % candidates.length] : undefined;
+    }
+
+    const position = this.transform ? this.transform.toScene(site) : site;
+    return this.graph.findNearestNode(position)?.id;
+  }
+
+  /**
+   * Advance the scenario to a time
+   * @param {number} time - Scenario time (ms since start)
+   * @returns {{updates: Object[], events: Object[]}} Telemetry due and event start/end notices
+   */
+  advanceTo(time) {
+    const updates = [];
+    const notices = [];
+
+    while (this.time + this.tickInterval <= time) {
+      this.time += this.tickInterval;
+      this.tick(updates, notices);
+    }
+
+    return { updates, events: notices };
+  }
+
+  /**
+   * One fixed step of scenario time
+   */
+  tick(updates, notices) {
+    const now = this.time;
+
+    this.spawnDue(now);
+
+    // Start due events
+    while (this.nextEvent < this.events.length && this.events[this.nextEvent].start <= now) {
+      const event = this.events[this.nextEvent];
+      this.active.set(this.nextEvent, event);
+      notices.push({ ...this.describeEvent(event), state: 'start', time: now });
+      this.nextEvent++;
+    }
+
+    this.fleet.forEach((vehicle) => {
+      if (!this.spawned.has(vehicle.id)) return;
+
+      const effects = this.getEffects(vehicle.id);
+      const state = this.simulator.getVehicle(vehicle.id);
+      state.speedOverride = effects.speed;
+
+      if (effects.held) {
+        this.simulator.hold(vehicle.id, now);
+      } else {
+        this.simulator.advanceVehicle(vehicle.id, now);
+      }
+
+      const last = this.lastReport.get(vehicle.id) ?? -Infinity;
+      if (effects.silent || now - last < this.updateInterval) return;
+
+      this.lastReport.set(vehicle.id, now);
+      updates.push(this.formatUpdate(vehicle, state, effects));
+    });
+
+    // End expired events
+    this.active.forEach((event, index) => {
+      if (event.end <= now) {
+        this.active.delete(index);
+        notices.push({ ...this.describeEvent(event), state: 'end', time: now });
+      }
+    });
+  }
+
+  /**
+   * Add vehicles whose start time has come
+   */
+  spawnDue(now) {
+    this.fleet.forEach((vehicle) => {
+      if (this.spawned.has(vehicle.id) || this.unroutable.has(vehicle.id)) return;
+      if (vehicle.start * 1000 > now) return;
+
+      const { loading, dump } = this.simulator.sites;
+      const loadSite = this.resolveSite(vehicle.loadSite, loading);
+      const dumpSite = this.resolveSite(vehicle.dumpSite, dump);
+      const fixedSites = loadSite !== undefined && dumpSite !== undefined;
+
+      const state = this.simulator.addVehicle(vehicle.id, now, {
+        random: this.random.fork(vehicle.id).next,
+        loadSite: fixedSites ? loadSite : undefined,
+        dumpSite: fixedSites ? dumpSite : undefined,
+        phase: vehicle.phase,
+        progress: vehicle.progress,
+        fuelLevel: vehicle.fuelLevel
+      });
+
+      if (!state) {
+        console.warn(`ScenarioRunner: No routable sites for ${vehicle.id}, skipped`);
+        this.unroutable.add(vehicle.id);
+        return;
+      }
+
+      this.spawned.add(vehicle.id);
+    });
+  }
+
+  /**
+   * Combined effect of the events active on a vehicle
+   */
+  getEffects(id) {
+    const effects = { held: false, status: null, fault: null, silent: false, speed: null, offset: 0 };
+
+    this.active.forEach((event) => {
+      if (event.vehicle !== id) return;
+
+      switch (event.type) {
+        case SCENARIO_EVENTS.BREAKDOWN:
+          effects.held = true;
+          effects.status = VEHICLE_STATUS.IDLE;
+          effects.fault = event.fault || 'Breakdown';
+          break;
+        case SCENARIO_EVENTS.MAINTENANCE:
+          effects.held = true;
+          effects.status = VEHICLE_STATUS.MAINTENANCE;
+          break;
+        case SCENARIO_EVENTS.COMMS_LOSS:
+          effects.silent = true;
+          break;
+        case SCENARIO_EVENTS.SPEED_VIOLATION:
+          effects.speed = event.speed || 45;
+          break;
+        case SCENARIO_EVENTS.OFF_ROUTE: {
+          // Ease out to the full offset and back over the first/last fifth
+          const span = event.end - event.start;
+          const t = (this.time - event.start) / span;
+          const envelope = Math.min(1, t / 0.2, (1 - t) / 0.2);
+          effects.offset = (event.distance || 20) * Math.max(0, envelope);
+          break;
+        }
+      }
+    });
+
+    return effects;
+  }
+
+  /**
+   * Telemetry message for a vehicle (scene coordinates)
+   */
+  formatUpdate(vehicle, state, effects) {
+    const position = { ...state.position };
+
+    // Off-route: push the reported position sideways off the centerline
+    if (effects.offset > 0) {
+      const heading = (state.heading * Math.PI) / 180;
+      position.x += Math.cos(heading) * effects.offset;
+      position.z -= Math.sin(heading) * effects.offset;
+    }
+
+    const metadata = {
+      driver: vehicle.driver || `Driver ${vehicle.id.slice(-2)}`,
+      fuelLevel: state.fuelLevel,
+      lastMaintenance: state.lastMaintenance,
+      scenario: this.name
+    };
+    if (effects.fault) metadata.fault = effects.fault;
+
+    return {
+      id: vehicle.id,
+      type: vehicle.type,
+      group: vehicle.group,
+      status: effects.status || state.status,
+      level: vehicle.level,
+      position,
+      heading: state.heading,
+      speed: effects.held ? 0 : state.speed,
+      tripEvents: state.tripEvents,
+      metadata
+    };
+  }
+
+  describeEvent(event) {
+    return {
+      type: event.type,
+      vehicle: event.vehicle,
+      at: event.at || 0,
+      duration: event.duration || 60
+    };
+  }
+
+  getVehicleCount() {
+    return this.spawned.size;
+  }
+}
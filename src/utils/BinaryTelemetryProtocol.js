@@ -0,0 +1,497 @@
+/**
+ * BinaryTelemetryProtocol - Compact Binary Telemetry Frames
+ *
+ * Typed-array frame format for high-rate vehicle telemetry. Vehicle IDs
+ * are sent once in a dictionary frame and referenced by a 16-bit index;
+ * positions and headings are sent as deltas against the previous frame.
+ * The encoder has no DOM or three.js dependencies so it can run on a
+ * Node backend as-is.
+ *
+ * Features:
+ * - Vehicle-ID dictionary (index -> id, type, group)
+ * - Keyframes with absolute float32 positions
+ * - Delta frames with int16 centimetre position deltas
+ * - Heading in centidegrees, speed in 0.01 km/h
+ * - Sequence numbers with gap detection (decoder requests a resync)
+ *
+ * Frame layout (little-endian):
+ *
+ *   Header (18 bytes)
+ *     u16 magic (0x4D56 'MV')  u8 version  u8 frameType
+ *     u32 sequence  f64 timestamp (epoch ms)  u16 entryCount
+ *
+ *   DICTIONARY entry (variable)
+ *     u16 index  u8 typeCode  u8 idLength  id (utf-8)  u8 groupLength  group (utf-8)
+ *
+ *   KEYFRAME entry (20 bytes)
+ *     u16 index  u8 statusCode  u8 level  f32 x  f32 y  f32 z
+ *     u16 heading (0.01°)  u16 speed (0.01 km/h)
+ *
+ *   DELTA entry (14 bytes)
+ *     u16 index  u8 statusCode  u8 level  i16 dx  i16 dy  i16 dz (cm)
+ *     i16 dHeading (0.01°)  u16 speed (0.01 km/h)
+ */
+
+import { VEHICLE_STATUS, VEHICLE_TYPES } from './TelemetrySchema.js';
+
+// WebSocket subprotocol names (offered in preference order)
+export const BINARY_SUBPROTOCOL = 'mine-telemetry.bin.v1';
+export const JSON_SUBPROTOCOL = 'mine-telemetry.json.v1';
+
+export const PROTOCOL_MAGIC = 0x4D56;
+export const PROTOCOL_VERSION = 1;
+
+export const FRAME_TYPES = {
+  DICTIONARY: 1,
+  KEYFRAME: 2,
+  DELTA: 3
+};
+
+const HEADER_SIZE = 18;
+const KEYFRAME_ENTRY_SIZE = 20;
+const DELTA_ENTRY_SIZE = 14;
+const MAX_ENTRIES = 0xFFFF;
+
+// Code 0 means "unknown" for both tables
+const TYPE_CODES = ['default', ...Object.values(VEHICLE_TYPES)];
+const STATUS_CODES = ['unknown', ...Object.values(VEHICLE_STATUS)];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encodes vehicle states into binary frames
+ * One encoder per connected client - deltas depend on what it has sent.
+ */
+export class TelemetryFrameEncoder {
+  constructor(options = {}) {
+    // Force a full keyframe every N encode() calls
+    this.keyframeInterval = options.keyframeInterval || 50;
+    this.reset();
+  }
+
+  /**
+   * Forget all state (new client or resync request)
+   */
+  reset() {
+    this.sequence = 0;
+    this.framesSinceKeyframe = Infinity;
+
+    // id -> index, and the state the decoder will reconstruct
+    this.indices = new Map();
+    this.sent = new Map();
+  }
+
+  /**
+   * Encode a set of vehicle updates
+   * @param {Object[]} vehicles - Vehicle updates ({ id, type, group, position, heading, speed, status, level })
+   * @param {number} timestamp - Source timestamp (epoch ms)
+   * @returns {ArrayBuffer[]} Frames to send, in order
+   */
+  encode(vehicles, timestamp = Date.now()) {
+    const frames = [];
+    const newVehicles = [];
+    const keyframe = [];
+    const delta = [];
+
+    const fullKeyframe = this.framesSinceKeyframe >= this.keyframeInterval;
+    this.framesSinceKeyframe = fullKeyframe ? 0 : this.framesSinceKeyframe + 1;
+
+    vehicles.forEach((vehicle) => {
+      const id = String(vehicle.id);
+
+      if (!this.indices.has(id)) {
+        if (this.indices.size >= MAX_ENTRIES) {
+          console.warn(`TelemetryFrameEncoder: Dictionary full, dropping vehicle ${id}`);
+          return;
+        }
+        this.indices.set(id, this.indices.size);
+        newVehicles.push(vehicle);
+      }
+
+      const index = this.indices.get(id);
+      const previous = this.sent.get(index);
+      const entry = this.quantize(index, vehicle);
+
+      if (fullKeyframe || !previous || !this.fitsDelta(previous, entry)) {
+        keyframe.push(entry);
+      } else {
+        delta.push(entry);
+      }
+    });
+
+    if (newVehicles.length > 0) {
+      frames.push(this.encodeDictionary(newVehicles, timestamp));
+    }
+    if (keyframe.length > 0) {
+      frames.push(this.encodeKeyframe(keyframe, timestamp));
+    }
+    if (delta.length > 0) {
+      frames.push(this.encodeDelta(delta, timestamp));
+    }
+
+    return frames;
+  }
+
+  /**
+   * Convert a vehicle update to wire units
+   */
+  quantize(index, vehicle) {
+    const position = vehicle.position || { x: 0, y: 0, z: 0 };
+    return {
+      index,
+      status: Math.max(0, STATUS_CODES.indexOf(vehicle.status)),
+      level: clampInt(vehicle.level ?? 0, 0, 0xFF),
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      heading: toCentidegrees(vehicle.heading),
+      speed: clampInt(Math.round((vehicle.speed || 0) * 100), 0, 0xFFFF)
+    };
+  }
+
+  /**
+   * Check whether an entry can be sent as an int16 delta
+   */
+  fitsDelta(previous, entry) {
+    return ['x', 'y', 'z'].every((axis) => {
+      const cm = Math.round((entry[axis] - previous[axis]) * 100);
+      return cm >= -0x8000 && cm <= 0x7FFF;
+    });
+  }
+
+  encodeDictionary(vehicles, timestamp) {
+    const entries = vehicles.map((vehicle) => ({
+      index: this.indices.get(String(vehicle.id)),
+      typeCode: Math.max(0, TYPE_CODES.indexOf(vehicle.type)),
+      id: textEncoder.encode(String(vehicle.id)).slice(0, 0xFF),
+      group: textEncoder.encode(vehicle.group || '').slice(0, 0xFF)
+    }));
+
+    const size = entries.reduce((sum, e) => sum + 5 + e.id.length + e.group.length, 0);
+    const { buffer, view, bytes } = this.createFrame(FRAME_TYPES.DICTIONARY, entries.length, size, timestamp);
+
+    let offset = HEADER_SIZE;
+    entries.forEach((e) => {
+      view.setUint16(offset, e.index, true);
+      view.setUint8(offset + 2, e.typeCode);
+      view.setUint8(offset + 3, e.id.length);
+      bytes.set(e.id, offset + 4);
+      offset += 4 + e.id.length;
+      view.setUint8(offset, e.group.length);
+      bytes.set(e.group, offset + 1);
+      offset += 1 + e.group.length;
+    });
+
+    return buffer;
+  }
+
+  encodeKeyframe(entries, timestamp) {
+    const { buffer, view } = this.createFrame(
+      FRAME_TYPES.KEYFRAME, entries.length, entries.length * KEYFRAME_ENTRY_SIZE, timestamp
+    );
+
+    let offset = HEADER_SIZE;
+    entries.forEach((e) => {
+      view.setUint16(offset, e.index, true);
+      view.setUint8(offset + 2, e.status);
+      view.setUint8(offset + 3, e.level);
+      view.setFloat32(offset + 4, e.x, true);
+      view.setFloat32(offset + 8, e.y, true);
+      view.setFloat32(offset + 12, e.z, true);
+      view.setUint16(offset + 16, e.heading, true);
+      view.setUint16(offset + 18, e.speed, true);
+      offset += KEYFRAME_ENTRY_SIZE;
+
+      // Track exactly what the decoder will hold
+      this.sent.set(e.index, {
+        x: Math.fround(e.x),
+        y: Math.fround(e.y),
+        z: Math.fround(e.z),
+        heading: e.heading
+      });
+    });
+
+    return buffer;
+  }
+
+  encodeDelta(entries, timestamp) {
+    const { buffer, view } = this.createFrame(
+      FRAME_TYPES.DELTA, entries.length, entries.length * DELTA_ENTRY_SIZE, timestamp
+    );
+
+    let offset = HEADER_SIZE;
+    entries.forEach((e) => {
+      const previous = this.sent.get(e.index);
+      const dx = Math.round((e.x - previous.x) * 100);
+      const dy = Math.round((e.y - previous.y) * 100);
+      const dz = Math.round((e.z - previous.z) * 100);
+      const dHeading = wrapCentidegrees(e.heading - previous.heading);
+
+      view.setUint16(offset, e.index, true);
+      view.setUint8(offset + 2, e.status);
+      view.setUint8(offset + 3, e.level);
+      view.setInt16(offset + 4, dx, true);
+      view.setInt16(offset + 6, dy, true);
+      view.setInt16(offset + 8, dz, true);
+      view.setInt16(offset + 10, dHeading, true);
+      view.setUint16(offset + 12, e.speed, true);
+      offset += DELTA_ENTRY_SIZE;
+
+      // Accumulate quantized deltas so rounding error never drifts
+      this.sent.set(e.index, applyDelta(previous, dx, dy, dz, dHeading));
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Allocate a frame and write its header
+   */
+  createFrame(frameType, count, bodySize, timestamp) {
+    const buffer = new ArrayBuffer(HEADER_SIZE + bodySize);
+    const view = new DataView(buffer);
+
+    view.setUint16(0, PROTOCOL_MAGIC, true);
+    view.setUint8(2, PROTOCOL_VERSION);
+    view.setUint8(3, frameType);
+    view.setUint32(4, this.sequence, true);
+    view.setFloat64(8, timestamp, true);
+    view.setUint16(16, count, true);
+
+    this.sequence = (this.sequence + 1) >>> 0;
+
+    return { buffer, view, bytes: new Uint8Array(buffer) };
+  }
+}
+
+/**
+ * Decodes binary frames into vehicle updates
+ */
+export class TelemetryFrameDecoder {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget all state (after reconnect or resync)
+   */
+  reset() {
+    this.expectedSequence = null;
+    this.dictionary = new Map();
+    this.states = new Map();
+
+    // Set after a sequence gap; deltas are ignored until the next keyframe
+    this.awaitingKeyframe = false;
+  }
+
+  /**
+   * Decode one frame
+   * Throws on malformed frames (bad magic, version or length).
+   *
+   * @param {ArrayBuffer} buffer - Frame bytes
+   * @returns {{frameType: number, timestamp: number, updates: Object[], needsResync: boolean}}
+   */
+  decode(buffer) {
+    if (buffer.byteLength < HEADER_SIZE) {
+      throw new Error(`Frame too short (${buffer.byteLength} bytes)`);
+    }
+
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    if (view.getUint16(0, true) !== PROTOCOL_MAGIC) {
+      throw new Error('Bad frame magic');
+    }
+    const version = view.getUint8(2);
+    if (version !== PROTOCOL_VERSION) {
+      throw new Error(`Unsupported protocol version: ${version}`);
+    }
+
+    const frameType = view.getUint8(3);
+    const sequence = view.getUint32(4, true);
+    const timestamp = view.getFloat64(8, true);
+    const count = view.getUint16(16, true);
+
+    // Sequence gap - delta state can no longer be trusted
+    let needsResync = false;
+    if (this.expectedSequence !== null && sequence !== this.expectedSequence) {
+      console.warn(`TelemetryFrameDecoder: Sequence gap (expected ${this.expectedSequence}, got ${sequence})`);
+      this.awaitingKeyframe = true;
+      needsResync = true;
+    }
+    this.expectedSequence = (sequence + 1) >>> 0;
+
+    const result = { frameType, timestamp, updates: [], needsResync };
+
+    switch (frameType) {
+      case FRAME_TYPES.DICTIONARY:
+        this.decodeDictionary(view, bytes, count);
+        break;
+
+      case FRAME_TYPES.KEYFRAME:
+        this.expectLength(buffer, count * KEYFRAME_ENTRY_SIZE);
+        result.updates = this.decodeKeyframe(view, count, timestamp, result);
+        this.awaitingKeyframe = false;
+        break;
+
+      case FRAME_TYPES.DELTA:
+        this.expectLength(buffer, count * DELTA_ENTRY_SIZE);
+        if (this.awaitingKeyframe) break;
+        result.updates = this.decodeDelta(view, count, timestamp, result);
+        break;
+
+      default:
+        throw new Error(`Unknown frame type: ${frameType}`);
+    }
+
+    return result;
+  }
+
+  expectLength(buffer, bodySize) {
+    if (buffer.byteLength !== HEADER_SIZE + bodySize) {
+      throw new Error(`Frame length mismatch (${buffer.byteLength} bytes, expected ${HEADER_SIZE + bodySize})`);
+    }
+  }
+
+  decodeDictionary(view, bytes, count) {
+    let offset = HEADER_SIZE;
+
+    for (let i = 0; i < count; i++) {
+      if (offset + 5 > bytes.length) throw new Error('Truncated dictionary frame');
+
+      const index = view.getUint16(offset, true);
+      const typeCode = view.getUint8(offset + 2);
+      const idLength = view.getUint8(offset + 3);
+      const id = textDecoder.decode(bytes.subarray(offset + 4, offset + 4 + idLength));
+      offset += 4 + idLength;
+
+      const groupLength = view.getUint8(offset);
+      const group = textDecoder.decode(bytes.subarray(offset + 1, offset + 1 + groupLength));
+      offset += 1 + groupLength;
+
+      if (offset > bytes.length) throw new Error('Truncated dictionary frame');
+
+      this.dictionary.set(index, {
+        id,
+        type: TYPE_CODES[typeCode] || 'default',
+        group: group || undefined
+      });
+    }
+  }
+
+  decodeKeyframe(view, count, timestamp, result) {
+    const updates = [];
+    let offset = HEADER_SIZE;
+
+    for (let i = 0; i < count; i++, offset += KEYFRAME_ENTRY_SIZE) {
+      const index = view.getUint16(offset, true);
+      const state = {
+        x: view.getFloat32(offset + 4, true),
+        y: view.getFloat32(offset + 8, true),
+        z: view.getFloat32(offset + 12, true),
+        heading: view.getUint16(offset + 16, true)
+      };
+      this.states.set(index, state);
+
+      const update = this.toUpdate(index, state, view, offset, offset + 18, timestamp);
+      if (update) {
+        updates.push(update);
+      } else {
+        result.needsResync = true;
+      }
+    }
+
+    return updates;
+  }
+
+  decodeDelta(view, count, timestamp, result) {
+    const updates = [];
+    let offset = HEADER_SIZE;
+
+    for (let i = 0; i < count; i++, offset += DELTA_ENTRY_SIZE) {
+      const index = view.getUint16(offset, true);
+      const previous = this.states.get(index);
+
+      // Delta for a vehicle we have no base for
+      if (!previous) {
+        result.needsResync = true;
+        continue;
+      }
+
+      const state = applyDelta(
+        previous,
+        view.getInt16(offset + 4, true),
+        view.getInt16(offset + 6, true),
+        view.getInt16(offset + 8, true),
+        view.getInt16(offset + 10, true)
+      );
+      this.states.set(index, state);
+
+      const update = this.toUpdate(index, state, view, offset, offset + 12, timestamp);
+      if (update) {
+        updates.push(update);
+      } else {
+        result.needsResync = true;
+      }
+    }
+
+    return updates;
+  }
+
+  /**
+   * Build a vehicle:update payload from decoded state
+   * Returns null if the vehicle is missing from the dictionary.
+   */
+  toUpdate(index, state, view, offset, speedOffset, timestamp) {
+    const info = this.dictionary.get(index);
+    if (!info) return null;
+
+    const statusCode = view.getUint8(offset + 2);
+
+    return {
+      id: info.id,
+      type: info.type,
+      group: info.group,
+      status: statusCode > 0 ? STATUS_CODES[statusCode] : undefined,
+      level: view.getUint8(offset + 3),
+      position: { x: state.x, y: state.y, z: state.z },
+      heading: state.heading / 100,
+      speed: view.getUint16(speedOffset, true) / 100,
+      timestamp
+    };
+  }
+}
+
+/**
+ * Apply quantized deltas to a state (shared by encoder and decoder)
+ */
+function applyDelta(previous, dx, dy, dz, dHeading) {
+  return {
+    x: previous.x + dx / 100,
+    y: previous.y + dy / 100,
+    z: previous.z + dz / 100,
+    heading: (previous.heading + dHeading + 36000) % 36000
+  };
+}
+
+/**
+ * Degrees to centidegrees in [0, 36000)
+ */
+function toCentidegrees(heading) {
+  const value = Math.round((Number(heading) || 0) * 100) % 36000;
+  return value < 0 ? value + 36000 : value;
+}
+
+/**
+ * Wrap a centidegree difference to the shortest signed turn
+ */
+function wrapCentidegrees(diff) {
+  if (diff > 18000) return diff - 36000;
+  if (diff < -18000) return diff + 36000;
+  return diff;
+}
+
+function clampInt(value, min, max) {
+  return Math.max(min, Math.min(max, Math.round(Number(value) || 0)));
+}
@@ -64,7 +64,112 @@ export class ConfigLoader {
       mine: {
         modelPath: '/models/mine/scene.gltf',
         origin: { x: 0, y: 0, z: 0 },
-        opacity: 0.5
+        opacity: 0.5,
+        locations: []
+      },
+      
+      // BVH over the mine geometry for raycasts
+      spatialIndex: {
+        strategy: 'center', // 'center' | 'average' | 'sah'
+        targetLeafSize: 10
+      },
+      
+      // Startup geometry analysis (navigation graph, tunnel scan, markers, levels)
+      analysis: {
+        useWorker: true,
+        cache: { enabled: true, maxEntries: 5 }
+      },
+      
+      // Tunnel centerline graph extraction
+      navigation: {
+        enabled: true,
+        cellSize: 3,
+        minClearance: 1.0,
+        maxClearance: 20,
+        maxStep: 1.8,
+        minSpurLength: 9
+      },
+      
+      // Mine levels from clustered tunnel floor elevations
+      levels: {
+        enabled: true,
+        maxGradient: 0.05,   // Steeper tunnel is ramp, not level
+        clusterGap: 2,
+        minLength: 30,
+        minSeparation: 8,
+        nameFormat: '{rl} RL', // {rl}: survey elevation, {number}: 1 = top level
+        names: {},           // rounded RL -> name
+        bandBelow: 3,        // Drawing band: m under a level's elevation
+        bandAbove: 8         // m over it
+      },
+      
+      // Fade mine geometry outside the selected level's elevation band
+      levelIsolation: {
+        enabled: true,
+        mode: 'ghost',       // 'ghost' | 'clip'
+        stacked: false,      // Show every level as a separate band
+        ghostOpacity: 0.08,
+        fade: 1.5,
+        transitionTime: 600  // ms
+      },
+      
+      // Pull levels apart vertically (ramps stretch between them)
+      explodedView: {
+        enabled: true,
+        active: false,       // Start exploded
+        gap: 30,             // m added between adjacent levels
+        transitionTime: 800  // ms
+      },
+      
+      // Point-in-tunnel checks for incoming positions
+      containment: {
+        enabled: true,
+        mode: 'clamp', // 'clamp' | 'flag'
+        tolerance: 0.5,
+        maxCorrection: 5,
+        minClearance: 1.0,
+        maxClearance: 20,
+        vehicleHeight: 1.5,
+        cellSize: 0.5,
+        volumePath: null
+      },
+      
+      // Snap drifting positions onto tunnel centerlines
+      mapMatching: {
+        enabled: false,
+        searchRadius: 15,
+        positionSigma: 4,
+        headingSigma: 30,
+        minSpeed: 2,
+        adjacentWeight: 0.5,
+        jumpWeight: 0.05,
+        minConfidence: 0.3,
+        historyTimeout: 30000
+      },
+      
+      // RFID / beacon readers for vehicles without XYZ positioning
+      checkpoints: {
+        enabled: true,
+        readers: [], // [{ id, name, position: { x, y, z } }] survey coordinates
+        tags: {},    // tag -> { id, type }
+        updateInterval: 1000,
+        defaultSpeed: 12,
+        minSpeed: 3,
+        maxSpeed: 40,
+        readRange: 5,
+        uncertaintyGrowth: 0.5,
+        maxUncertainty: 50,
+        maxProgress: 0.9,
+        maxPredictionTime: 600000
+      },
+      
+      // Survey grid -> scene transform (identity by default)
+      coordinates: {
+        origin: { x: 0, y: 0, z: 0 },
+        units: 'm',
+        rotation: 0,
+        scale: 1,
+        axes: { x: 'x', y: 'y', z: 'z' }
       },
       
       // Lighting settings
@@ -86,6 +191,27 @@ export class ConfigLoader {
       vehicles: {
         interpolationSpeed: 5.0,
         rotationSpeed: 3.0,
+        jitterBuffer: {
+          enabled: true,
+          renderDelay: 300,
+          maxRenderDelay: 3000,
+          maxSamples: 32
+        },
+        deadReckoning: {
+          enabled: true,
+          maxExtrapolation: 5000,
+          showUncertaintyAfter: 500,
+          blendTime: 1000,
+          uncertaintyGrowth: 0.5
+        },
+        terrain: {
+          enabled: true,
+          smoothing: 8,
+          maxSnapDistance: 2,
+          length: 1.5,
+          width: 0.8,
+          maxTilt: 30
+        },
         types: [
           { type: 'dump_truck', modelPath: '/models/vehicles/truck.glb' },
           { type: 'loader', modelPath: '/models/vehicles/loader.glb' },
@@ -93,12 +219,85 @@ export class ConfigLoader {
         ]
       },
       
+      // Telemetry data source settings
+      dataSource: {
+        type: 'simulation',
+        simulation: {
+          haul: {
+            loadingTime: { min: 90, max: 150 },
+            unloadingTime: { min: 30, max: 60 },
+            emptySpeed: 25,
+            loadedSpeed: 18,
+            gradeSlowdown: 3,
+            gradientPenalty: 0,
+            timeScale: 1,
+            loadingSites: [],
+            dumpSites: [],
+            fuel: { emptyBurn: 1.2, loadedBurn: 2.4, refuelBelow: 20, refuelRate: 0.5 },
+            maintenance: { interval: 4, time: { min: 600, max: 1800 } },
+            queueing: { probability: 0.15, time: { min: 20, max: 90 } },
+            breaks: { probability: 0.03, time: { min: 300, max: 900 } },
+            fuelBays: [],
+            workshops: []
+          }
+        },
+        rest: {
+          apiUrl: '/api/vehicles',
+          pollInterval: 1000
+        },
+        sse: {
+          apiUrl: '/api/vehicles',
+          maxRetries: 5,
+          retryDelay: 2000,
+          fallbackToSimulation: false
+        },
+        replay: {
+          url: null,
+          speed: 1,
+          loop: true
+        },
+        scenario: {
+          url: '/scenarios/training-shift.json',
+          loop: true,
+          timeScale: 1,
+          updateInterval: 500
+        }
+      },
+      
+      // Telemetry validation limits
+      telemetry: {
+        maxSpeed: 80,
+        maxCoordinate: 100000,
+        maxIdLength: 64
+      },
+      
       // WebSocket settings
       websocket: {
         url: 'ws://localhost:8080',
         simulate: true,
-        maxReconnectAttempts: 5,
-        reconnectDelay: 3000
+        protocol: 'auto',
+        maxReconnectAttempts: 0,
+        reconnectDelay: 1000,
+        maxReconnectDelay: 30000,
+        heartbeatInterval: 5000,
+        staleAfterMissed: 3,
+        fallbackToSimulation: false,
+        fallbackAfterAttempts: 5
+      },
+      
+      // Vehicle lifecycle (ms without telemetry)
+      lifecycle: {
+        staleTimeout: 15000,
+        removeTimeout: 300000,
+        onExpire: 'archive',
+        checkInterval: 1000
+      },
+      
+      // Historical playback settings
+      playback: {
+        retentionMinutes: 30,
+        maxSamplesPerVehicle: 20000,
+        frameInterval: 100
       },
       
       // Asset settings
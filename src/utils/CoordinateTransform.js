@@ -0,0 +1,190 @@
+/**
+ * CoordinateTransform - Survey Grid <-> Scene Coordinates
+ *
+ * Telemetry, marker and export data are expressed in the mine's survey
+ * grid (e.g. easting / northing / RL, Z-up, metres). The scene is Y-up in
+ * model units. This transform maps between the two:
+ *
+ *   scene = scale * Ry(-rotation) * axes(units * (survey - origin))
+ *
+ * Features:
+ * - Origin: survey point drawn at scene (0, 0, 0)
+ * - Unit conversion (m, mm, km, ft, us-ft or a numeric factor to metres)
+ * - Axis swap / flip ("axes": scene axis <- signed survey axis)
+ * - Grid rotation about the vertical, clockwise seen from above (degrees)
+ * - Scale (scene units per metre)
+ * - Heading conversion (bearing from grid north <-> scene heading)
+ * - Scene height -> survey elevation (level names)
+ * - Lengths in metres -> scene units (position uncertainty)
+ *
+ * The default config is the identity, so scene units are shown as-is.
+ */
+
+import * as THREE from 'three';
+
+// Metres per survey unit
+export const UNIT_SCALES = {
+  m: 1,
+  mm: 0.001,
+  km: 1000,
+  ft: 0.3048,
+  usft: 1200 / 3937
+};
+
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+
+// Reusable objects to avoid garbage collection
+const _vec = new THREE.Vector3();
+
+/**
+ * Parse an axis spec like 'y' or '-z'
+ * @returns {{index: number, sign: number}}
+ */
+function parseAxis(spec) {
+  const match = /^([+-]?)([xyz])$/.exec(String(spec).trim().toLowerCase());
+  if (!match) {
+    throw new Error(`CoordinateTransform: Invalid axis '${spec}' (expected x, y, z with optional sign)`);
+  }
+  return { index: AXIS_INDEX[match[2]], sign: match[1] === '-' ? -1 : 1 };
+}
+
+export class CoordinateTransform {
+  constructor(options = {}) {
+    this.config = options.config || {};
+
+    const origin = this.config.origin || {};
+    this.origin = new THREE.Vector3(origin.x || 0, origin.y || 0, origin.z || 0);
+
+    this.units = this.config.units ?? 'm';
+    this.unitScale = typeof this.units === 'number' ? this.units : UNIT_SCALES[this.units];
+    if (!Number.isFinite(this.unitScale) || this.unitScale <= 0) {
+      console.warn(`CoordinateTransform: Unknown units '${this.units}', using metres`);
+      this.unitScale = 1;
+    }
+
+    this.rotation = this.config.rotation || 0;
+    this.scale = this.config.scale || 1;
+    this.axes = { x: 'x', y: 'y', z: 'z', ...this.config.axes };
+
+    this.buildMatrices();
+  }
+
+  /**
+   * Compose survey -> scene and scene -> survey matrices
+   */
+  buildMatrices() {
+    const mapped = ['x', 'y', 'z'].map((axis) => parseAxis(this.axes[axis]));
+    if (new Set(mapped.map((a) => a.index)).size !== 3) {
+      throw new Error('CoordinateTransform: Each survey axis must be used exactly once');
+    }
+
+    // Row i picks the survey axis feeding scene axis i
+    const axisMatrix = new THREE.Matrix4();
+    const e = new Array(16).fill(0);
+    mapped.forEach(({ index, sign }, row) => {
+      e[row * 4 + index] = sign;
+    });
+    e[15] = 1;
+    axisMatrix.set(...e);
+
+    // Horizontal survey axes (scene x = east, scene z = north) for headings
+    this.eastAxis = new THREE.Vector3().setComponent(mapped[0].index, 1);
+    this.northAxis = new THREE.Vector3().setComponent(mapped[2].index, 1);
+    this.upIndex = mapped[1].index;
+
+    this.linear = new THREE.Matrix4()
+      .makeRotationY(-THREE.MathUtils.degToRad(this.rotation))
+      .multiply(axisMatrix)
+      .multiplyScalar(this.scale * this.unitScale);
+    this.linear.elements[15] = 1;
+
+    this.toSceneMatrix = new THREE.Matrix4()
+      .multiply(this.linear)
+      .multiply(new THREE.Matrix4().makeTranslation(-this.origin.x, -this.origin.y, -this.origin.z));
+    this.toWorldMatrix = this.toSceneMatrix.clone().invert();
+    this.linearInverse = this.linear.clone().invert();
+
+    this.isIdentity = this.toSceneMatrix.equals(new THREE.Matrix4());
+  }
+
+  /**
+   * Survey position -> scene position
+   * @param {{x, y, z}} position
+   * @returns {{x, y, z}}
+   */
+  toScene(position) {
+    if (this.isIdentity) return { x: position.x, y: position.y, z: position.z };
+    _vec.set(position.x, position.y, position.z).applyMatrix4(this.toSceneMatrix);
+    return { x: _vec.x, y: _vec.y, z: _vec.z };
+  }
+
+  /**
+   * Scene position -> survey position
+   * @param {{x, y, z}} position
+   * @returns {{x, y, z}}
+   */
+  toWorld(position) {
+    if (this.isIdentity) return { x: position.x, y: position.y, z: position.z };
+    _vec.set(position.x, position.y, position.z).applyMatrix4(this.toWorldMatrix);
+    return { x: _vec.x, y: _vec.y, z: _vec.z };
+  }
+
+  /**
+   * Scene height -> survey elevation (RL)
+   */
+  elevationToWorld(height) {
+    if (this.isIdentity) return height;
+    const position = this.toWorld({ x: 0, y: height, z: 0 });
+    return [position.x, position.y, position.z][this.upIndex];
+  }
+
+  /**
+   * Grid bearing (0 = north, clockwise) -> scene heading (0 = +Z, 90 = +X)
+   */
+  headingToScene(bearing) {
+    if (this.isIdentity) return bearing;
+    const rad = THREE.MathUtils.degToRad(bearing);
+    _vec.copy(this.eastAxis).multiplyScalar(Math.sin(rad))
+      .addScaledVector(this.northAxis, Math.cos(rad))
+      .transformDirection(this.linear);
+    return this.normalizeHeading(THREE.MathUtils.radToDeg(Math.atan2(_vec.x, _vec.z)));
+  }
+
+  /**
+   * Scene heading -> grid bearing
+   */
+  headingToWorld(heading) {
+    if (this.isIdentity) return heading;
+    const rad = THREE.MathUtils.degToRad(heading);
+    _vec.set(Math.sin(rad), 0, Math.cos(rad)).transformDirection(this.linearInverse);
+    return this.normalizeHeading(THREE.MathUtils.radToDeg(
+      Math.atan2(_vec.dot(this.eastAxis), _vec.dot(this.northAxis))
+    ));
+  }
+
+  /**
+   * Length in metres -> scene units
+   */
+  lengthToScene(metres) {
+    return metres * this.scale;
+  }
+
+  /**
+   * Convert a normalized vehicle update from survey to scene coordinates
+   */
+  updateToScene(update) {
+    if (this.isIdentity) return update;
+    return {
+      ...update,
+      position: this.toScene(update.position),
+      heading: this.headingToScene(update.heading),
+      positionUncertainty: update.positionUncertainty === undefined
+        ? undefined
+        : this.lengthToScene(update.positionUncertainty)
+    };
+  }
+
+  normalizeHeading(degrees) {
+    return ((degrees % 360) + 360) % 360;
+  }
+}
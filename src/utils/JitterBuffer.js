@@ -0,0 +1,176 @@
+/**
+ * JitterBuffer - Timestamped Sample Buffer for Smooth Motion
+ *
+ * Holds recent telemetry samples for one vehicle, keyed by source
+ * timestamp, and interpolates between them at a render time slightly
+ * behind real time. Bursty links then play back at the pace the samples
+ * were taken instead of rubber-banding toward the newest one.
+ *
+ * Features:
+ * - Duplicate and out-of-order sample rejection
+ * - Linear position / shortest-arc heading interpolation
+ * - Optional sensor pitch/roll carried along (interpolated when both ends have it)
+ * - Per-vehicle delay that stretches to the observed update interval
+ * - Source clock offset estimation (ClockOffsetEstimator)
+ */
+
+import { lerp, angleDifference, normalizeAngle } from './MathUtils.js';
+
+export const PUSH_RESULT = {
+  OK: 'ok',
+  DUPLICATE: 'duplicate',
+  OUT_OF_ORDER: 'out_of_order'
+};
+
+export class JitterBuffer {
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples || 32;
+
+    // [{ t, x, y, z, heading, pitch?, roll? }] ordered by t (source ms)
+    this.samples = [];
+    this.lastTime = -Infinity;
+
+    // Smoothed spacing between samples (ms)
+    this.interval = null;
+  }
+
+  /**
+   * Add a sample
+   * @returns {string} One of PUSH_RESULT
+   */
+  push(sample) {
+    if (sample.t === this.lastTime) return PUSH_RESULT.DUPLICATE;
+    if (sample.t < this.lastTime) return PUSH_RESULT.OUT_OF_ORDER;
+
+    if (this.samples.length > 0) {
+      const spacing = sample.t - this.lastTime;
+      this.interval = this.interval === null ? spacing : lerp(this.interval, spacing, 0.2);
+    }
+
+    this.samples.push(sample);
+    this.lastTime = sample.t;
+
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+
+    return PUSH_RESULT.OK;
+  }
+
+  /**
+   * Render delay for this vehicle: at least baseDelay, stretched to cover
+   * the usual gap between samples so slow-reporting vehicles don't stall
+   */
+  getDelay(baseDelay, maxDelay) {
+    if (this.interval === null) return baseDelay;
+    return Math.min(maxDelay, Math.max(baseDelay, this.interval * 1.2));
+  }
+
+  /**
+   * Interpolated state at a source time
+   * Holds the oldest/newest sample outside the buffered range.
+   *
+   * @param {number} time - Render time (source clock, ms)
+   * @returns {{x, y, z, heading, pitch, roll}|null}
+   */
+  sample(time) {
+    const samples = this.samples;
+    if (samples.length === 0) return null;
+
+    if (time <= samples[0].t) return samples[0];
+
+    const last = samples[samples.length - 1];
+    if (time >= last.t) {
+      // Everything older than the newest sample is no longer needed
+      if (samples.length > 1) samples.splice(0, samples.length - 1);
+      return last;
+    }
+
+    let i = 0;
+    while (i < samples.length - 2 && samples[i + 1].t <= time) i++;
+
+    // Drop samples before the current pair
+    if (i > 0) {
+      samples.splice(0, i);
+    }
+
+    const a = samples[0];
+    const b = samples[1];
+    const alpha = (time - a.t) / (b.t - a.t);
+
+    return {
+      x: lerp(a.x, b.x, alpha),
+      y: lerp(a.y, b.y, alpha),
+      z: lerp(a.z, b.z, alpha),
+      heading: normalizeAngle(a.heading + angleDifference(a.heading, b.heading) * alpha),
+      pitch: lerpOptional(a.pitch, b.pitch, alpha),
+      roll: lerpOptional(a.roll, b.roll, alpha)
+    };
+  }
+
+  /**
+   * Newest buffered sample
+   */
+  getLatest() {
+    return this.samples[this.samples.length - 1] || null;
+  }
+
+  get size() {
+    return this.samples.length;
+  }
+
+  /**
+   * Discard all samples (e.g. when playback takes over)
+   */
+  clear() {
+    this.samples = [];
+    this.lastTime = -Infinity;
+    this.interval = null;
+  }
+}
+
+/**
+ * Estimates the offset between a source clock and the local clock
+ * The least-delayed message gives the best estimate, so the offset jumps
+ * up to any larger sample and decays slowly otherwise (tracks drift).
+ */
+export class ClockOffsetEstimator {
+  constructor(options = {}) {
+    this.decay = options.decay || 0.01;
+    this.offset = null;
+  }
+
+  /**
+   * Feed one message timestamp
+   * @param {number} sourceTime - Timestamp from the message (ms)
+   * @param {number} localTime - Local receive time (ms)
+   */
+  update(sourceTime, localTime = Date.now()) {
+    const sample = sourceTime - localTime;
+
+    if (this.offset === null || sample > this.offset) {
+      this.offset = sample;
+    } else {
+      this.offset += (sample - this.offset) * this.decay;
+    }
+
+    return this.offset;
+  }
+
+  /**
+   * Convert local time to source clock
+   */
+  toSource(localTime = Date.now()) {
+    return localTime + (this.offset ?? 0);
+  }
+}
+
+/**
+ * Lerp a value only some samples carry; otherwise take the nearer one
+ */
+function lerpOptional(a, b, alpha) {
+  if (a === undefined || b === undefined) {
+    return alpha < 0.5 ? a : b;
+  }
+  return lerp(a, b, alpha);
+}
@@ -0,0 +1,69 @@
+/**
+ * SeededRandom - Reproducible Random Numbers
+ *
+ * Small, fast PRNG (mulberry32) so simulation runs replay identically
+ * from the same seed. Use fork() for independent per-vehicle streams:
+ * a vehicle's draws then don't depend on the order others are updated.
+ */
+
+/**
+ * 32-bit FNV-1a hash, used to turn strings into seeds
+ */
+export function hashSeed(value) {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export class SeededRandom {
+  constructor(seed = 1) {
+    this.seed = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+    this.state = this.seed;
+
+    // Bound function for APIs that take a Math.random replacement
+    this.next = this.next.bind(this);
+  }
+
+  /**
+   * Next value in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max]
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  /**
+   * Random element of an array
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Independent generator derived from this seed and a key
+   */
+  fork(key) {
+    return new SeededRandom(hashSeed(`${this.seed}:${key}`));
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * SpatialIndex - Accelerated Mine Geometry Queries
+ *
+ * Builds a bounding volume hierarchy (three-mesh-bvh) over every mine mesh
+ * once after the model loads. Ray and nearest-surface queries then test a
+ * handful of triangles instead of the whole model, which is what keeps the
+ * startup grid scans (navigation graph, tunnel probes, marker placement)
+ * and per-update containment checks fast on large mines.
+ *
+ * Features:
+ * - One shared index for every mine geometry query
+ * - All-hit and first-hit raycasts in world space
+ * - Closest surface point to a world position
+ * - Trees live in geometry space, so moving the model (origin offset)
+ *   needs no rebuild
+ * - Serialized trees (AnalysisCache) restore without a rebuild
+ */
+
+import * as THREE from 'three';
+import { MeshBVH, acceleratedRaycast, CENTER, AVERAGE, SAH } from 'three-mesh-bvh';
+
+const STRATEGIES = { center: CENTER, average: AVERAGE, sah: SAH };
+
+// Reusable objects to avoid garbage collection
+const _raycaster = new THREE.Raycaster();
+const _inverse = new THREE.Matrix4();
+const _localPoint = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+
+export class SpatialIndex {
+  constructor(options = {}) {
+    this.config = options.config || {};
+
+    // 'center' builds fastest; 'sah' gives faster queries on uneven meshes
+    this.strategy = STRATEGIES[this.config.strategy] ?? CENTER;
+    this.targetLeafSize = this.config.targetLeafSize || 10;
+
+    this.meshes = [];
+    this.geometries = []; // Indexed geometries, in traversal order
+    this.triangleCount = 0;
+    this.isReady = false;
+  }
+
+  /**
+   * Index every mesh under an object
+   * @param {THREE.Object3D} object - Mine model (or a drivable volume mesh)
+   * @param {Array|null} serialized - Trees from serialize() for the same model
+   * @returns {SpatialIndex} this
+   */
+  build(object, serialized = null) {
+    this.dispose();
+    const startTime = performance.now();
+
+    const pending = new Set();
+    object.updateMatrixWorld(true);
+    object.traverse((child) => {
+      if (!child.isMesh || !child.geometry?.attributes.position) return;
+
+      // Shared geometries are indexed once
+      const geometry = child.geometry;
+      if (!geometry.boundsTree && !pending.has(geometry)) {
+        pending.add(geometry);
+        this.geometries.push(geometry);
+      }
+
+      child.raycast = acceleratedRaycast;
+      this.meshes.push(child);
+    });
+
+    const restored = this.restoreTrees(serialized);
+    if (!restored) {
+      this.geometries.forEach((geometry) => {
+        geometry.boundsTree = new MeshBVH(geometry, {
+          strategy: this.strategy,
+          targetLeafSize: this.targetLeafSize
+        });
+      });
+    }
+
+    this.triangleCount = this.geometries.reduce((sum, geometry) => sum + geometry.index.count / 3, 0);
+    this.isReady = true;
+    console.log(
+      `SpatialIndex: ${this.meshes.length} meshes, ${this.triangleCount} triangles ` +
+      `(${restored ? 'restored' : 'built'} in ${(performance.now() - startTime).toFixed(0)}ms)`
+    );
+
+    return this;
+  }
+
+  /**
+   * Use serialized trees when they fit the indexed geometries
+   * @returns {boolean} Whether every tree was restored
+   */
+  restoreTrees(serialized) {
+    if (!Array.isArray(serialized) || serialized.length !== this.geometries.length) return false;
+
+    try {
+      // Restoring also restores the triangle order each tree was built for
+      const trees = serialized.map((data, i) => MeshBVH.deserialize(data, this.geometries[i], { setIndex: true }));
+      trees.forEach((tree, i) => {
+        this.geometries[i].boundsTree = tree;
+      });
+      return true;
+    } catch (error) {
+      console.warn('SpatialIndex: Could not restore cached trees, rebuilding:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Trees as plain data (structured-clone safe, for AnalysisCache)
+   * @returns {Array|null}
+   */
+  serialize() {
+    if (!this.isReady) return null;
+    return this.geometries.map((geometry) => MeshBVH.serialize(geometry.boundsTree, { cloneBuffers: false }));
+  }
+
+  /**
+   * Every surface hit along a ray, nearest first
+   * @param {THREE.Vector3} origin - World position
+   * @param {THREE.Vector3} direction - Normalized world direction
+   * @param {number} far - Maximum distance
+   * @returns {THREE.Intersection[]}
+   */
+  raycast(origin, direction, far = Infinity) {
+    _raycaster.set(origin, direction);
+    _raycaster.far = far;
+    _raycaster.firstHitOnly = false;
+    return _raycaster.intersectObjects(this.meshes, false);
+  }
+
+  /**
+   * Nearest surface hit along a ray
+   * @returns {THREE.Intersection|null}
+   */
+  raycastFirst(origin, direction, far = Infinity) {
+    _raycaster.set(origin, direction);
+    _raycaster.far = far;
+    _raycaster.firstHitOnly = true;
+    const hits = _raycaster.intersectObjects(this.meshes, false);
+    _raycaster.firstHitOnly = false;
+    return hits[0] ?? null;
+  }
+
+  /**
+   * Closest point on any mine surface
+   * @param {{x, y, z}} point - World position
+   * @param {number} maxDistance - Ignore surfaces further than this
+   * @returns {{point: THREE.Vector3, distance: number, object: THREE.Mesh, faceIndex: number}|null}
+   */
+  closestPoint(point, maxDistance = Infinity) {
+    const worldPoint = new THREE.Vector3(point.x, point.y, point.z);
+    let best = null;
+    let bestDistance = maxDistance;
+
+    this.meshes.forEach((mesh) => {
+      // Search in geometry space; the threshold shrinks by the smallest scale
+      mesh.matrixWorld.decompose(_position, _quaternion, _scale);
+      const minScale = Math.min(Math.abs(_scale.x), Math.abs(_scale.y), Math.abs(_scale.z)) || 1;
+      _localPoint.copy(worldPoint).applyMatrix4(_inverse.copy(mesh.matrixWorld).invert());
+
+      const hit = mesh.geometry.boundsTree.closestPointToPoint(_localPoint, {}, 0, bestDistance / minScale);
+      if (!hit) return;
+
+      const surfacePoint = hit.point.applyMatrix4(mesh.matrixWorld);
+      const distance = surfacePoint.distanceTo(worldPoint);
+      if (distance <= bestDistance) {
+        bestDistance = distance;
+        best = { point: surfacePoint, distance, object: mesh, faceIndex: hit.faceIndex };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Release the trees and restore default raycasting
+   */
+  dispose() {
+    this.meshes.forEach((mesh) => {
+      mesh.geometry.boundsTree = null;
+      delete mesh.raycast;
+    });
+    this.meshes = [];
+    this.geometries = [];
+    this.triangleCount = 0;
+    this.isReady = false;
+  }
+}
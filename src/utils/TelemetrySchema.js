@@ -0,0 +1,336 @@
+/**
+ * TelemetrySchema - Versioned Telemetry Message Schema
+ *
+ * Validates, coerces and clamps incoming telemetry before it can reach
+ * the renderer. A bad message from one vehicle is rejected with a reason
+ * instead of crashing or corrupting the scene.
+ *
+ * Schema version 1 - vehicle update fields:
+ * - id        (required) string/number, converted to string
+ * - position  (required) { x, y, z } finite numbers (numeric strings accepted)
+ * - heading   degrees, normalized to [0, 360)
+ * - speed     km/h, clamped to [0, maxSpeed]
+ * - type      one of VEHICLE_TYPES, unknown -> 'default'
+ * - status    one of VEHICLE_STATUS, unknown -> derived from speed
+ * - pitch     degrees, nose up positive, clamped to +/-90 (optional)
+ * - roll      degrees, right side down positive, clamped to +/-90 (optional)
+ * - positionUncertainty  radius of the fix in metres, >= 0 (optional)
+ * - group, level, tripEvents, metadata, timestamp (optional)
+ *
+ * Tag read fields ('tag_read' - an RFID / beacon reader saw a vehicle tag):
+ * - tag       (required) string/number, converted to string
+ * - reader    (required) string/number, converted to string
+ * - timestamp (optional) epoch ms or ISO string
+ */
+
+import { clamp, normalizeAngle } from './MathUtils.js';
+
+export const SCHEMA_VERSION = 1;
+export const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+// Vehicle status types
+export const VEHICLE_STATUS = {
+  MOVING: 'moving',
+  IDLE: 'idle',
+  LOADING: 'loading',
+  UNLOADING: 'unloading',
+  MAINTENANCE: 'maintenance',
+  OFFLINE: 'offline'
+};
+
+// Vehicle types
+export const VEHICLE_TYPES = {
+  DUMP_TRUCK: 'dump_truck',
+  LOADER: 'loader',
+  HAUL_TRUCK: 'haul_truck'
+};
+
+// Message kinds recognized on the wire
+export const MESSAGE_KINDS = {
+  VEHICLE_UPDATE: 'vehicle_update',
+  VEHICLE_BATCH: 'vehicle_batch',
+  TAG_READ: 'tag_read',
+  CONTROL: 'control',
+  UNKNOWN: 'unknown'
+};
+
+// Control messages that carry no telemetry
+const CONTROL_TYPES = ['ping', 'pong', 'heartbeat', 'hello', 'welcome'];
+
+const DEFAULT_LIMITS = {
+  maxSpeed: 80,
+  maxCoordinate: 100000,
+  maxIdLength: 64
+};
+
+const STATUS_VALUES = Object.values(VEHICLE_STATUS);
+const TYPE_VALUES = Object.values(VEHICLE_TYPES);
+
+/**
+ * Classify a parsed wire message
+ * Legacy messages put the vehicle type in 'type', so a message with an id
+ * and no type (or a known vehicle type) is treated as a vehicle update.
+ *
+ * @param {Object} message - Parsed message
+ * @returns {string} One of MESSAGE_KINDS
+ */
+export function getMessageKind(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return MESSAGE_KINDS.UNKNOWN;
+  }
+
+  const { type } = message;
+
+  if (type === MESSAGE_KINDS.VEHICLE_BATCH) return MESSAGE_KINDS.VEHICLE_BATCH;
+  if (type === MESSAGE_KINDS.VEHICLE_UPDATE) return MESSAGE_KINDS.VEHICLE_UPDATE;
+  if (type === MESSAGE_KINDS.TAG_READ) return MESSAGE_KINDS.TAG_READ;
+  if (CONTROL_TYPES.includes(type)) return MESSAGE_KINDS.CONTROL;
+
+  const hasId = message.id !== undefined || message.vehicleId !== undefined;
+  if (hasId && (type === undefined || TYPE_VALUES.includes(type))) {
+    return MESSAGE_KINDS.VEHICLE_UPDATE;
+  }
+
+  return MESSAGE_KINDS.UNKNOWN;
+}
+
+/**
+ * Validate and normalize a single vehicle update
+ *
+ * @param {Object} raw - Raw vehicle message
+ * @param {Object} limits - Optional overrides for DEFAULT_LIMITS
+ * @returns {{ok: true, value: Object, warnings: string[]} | {ok: false, reason: string, message: string}}
+ */
+export function validateVehicleUpdate(raw, limits = {}) {
+  const { maxSpeed, maxCoordinate, maxIdLength } = { ...DEFAULT_LIMITS, ...limits };
+  const warnings = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return reject('invalid_message', 'Message is not an object');
+  }
+
+  // Schema version (missing = current)
+  const version = raw.schemaVersion ?? raw.v ?? SCHEMA_VERSION;
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+    return reject('unsupported_version', `Unsupported schema version: ${version}`);
+  }
+
+  // ID
+  const rawId = raw.id ?? raw.vehicleId;
+  if ((typeof rawId !== 'string' && typeof rawId !== 'number') || String(rawId).trim() === '') {
+    return reject('invalid_id', 'Missing or invalid vehicle id');
+  }
+  const id = String(rawId).trim();
+  if (id.length > maxIdLength) {
+    return reject('invalid_id', `Vehicle id longer than ${maxIdLength} characters`);
+  }
+
+  // Position (nested or flat)
+  const rawPosition = raw.position ?? (raw.x !== undefined ? { x: raw.x, y: raw.y, z: raw.z } : null);
+  if (!rawPosition || typeof rawPosition !== 'object') {
+    return reject('invalid_position', `Vehicle ${id}: missing position`);
+  }
+
+  const position = {};
+  for (const axis of ['x', 'y', 'z']) {
+    const value = toNumber(rawPosition[axis]);
+    if (value === null) {
+      return reject('invalid_position', `Vehicle ${id}: position.${axis} is not a number`);
+    }
+    if (Math.abs(value) > maxCoordinate) {
+      warnings.push(`position.${axis} clamped`);
+    }
+    position[axis] = clamp(value, -maxCoordinate, maxCoordinate);
+  }
+
+  // Heading
+  let heading = toNumber(raw.heading ?? raw.yaw ?? 0);
+  if (heading === null) {
+    warnings.push('heading defaulted to 0');
+    heading = 0;
+  }
+  heading = normalizeAngle(heading);
+
+  // Speed
+  let speed = toNumber(raw.speed ?? 0);
+  if (speed === null) {
+    warnings.push('speed defaulted to 0');
+    speed = 0;
+  } else if (speed < 0 || speed > maxSpeed) {
+    warnings.push('speed clamped');
+  }
+  speed = clamp(speed, 0, maxSpeed);
+
+  // Vehicle type (legacy messages carry it in 'type')
+  const rawType = raw.type === MESSAGE_KINDS.VEHICLE_UPDATE ? raw.vehicleType : raw.type;
+  let type = rawType;
+  if (!TYPE_VALUES.includes(type)) {
+    if (type !== undefined) warnings.push(`unknown vehicle type '${type}'`);
+    type = 'default';
+  }
+
+  // Status
+  let status = raw.status;
+  if (!STATUS_VALUES.includes(status)) {
+    if (status !== undefined) warnings.push(`unknown status '${status}'`);
+    status = speed > 0 ? VEHICLE_STATUS.MOVING : VEHICLE_STATUS.IDLE;
+  }
+
+  // Optional fields
+  const group = typeof raw.group === 'string' ? raw.group : undefined;
+
+  let level = raw.level;
+  if (level !== undefined) {
+    level = toNumber(level);
+    if (level === null) {
+      warnings.push('level dropped');
+      level = undefined;
+    } else {
+      level = Math.max(0, Math.round(level));
+    }
+  }
+
+  // Attitude from on-board sensors
+  const attitude = {};
+  for (const axis of ['pitch', 'roll']) {
+    if (raw[axis] === undefined) continue;
+    const value = toNumber(raw[axis]);
+    if (value === null) {
+      warnings.push(`${axis} dropped`);
+    } else {
+      attitude[axis] = clamp(value, -90, 90);
+    }
+  }
+
+  // Inferred positions (checkpoint reads) say how far off they may be
+  let positionUncertainty;
+  if (raw.positionUncertainty !== undefined) {
+    positionUncertainty = toNumber(raw.positionUncertainty);
+    if (positionUncertainty === null || positionUncertainty < 0) {
+      warnings.push('positionUncertainty dropped');
+      positionUncertainty = undefined;
+    }
+  }
+
+  const tripEvents = Array.isArray(raw.tripEvents)
+    ? raw.tripEvents.filter(e => e && typeof e.event === 'string' && Number.isFinite(e.time))
+    : [];
+
+  let metadata;
+  if (raw.metadata && typeof raw.metadata === 'object') {
+    metadata = { ...raw.metadata };
+    if (metadata.fuelLevel !== undefined) {
+      const fuel = toNumber(metadata.fuelLevel);
+      metadata.fuelLevel = fuel === null ? undefined : clamp(fuel, 0, 100);
+    }
+  }
+
+  const timestamp = parseTimestamp(raw.timestamp);
+  if (raw.timestamp !== undefined && timestamp === null) {
+    warnings.push('timestamp dropped');
+  }
+
+  return {
+    ok: true,
+    warnings,
+    value: {
+      id,
+      type,
+      group,
+      status,
+      level,
+      position,
+      heading,
+      speed,
+      pitch: attitude.pitch,
+      roll: attitude.roll,
+      positionUncertainty,
+      tripEvents,
+      metadata,
+      timestamp: timestamp ?? undefined
+    }
+  };
+}
+
+/**
+ * Validate and normalize a tag read
+ *
+ * @param {Object} raw - Raw 'tag_read' message
+ * @param {Object} limits - Optional overrides for DEFAULT_LIMITS
+ * @returns {{ok: true, value: Object, warnings: string[]} | {ok: false, reason: string, message: string}}
+ */
+export function validateTagRead(raw, limits = {}) {
+  const { maxIdLength } = { ...DEFAULT_LIMITS, ...limits };
+  const warnings = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return reject('invalid_message', 'Message is not an object');
+  }
+
+  const version = raw.schemaVersion ?? raw.v ?? SCHEMA_VERSION;
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+    return reject('unsupported_version', `Unsupported schema version: ${version}`);
+  }
+
+  const ids = {};
+  for (const field of ['tag', 'reader']) {
+    const value = raw[field] ?? raw[`${field}Id`];
+    if ((typeof value !== 'string' && typeof value !== 'number') || String(value).trim() === '') {
+      return reject('invalid_tag_read', `Missing or invalid ${field} id`);
+    }
+    ids[field] = String(value).trim();
+    if (ids[field].length > maxIdLength) {
+      return reject('invalid_tag_read', `${field} id longer than ${maxIdLength} characters`);
+    }
+  }
+
+  const timestamp = parseTimestamp(raw.timestamp);
+  if (raw.timestamp !== undefined && timestamp === null) {
+    warnings.push('timestamp dropped');
+  }
+
+  return {
+    ok: true,
+    warnings,
+    value: {
+      tag: ids.tag,
+      reader: ids.reader,
+      timestamp: timestamp ?? undefined
+    }
+  };
+}
+
+/**
+ * Convert a value to a finite number (numeric strings accepted)
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+}
+
+/**
+ * Parse a timestamp (epoch ms or ISO string) into ms
+ * @returns {number|null}
+ */
+export function parseTimestamp(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Build a rejection result
+ */
+function reject(reason, message) {
+  return { ok: false, reason, message };
+}
@@ -1,6 +1,10 @@
 import { defineConfig } from 'vite';
 import path from 'path';
 
+// Local backend for /api calls, e.g. API_PROXY_TARGET=http://localhost:3001
+// with npm run stub:sse. Unset, /api is not proxied.
+const apiProxyTarget = process.env.API_PROXY_TARGET;
+
 export default defineConfig({
   // Base public path when served in development or production
   base: './',
@@ -9,7 +13,8 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true,
-    cors: true
+    cors: true,
+    proxy: apiProxyTarget ? { '/api': apiProxyTarget } : undefined
   },
   
   // Build configuration